@@ -1,5 +1,59 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { auditTrailPlugin } = require('./auditTrail');
+
+// ===========================
+// Permissions
+// ===========================
+// Every admin route in server.js requires one of these permissions.
+const PERMISSIONS = [
+    'applications:read',
+    'applications:update',
+    'applications:export',
+    'applications:import',
+    'applications:assign',
+    'applications:delete',
+    'documents:verify',
+    'lenders:submit',
+    'disbursements:write',
+    'payouts:read',
+    'payouts:write',
+    'comments:write',
+    'tasks:write',
+    'tasks:assign',
+    'contacts:read',
+    'contacts:update',
+    'contacts:delete',
+    'careers:read',
+    'careers:update',
+    'careers:delete',
+    'visitors:read',
+    'visitors:update',
+    'visitors:delete',
+    'faqs:write',
+    'statistics:read',
+    'pii:view',
+    'pii:reveal',
+    'privacy:manage',
+    'settings:write'
+];
+
+// Permissions granted to each role
+const ROLE_PERMISSIONS = {
+    'super-admin': PERMISSIONS,
+    // Admins see masked PII by default and reveal single values when needed (pii:reveal);
+    // retention policies and erasure requests stay with the super admin (privacy:manage)
+    'admin': PERMISSIONS.filter(permission => !['settings:write', 'pii:view', 'privacy:manage'].includes(permission)),
+    'telecaller': [
+        'applications:read',
+        'applications:update',
+        'comments:write',
+        'tasks:write',
+        'contacts:read',
+        'contacts:update',
+        'pii:reveal'
+    ]
+};
 
 // ===========================
 // Admin User Schema
@@ -28,7 +82,7 @@ const adminUserSchema = new mongoose.Schema({
     },
     role: {
         type: String,
-        enum: ['super-admin', 'admin'],
+        enum: Object.keys(ROLE_PERMISSIONS),
         default: 'admin'
     },
     status: {
@@ -77,4 +131,20 @@ adminUserSchema.methods.comparePassword = async function(candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check whether this user's role grants a permission
+adminUserSchema.methods.hasPermission = function(permission) {
+    return (ROLE_PERMISSIONS[this.role] || []).includes(permission);
+};
+
+adminUserSchema.statics.PERMISSIONS = PERMISSIONS;
+adminUserSchema.statics.ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Get the list of permissions granted to a role
+adminUserSchema.statics.getRolePermissions = function(role) {
+    return ROLE_PERMISSIONS[role] || [];
+};
+
+// Admin changes are recorded in the audit log (personal data values redacted)
+adminUserSchema.plugin(auditTrailPlugin, { redact: ['password'] });
+
 module.exports = mongoose.model('AdminUser', adminUserSchema);
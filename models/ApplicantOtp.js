@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { encryptedFieldsPlugin } = require('./fieldEncryption');
+
+// ===========================
+// Applicant OTP Schema - One-time codes for the public status tracker
+// ===========================
+const applicantOtpSchema = new mongoose.Schema({
+    application: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LoanApplication',
+        required: true,
+        index: true
+    },
+    mobileNumber: {
+        type: String,
+        required: true
+    },
+    codeHash: {
+        type: String,
+        required: true
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    verifiedAt: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// The mobile number is PII; keep it encrypted like the application's
+applicantOtpSchema.plugin(encryptedFieldsPlugin, {
+    fields: { mobileNumber: { normalize: 'mobile' } }
+});
+
+// Let MongoDB remove expired codes automatically
+applicantOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ApplicantOtp', applicantOtpSchema);
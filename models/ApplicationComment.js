@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('./auditTrail');
+
+// ===========================
+// Application Comment Schema - Internal notes thread on a loan application
+// ===========================
+const applicationCommentSchema = new mongoose.Schema({
+    application: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LoanApplication',
+        required: true,
+        index: true
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        required: true
+    },
+    authorName: {
+        type: String,
+        default: null
+    },
+    body: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 5000
+    },
+    // Admin users mentioned with @ in this comment
+    mentions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        index: true
+    }],
+    // Previous versions of the body, oldest first
+    editHistory: [{
+        _id: false,
+        body: { type: String },
+        editedAt: { type: Date, default: Date.now }
+    }],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+applicationCommentSchema.index({ application: 1, createdAt: 1 });
+
+// Admin changes are recorded in the audit log
+applicationCommentSchema.plugin(auditTrailPlugin);
+
+module.exports = mongoose.model('ApplicationComment', applicationCommentSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('./auditTrail');
+const { encryptedFieldsPlugin } = require('./fieldEncryption');
+
+// ===========================
+// Application Draft Schema - Saved progress of the 3-step loan form
+// ===========================
+const applicationDraftSchema = new mongoose.Schema({
+    loanType: {
+        type: String,
+        required: true
+    },
+    // Step 1 contact details, kept top-level for follow-up lists
+    fullName: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    mobileNumber: {
+        type: String,
+        required: true
+    },
+    personalEmail: {
+        type: String,
+        default: null
+    },
+    panCardNumber: {
+        type: String,
+        required: true
+    },
+    // Raw form fields as posted by the website form, merged across steps
+    formData: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    completedSteps: [{
+        type: Number
+    }],
+    currentStep: {
+        type: Number,
+        default: 1
+    },
+    status: {
+        type: String,
+        enum: ['draft', 'submitting', 'converted'],
+        default: 'draft',
+        index: true
+    },
+    convertedApplication: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LoanApplication',
+        default: null
+    },
+    convertedAt: {
+        type: Date,
+        default: null
+    },
+    visitorId: {
+        type: String,
+        default: null
+    },
+    ipAddress: String,
+    userAgent: String,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastActivityAt: {
+        type: Date,
+        default: Date.now,
+        index: true
+    }
+});
+
+// Admin changes are recorded in the audit log (personal data values redacted)
+applicationDraftSchema.plugin(auditTrailPlugin, { redact: ['fullName', 'mobileNumber', 'personalEmail', 'panCardNumber', 'formData', 'ipAddress', 'userAgent'] });
+
+// Contact details and the raw form (which repeats them, plus addresses) are encrypted at rest;
+// mobile, email and PAN keep blind indexes for erasure requests
+applicationDraftSchema.plugin(encryptedFieldsPlugin, {
+    fields: {
+        mobileNumber: { normalize: 'mobile', indexed: true, pattern: /^[0-9]{10}$/ },
+        personalEmail: { normalize: 'email', indexed: true, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+        panCardNumber: { normalize: 'pan', indexed: true, pattern: /^[A-Z]{5}[0-9]{4}[A-Z]{1}$/ },
+        formData: { normalize: 'json' }
+    }
+});
+
+module.exports = mongoose.model('ApplicationDraft', applicationDraftSchema);
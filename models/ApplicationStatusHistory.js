@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// ===========================
+// Application Status History Schema
+// One entry per applicationStatus change on a LoanApplication
+// ===========================
+const applicationStatusHistorySchema = new mongoose.Schema({
+    application: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LoanApplication',
+        required: true,
+        index: true
+    },
+    fromStatus: {
+        type: String,
+        default: null // null for the initial submission entry
+    },
+    toStatus: {
+        type: String,
+        required: true
+    },
+    comment: {
+        type: String,
+        default: ''
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        default: null // null when the applicant submitted the form
+    },
+    changedByName: {
+        type: String,
+        default: null
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+applicationStatusHistorySchema.index({ application: 1, changedAt: 1 });
+
+module.exports = mongoose.model('ApplicationStatusHistory', applicationStatusHistorySchema);
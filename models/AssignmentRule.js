@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('./auditTrail');
+
+// Statuses that still need work; used for workload counts
+const OPEN_STATUSES = ['submitted', 'under-review', 'on-hold'];
+
+// ===========================
+// Assignment Rule Schema - Auto-assigns new loan applications to admin users
+// Rules are checked in priority order; the first one matching the application wins.
+// ===========================
+const assignmentRuleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    // Lower numbers are checked first
+    priority: {
+        type: Number,
+        default: 100
+    },
+    // round-robin: take turns; least-loaded: fewest open applications
+    strategy: {
+        type: String,
+        enum: ['round-robin', 'least-loaded'],
+        default: 'round-robin'
+    },
+    // Empty means any loan type
+    loanTypes: [{
+        type: String
+    }],
+    // Current address cities (case-insensitive); empty means any city
+    cities: [{
+        type: String,
+        trim: true
+    }],
+    assignees: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser'
+    }],
+    // Round-robin position, advanced atomically on every assignment
+    roundRobinCounter: {
+        type: Number,
+        default: 0
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+assignmentRuleSchema.pre('save', function() {
+    this.updatedAt = new Date();
+});
+
+// Check whether this rule applies to an application
+assignmentRuleSchema.methods.matches = function(application) {
+    if (this.loanTypes.length > 0 && !this.loanTypes.includes(application.loanType)) {
+        return false;
+    }
+    if (this.cities.length > 0) {
+        const city = application.currentAddress && application.currentAddress.city;
+        if (!city || !this.cities.some(ruleCity => ruleCity.toLowerCase() === String(city).trim().toLowerCase())) {
+            return false;
+        }
+    }
+    return true;
+};
+
+// Pick an active assignee for an application, or null when no rule matches
+assignmentRuleSchema.statics.pickAssignee = async function(application) {
+    const AdminUser = mongoose.model('AdminUser');
+    const LoanApplication = mongoose.model('LoanApplication');
+
+    const rules = await this.find({ enabled: true }).sort({ priority: 1, createdAt: 1 });
+    const rule = rules.find(candidate => candidate.matches(application));
+    if (!rule) {
+        return null;
+    }
+
+    const activeUsers = await AdminUser.find({ _id: { $in: rule.assignees }, status: 'active' }).select('_id');
+    const activeIds = rule.assignees.filter(id => activeUsers.some(user => user._id.equals(id)));
+    if (activeIds.length === 0) {
+        return null;
+    }
+
+    if (rule.strategy === 'least-loaded') {
+        const workloads = await LoanApplication.aggregate([
+            { $match: { assignedTo: { $in: activeIds }, applicationStatus: { $in: OPEN_STATUSES } } },
+            { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+        ]);
+        const countFor = (id) => (workloads.find(item => item._id.equals(id)) || { count: 0 }).count;
+        return activeIds.reduce((best, id) => (countFor(id) < countFor(best) ? id : best), activeIds[0]);
+    }
+
+    const updated = await this.findOneAndUpdate(
+        { _id: rule._id },
+        { $inc: { roundRobinCounter: 1 } },
+        { new: true }
+    );
+    return activeIds[(updated.roundRobinCounter - 1) % activeIds.length];
+};
+
+assignmentRuleSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+// Admin changes are recorded in the audit log
+assignmentRuleSchema.plugin(auditTrailPlugin);
+
+module.exports = mongoose.model('AssignmentRule', assignmentRuleSchema);
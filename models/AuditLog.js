@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'read', 'export', 'download', 'reveal'];
+
+// ===========================
+// Audit Log Schema - Who changed or viewed which record, with field-level diffs
+// Append-only: entries are inserted by the audit trail plugin / auditRead middleware and
+// every update or delete through the model is refused.
+// ===========================
+const auditLogSchema = new mongoose.Schema({
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        required: true
+    },
+    actorName: {
+        type: String,
+        default: null
+    },
+    actorRole: {
+        type: String,
+        default: null
+    },
+    action: {
+        type: String,
+        enum: AUDIT_ACTIONS,
+        required: true
+    },
+    // Model name of the target, e.g. LoanApplication
+    entityType: {
+        type: String,
+        required: true
+    },
+    // ObjectId as a string, or the reference number a read was made with (null for exports)
+    entityId: {
+        type: String,
+        default: null
+    },
+    referenceNumber: {
+        type: String,
+        default: null
+    },
+    // Field-level diff; values of personal data fields are recorded as "[redacted]"
+    changes: [{
+        _id: false,
+        field: { type: String },
+        before: { type: mongoose.Schema.Types.Mixed },
+        after: { type: mongoose.Schema.Types.Mixed }
+    }],
+    // Extra context for reads: export filters, revealed fields, document id
+    details: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    method: {
+        type: String,
+        default: null
+    },
+    path: {
+        type: String,
+        default: null
+    },
+    ipAddress: {
+        type: String,
+        default: null
+    },
+    userAgent: {
+        type: String,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+
+auditLogSchema.statics.ACTIONS = AUDIT_ACTIONS;
+
+// Entries can never be changed once written
+auditLogSchema.pre('save', function() {
+    if (!this.isNew) {
+        throw new Error('Audit log entries are immutable');
+    }
+});
+
+auditLogSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    { document: false, query: true },
+    function() {
+        throw new Error('Audit log entries are immutable');
+    }
+);
+
+auditLogSchema.pre('deleteOne', { document: true, query: false }, function() {
+    throw new Error('Audit log entries are immutable');
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
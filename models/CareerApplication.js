@@ -1,6 +1,15 @@
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { auditTrailPlugin } = require('./auditTrail');
+const { softDeletePlugin } = require('./softDelete');
 
 const careerApplicationSchema = new mongoose.Schema({
+    // Human-readable reference (DKF-CR-2026-000045), allocated on first save
+    referenceNumber: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
     fullName: {
         type: String,
         required: true,
@@ -66,6 +75,11 @@ const careerApplicationSchema = new mongoose.Schema({
         type: String,
         default: ''
     },
+    // Set when personal data was erased by a retention policy
+    anonymizedAt: {
+        type: Date,
+        default: null
+    },
     appliedAt: {
         type: Date,
         default: Date.now
@@ -76,9 +90,18 @@ const careerApplicationSchema = new mongoose.Schema({
     }
 });
 
-// Update timestamp on save
-careerApplicationSchema.pre('save', function() {
+// Update timestamp and allocate reference number on save
+careerApplicationSchema.pre('save', async function() {
     this.updatedAt = new Date();
+    if (!this.referenceNumber) {
+        this.referenceNumber = await Counter.nextReference('CR', this.appliedAt || new Date());
+    }
 });
 
+// Deleting moves the record to the trash (restorable until purged)
+careerApplicationSchema.plugin(softDeletePlugin);
+
+// Admin changes are recorded in the audit log (personal data values redacted)
+careerApplicationSchema.plugin(auditTrailPlugin, { redact: ['fullName', 'email', 'phone', 'coverLetter'] });
+
 module.exports = mongoose.model('CareerApplication', careerApplicationSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('./auditTrail');
+
+// ===========================
+// Commission Slab Schema - Payout percentage a lender pays us on disbursed loans
+// The most specific matching slab wins: a loanType slab beats an any-product slab,
+// then the slab with the highest minAmount the disbursed amount reaches.
+// ===========================
+const commissionSlabSchema = new mongoose.Schema({
+    lender: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lender',
+        required: true,
+        index: true
+    },
+    // null means any product from this lender
+    loanType: {
+        type: String,
+        default: null
+    },
+    // Disbursed amount range the slab applies to
+    minAmount: {
+        type: Number,
+        default: 0
+    },
+    maxAmount: {
+        type: Number,
+        default: null
+    },
+    // Percent of the disbursed amount the lender pays us
+    payoutPercent: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+    },
+    // Percent of our payout passed on to the sub-agent who sourced the lead
+    agentSharePercent: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 100
+    },
+    effectiveFrom: {
+        type: Date,
+        default: null
+    },
+    effectiveTo: {
+        type: Date,
+        default: null
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+commissionSlabSchema.pre('save', function() {
+    this.updatedAt = new Date();
+});
+
+// Find the slab for a disbursed loan; returns null when no slab applies
+commissionSlabSchema.statics.findFor = async function(lenderId, loanType, amount, date = new Date()) {
+    const slabs = await this.find({
+        lender: lenderId,
+        active: true,
+        loanType: { $in: [loanType, null] },
+        minAmount: { $lte: amount },
+        $and: [
+            { $or: [{ maxAmount: null }, { maxAmount: { $gte: amount } }] },
+            { $or: [{ effectiveFrom: null }, { effectiveFrom: { $lte: date } }] },
+            { $or: [{ effectiveTo: null }, { effectiveTo: { $gte: date } }] }
+        ]
+    });
+
+    slabs.sort((a, b) => (Number(Boolean(b.loanType)) - Number(Boolean(a.loanType))) || (b.minAmount - a.minAmount));
+    return slabs[0] || null;
+};
+
+// Admin changes are recorded in the audit log
+commissionSlabSchema.plugin(auditTrailPlugin);
+
+module.exports = mongoose.model('CommissionSlab', commissionSlabSchema);
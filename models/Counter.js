@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// ===========================
+// Counter Schema - Atomic sequences (e.g. application reference numbers)
+// ===========================
+const counterSchema = new mongoose.Schema({
+    _id: {
+        type: String, // sequence key, e.g. "DKF-PL-2026"
+        required: true
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+});
+
+// Atomically increment and return the next value of a sequence
+counterSchema.statics.next = async function(key) {
+    const counter = await this.findOneAndUpdate(
+        { _id: key },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+    return counter.seq;
+};
+
+// Allocate a reference like DKF-PL-2026-000123 (sequence restarts each year per prefix)
+counterSchema.statics.nextReference = async function(productCode, date = new Date()) {
+    const prefix = `DKF-${productCode}-${date.getFullYear()}`;
+    const seq = await this.next(prefix);
+    return `${prefix}-${String(seq).padStart(6, '0')}`;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('./auditTrail');
+
+// ===========================
+// Eligibility Rule Schema - Per-product lending rules used by the eligibility engine
+// ===========================
+const eligibilityRuleSchema = new mongoose.Schema({
+    loanType: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    // Annual interest rate in percent
+    interestRate: {
+        type: Number,
+        required: true
+    },
+    // Maximum share of monthly income that can go to EMIs, in percent
+    maxFoir: {
+        type: Number,
+        default: 50
+    },
+    // Tenures (months) to quote EMIs for; empty for revolving products like credit cards
+    tenuresMonths: [{
+        type: Number
+    }],
+    minMonthlyIncome: {
+        type: Number,
+        default: 0
+    },
+    minLoanAmount: {
+        type: Number,
+        default: 0
+    },
+    maxLoanAmount: {
+        type: Number,
+        default: null
+    },
+    // Eligible amount is also capped at monthly income x this multiplier
+    maxIncomeMultiplier: {
+        type: Number,
+        default: null
+    },
+    // Years of total work experience (salaried applicants)
+    minTotalWorkExperience: {
+        type: Number,
+        default: 0
+    },
+    minBusinessVintage: {
+        type: String,
+        enum: ['0-1', '1-2', '2-3', '3-5', '5-10', '10+', null],
+        default: null
+    },
+    requireItr: {
+        type: Boolean,
+        default: false
+    },
+    // Empty means any employment type
+    allowedEmploymentTypes: [{
+        type: String,
+        enum: ['employed', 'self-employed']
+    }],
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        default: null
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Rules created on first start; edit them afterwards through the API
+const DEFAULT_RULES = [
+    {
+        loanType: 'personal-loan',
+        interestRate: 11.5,
+        maxFoir: 50,
+        tenuresMonths: [12, 24, 36, 48, 60],
+        minMonthlyIncome: 15000,
+        minLoanAmount: 50000,
+        maxLoanAmount: 4000000,
+        maxIncomeMultiplier: 20,
+        minTotalWorkExperience: 1
+    },
+    {
+        loanType: 'instant-loan',
+        interestRate: 16,
+        maxFoir: 40,
+        tenuresMonths: [3, 6, 12, 18, 24],
+        minMonthlyIncome: 12000,
+        minLoanAmount: 5000,
+        maxLoanAmount: 500000,
+        maxIncomeMultiplier: 5
+    },
+    {
+        loanType: 'business-loan',
+        interestRate: 16,
+        maxFoir: 60,
+        tenuresMonths: [12, 24, 36, 48, 60],
+        minMonthlyIncome: 25000,
+        minLoanAmount: 100000,
+        maxLoanAmount: 5000000,
+        maxIncomeMultiplier: 24,
+        minBusinessVintage: '1-2',
+        requireItr: true
+    },
+    {
+        loanType: 'car-loan',
+        interestRate: 9.5,
+        maxFoir: 55,
+        tenuresMonths: [12, 24, 36, 48, 60, 72, 84],
+        minMonthlyIncome: 20000,
+        minLoanAmount: 100000,
+        maxLoanAmount: 5000000,
+        maxIncomeMultiplier: 30
+    },
+    {
+        loanType: 'credit-card',
+        interestRate: 42,
+        maxFoir: 50,
+        tenuresMonths: [],
+        minMonthlyIncome: 20000,
+        maxLoanAmount: 1000000,
+        maxIncomeMultiplier: 3
+    }
+];
+
+const VINTAGE_ORDER = ['0-1', '1-2', '2-3', '3-5', '5-10', '10+'];
+
+// Monthly EMI for a principal at an annual rate over a number of months
+const calculateEmi = (principal, annualRate, months) => {
+    const r = annualRate / 12 / 100;
+    if (r === 0) return principal / months;
+    const factor = Math.pow(1 + r, months);
+    return principal * r * factor / (factor - 1);
+};
+
+// Largest principal an EMI can service at an annual rate over a number of months
+const principalForEmi = (emi, annualRate, months) => {
+    const r = annualRate / 12 / 100;
+    if (r === 0) return emi * months;
+    const factor = Math.pow(1 + r, months);
+    return emi * (factor - 1) / (r * factor);
+};
+
+const toNumber = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+// Evaluate applicant details against this rule
+// input: loanAmount, monthlyInhandSalary, monthlyIncome, employmentType,
+//        totalWorkExperience, businessVintage, itrReturn, existingEmi (optional)
+eligibilityRuleSchema.methods.evaluate = function(input) {
+    const reasons = [];
+    const isBusinessLoan = this.loanType === 'business-loan';
+
+    const monthlyIncome = (!isBusinessLoan && input.employmentType === 'employed')
+        ? toNumber(input.monthlyInhandSalary)
+        : toNumber(input.monthlyIncome) || toNumber(input.monthlyInhandSalary);
+    const requestedAmount = toNumber(input.loanAmount);
+    const existingEmi = toNumber(input.existingEmi) || 0;
+
+    if (!monthlyIncome) {
+        reasons.push('Monthly income is required to check eligibility');
+    } else if (monthlyIncome < this.minMonthlyIncome) {
+        reasons.push(`Minimum monthly income is ₹${this.minMonthlyIncome}`);
+    }
+
+    if (this.allowedEmploymentTypes.length > 0 && !this.allowedEmploymentTypes.includes(input.employmentType)) {
+        reasons.push(`Available only for ${this.allowedEmploymentTypes.join(' / ')} applicants`);
+    }
+
+    if (!isBusinessLoan && input.employmentType === 'employed' && this.minTotalWorkExperience > 0) {
+        const experience = toNumber(input.totalWorkExperience);
+        if (experience === null || experience < this.minTotalWorkExperience) {
+            reasons.push(`Minimum ${this.minTotalWorkExperience} year(s) of total work experience required`);
+        }
+    }
+
+    if (this.minBusinessVintage &&
+        VINTAGE_ORDER.indexOf(input.businessVintage) < VINTAGE_ORDER.indexOf(this.minBusinessVintage)) {
+        reasons.push(`Minimum business vintage is ${this.minBusinessVintage} years`);
+    }
+
+    if (this.requireItr && input.itrReturn !== 'yes') {
+        reasons.push('Income tax returns are required');
+    }
+
+    // Amount the applicant can service within the FOIR limit
+    const maxEmi = monthlyIncome ? Math.max(monthlyIncome * this.maxFoir / 100 - existingEmi, 0) : 0;
+    const longestTenure = this.tenuresMonths.length > 0 ? Math.max(...this.tenuresMonths) : null;
+
+    let eligibleAmount = longestTenure
+        ? principalForEmi(maxEmi, this.interestRate, longestTenure)
+        : (monthlyIncome || 0) * (this.maxIncomeMultiplier || 0);
+    if (this.maxIncomeMultiplier && monthlyIncome) {
+        eligibleAmount = Math.min(eligibleAmount, monthlyIncome * this.maxIncomeMultiplier);
+    }
+    if (this.maxLoanAmount) {
+        eligibleAmount = Math.min(eligibleAmount, this.maxLoanAmount);
+    }
+    eligibleAmount = reasons.length > 0 ? 0 : Math.floor(eligibleAmount);
+
+    if (eligibleAmount > 0 && eligibleAmount < this.minLoanAmount) {
+        reasons.push(`Eligible amount is below the minimum loan amount of ₹${this.minLoanAmount}`);
+        eligibleAmount = 0;
+    }
+
+    // EMI and FOIR quotes for the requested amount (or the eligible amount if none was given)
+    const quoteAmount = requestedAmount || eligibleAmount;
+    const tenures = this.tenuresMonths.map(months => {
+        const emi = quoteAmount ? Math.round(calculateEmi(quoteAmount, this.interestRate, months)) : null;
+        return {
+            months,
+            emi,
+            foir: emi && monthlyIncome ? Math.round((existingEmi + emi) / monthlyIncome * 1000) / 10 : null,
+            maxEligibleAmount: reasons.length > 0 ? 0 : Math.floor(Math.min(
+                principalForEmi(maxEmi, this.interestRate, months),
+                this.maxLoanAmount || Infinity,
+                this.maxIncomeMultiplier && monthlyIncome ? monthlyIncome * this.maxIncomeMultiplier : Infinity
+            ))
+        };
+    });
+
+    // FOIR at the longest tenure, i.e. the lowest EMI on offer
+    const bestQuote = tenures.length > 0 ? tenures[tenures.length - 1] : null;
+
+    return {
+        loanType: this.loanType,
+        eligible: reasons.length === 0 && (!requestedAmount || requestedAmount <= eligibleAmount),
+        reasons,
+        monthlyIncome,
+        requestedAmount,
+        eligibleAmount,
+        interestRate: this.interestRate,
+        maxFoir: this.maxFoir,
+        foir: bestQuote ? bestQuote.foir : null,
+        tenures,
+        computedAt: new Date()
+    };
+};
+
+eligibilityRuleSchema.statics.DEFAULT_RULES = DEFAULT_RULES;
+eligibilityRuleSchema.statics.calculateEmi = calculateEmi;
+
+// Evaluate input against the stored rule for its loanType; returns null for products without rules
+eligibilityRuleSchema.statics.evaluateFor = async function(input) {
+    const rule = await this.findOne({ loanType: input.loanType, enabled: true });
+    return rule ? rule.evaluate(input) : null;
+};
+
+// Admin changes are recorded in the audit log
+eligibilityRuleSchema.plugin(auditTrailPlugin);
+
+module.exports = mongoose.model('EligibilityRule', eligibilityRuleSchema);
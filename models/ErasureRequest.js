@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { auditTrailPlugin } = require('./auditTrail');
+
+// ===========================
+// Erasure Request Schema - Right-to-erasure requests and their completion certificates
+// Only masked identifiers are kept, so the request itself holds no personal data.
+// ===========================
+const erasureRequestSchema = new mongoose.Schema({
+    // Certificate number, e.g. DKF-ER-2026-000012
+    referenceNumber: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    // The data principal's ticket / email subject / letter reference
+    requestReference: {
+        type: String,
+        default: ''
+    },
+    maskedIdentifiers: {
+        email: { type: String, default: null },
+        mobileNumber: { type: String, default: null },
+        panCardNumber: { type: String, default: null }
+    },
+    status: {
+        type: String,
+        enum: ['completed', 'completed-with-errors'],
+        default: 'completed'
+    },
+    // What was done in each collection
+    results: [{
+        _id: false,
+        collectionName: { type: String },
+        action: { type: String, enum: ['anonymize', 'delete'] },
+        count: { type: Number, default: 0 }
+    }],
+    filesDeleted: {
+        type: Number,
+        default: 0
+    },
+    errorMessages: [{
+        type: String
+    }],
+    notes: {
+        type: String,
+        default: ''
+    },
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        default: null
+    },
+    requestedByName: {
+        type: String,
+        default: null
+    },
+    completedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // HMAC of the certificate contents so a copy can be checked against the original
+    certificateSignature: {
+        type: String,
+        default: null
+    }
+});
+
+// Allocate the certificate number
+erasureRequestSchema.pre('save', async function() {
+    if (!this.referenceNumber) {
+        this.referenceNumber = await Counter.nextReference('ER', this.completedAt || new Date());
+    }
+});
+
+// Plain-text completion certificate (the signature is computed over exactly this text)
+erasureRequestSchema.methods.getCertificateText = function() {
+    const identifiers = ['email', 'mobileNumber', 'panCardNumber']
+        .filter(name => this.maskedIdentifiers[name])
+        .map(name => `  ${name}: ${this.maskedIdentifiers[name]}`);
+    const results = this.results.map(result => `  ${result.collectionName}: ${result.count} record(s) ${result.action === 'delete' ? 'deleted' : 'anonymized'}`);
+
+    return [
+        'DEVKRIPA FINCROP - CERTIFICATE OF DATA ERASURE',
+        '',
+        `Certificate number: ${this.referenceNumber}`,
+        `Request reference: ${this.requestReference || '-'}`,
+        `Completed at: ${this.completedAt.toISOString()}`,
+        `Processed by: ${this.requestedByName || '-'}`,
+        `Status: ${this.status}`,
+        '',
+        'Data principal identifiers (masked):',
+        ...identifiers,
+        '',
+        'Records processed:',
+        ...results,
+        `  Stored files deleted: ${this.filesDeleted}`,
+        ...(this.errorMessages.length > 0 ? ['', 'Errors:', ...this.errorMessages.map(message => `  ${message}`)] : [])
+    ].join('\n');
+};
+
+// Admin changes are recorded in the audit log
+erasureRequestSchema.plugin(auditTrailPlugin);
+
+module.exports = mongoose.model('ErasureRequest', erasureRequestSchema);
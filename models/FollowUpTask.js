@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('./auditTrail');
+
+// Record types a task can be attached to, and the model each one lives in
+const TARGET_MODELS = {
+    'loan-application': 'LoanApplication',
+    'contact-message': 'ContactMessage',
+    'career-application': 'CareerApplication'
+};
+
+const TASK_TYPES = ['call', 'document-collection', 'visit'];
+
+// ===========================
+// Follow-up Task Schema - Reminders attached to leads (call back, collect documents, visit)
+// ===========================
+const followUpTaskSchema = new mongoose.Schema({
+    targetType: {
+        type: String,
+        enum: Object.keys(TARGET_MODELS),
+        required: true
+    },
+    targetModel: {
+        type: String,
+        enum: Object.values(TARGET_MODELS),
+        required: true
+    },
+    target: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'targetModel',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: TASK_TYPES,
+        default: 'call'
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 200
+    },
+    notes: {
+        type: String,
+        default: ''
+    },
+    dueAt: {
+        type: Date,
+        required: true
+    },
+    assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['open', 'completed', 'cancelled'],
+        default: 'open'
+    },
+    // Set by the overdue job once an open task passes dueAt
+    overdue: {
+        type: Boolean,
+        default: false
+    },
+    overdueNotifiedAt: {
+        type: Date,
+        default: null
+    },
+    outcome: {
+        type: String,
+        default: ''
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    completedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        default: null
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        default: null
+    },
+    createdByName: {
+        type: String,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+followUpTaskSchema.index({ assignedTo: 1, status: 1, dueAt: 1 });
+followUpTaskSchema.index({ targetType: 1, target: 1 });
+followUpTaskSchema.index({ status: 1, overdue: 1, dueAt: 1 });
+
+// Update timestamp and keep targetModel in step with targetType
+followUpTaskSchema.pre('validate', function() {
+    this.targetModel = TARGET_MODELS[this.targetType];
+    this.updatedAt = new Date();
+    // A new due date in the future clears the overdue flag
+    if (this.isModified('dueAt') && this.dueAt > new Date()) {
+        this.overdue = false;
+        this.overdueNotifiedAt = null;
+    }
+});
+
+followUpTaskSchema.statics.TARGET_MODELS = TARGET_MODELS;
+followUpTaskSchema.statics.TASK_TYPES = TASK_TYPES;
+
+// Flag open tasks that have passed their due date; returns the newly overdue tasks
+followUpTaskSchema.statics.markOverdue = async function(now = new Date()) {
+    const tasks = await this.find({ status: 'open', overdue: false, dueAt: { $lt: now } });
+    if (tasks.length === 0) {
+        return [];
+    }
+    await this.updateMany(
+        { _id: { $in: tasks.map(task => task._id) }, overdue: false },
+        { overdue: true, overdueNotifiedAt: now }
+    );
+    return tasks;
+};
+
+// Admin changes are recorded in the audit log
+followUpTaskSchema.plugin(auditTrailPlugin);
+
+module.exports = mongoose.model('FollowUpTask', followUpTaskSchema);
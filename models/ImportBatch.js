@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('./auditTrail');
+
+// ===========================
+// Import Batch Schema - One record per bulk CSV lead import
+// ===========================
+const importBatchSchema = new mongoose.Schema({
+    fileName: {
+        type: String,
+        required: true
+    },
+    source: {
+        type: String, // e.g. event or partner name
+        default: ''
+    },
+    status: {
+        type: String,
+        enum: ['completed', 'rolled-back'],
+        default: 'completed'
+    },
+    totalRows: {
+        type: Number,
+        default: 0
+    },
+    importedCount: {
+        type: Number,
+        default: 0
+    },
+    errorCount: {
+        type: Number,
+        default: 0
+    },
+    // Row-level errors (row numbers are 1-based and exclude the header row)
+    rowErrors: [{
+        row: { type: Number },
+        messages: [{ type: String }]
+    }],
+    columnMapping: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    importedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        required: true
+    },
+    rolledBackBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        default: null
+    },
+    rolledBackAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Admin changes are recorded in the audit log
+importBatchSchema.plugin(auditTrailPlugin);
+
+module.exports = mongoose.model('ImportBatch', importBatchSchema);
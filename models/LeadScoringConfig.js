@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('./auditTrail');
+
+// ===========================
+// Lead Scoring Config Schema - Weights and bands used to score loan applications 0-100
+// ===========================
+const leadScoringConfigSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        default: 'default',
+        unique: true
+    },
+    // Relative weight of each factor; the score is normalized to 0-100
+    weights: {
+        income: { type: Number, default: 25 },
+        employmentType: { type: Number, default: 10 },
+        experience: { type: Number, default: 10 },
+        residenceType: { type: Number, default: 10 },
+        financialDocuments: { type: Number, default: 10 },
+        completeness: { type: Number, default: 20 },
+        engagement: { type: Number, default: 15 }
+    },
+    // Monthly income bands, highest first; factor is 0-1
+    incomeBands: {
+        type: [{ _id: false, min: Number, factor: Number }],
+        default: [
+            { min: 100000, factor: 1 },
+            { min: 50000, factor: 0.8 },
+            { min: 30000, factor: 0.6 },
+            { min: 15000, factor: 0.35 },
+            { min: 0, factor: 0.1 }
+        ]
+    },
+    // Total work experience bands in years, highest first (salaried applicants)
+    experienceBands: {
+        type: [{ _id: false, minYears: Number, factor: Number }],
+        default: [
+            { minYears: 5, factor: 1 },
+            { minYears: 3, factor: 0.8 },
+            { minYears: 1, factor: 0.5 },
+            { minYears: 0, factor: 0.2 }
+        ]
+    },
+    // Business vintage factors (business loans use this instead of work experience)
+    vintageFactors: {
+        type: mongoose.Schema.Types.Mixed,
+        default: { '0-1': 0.2, '1-2': 0.4, '2-3': 0.6, '3-5': 0.8, '5-10': 1, '10+': 1 }
+    },
+    employmentFactors: {
+        type: mongoose.Schema.Types.Mixed,
+        default: { 'employed': 1, 'self-employed': 0.8 }
+    },
+    residenceFactors: {
+        type: mongoose.Schema.Types.Mixed,
+        default: { 'owned': 1, 'family': 0.8, 'company-provided': 0.7, 'rented': 0.5 }
+    },
+    // Website activity that earns the full engagement factor
+    engagementTargets: {
+        visits: { type: Number, default: 3 },
+        timeOnSiteSeconds: { type: Number, default: 600 },
+        pageViews: { type: Number, default: 8 }
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        default: null
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Fields checked for form completeness, by form type
+const COMPLETENESS_FIELDS = {
+    'insurance': ['monthlyIncome', 'insuranceType'],
+    'bank-account': ['monthlyIncome', 'accountType'],
+    'emi-card': ['employmentType'],
+    'business-loan': [
+        'loanAmount', 'maritalStatus', 'motherName', 'qualification', 'residenceType',
+        'currentAddress.address', 'currentAddress.city', 'currentAddress.zipcode',
+        'permanentAddress.address', 'permanentAddress.city', 'companyName', 'companyAddress.city',
+        'businessVintage', 'monthlyIncome', 'gstRegistered', 'itrReturn'
+    ],
+    'default': [
+        'loanAmount', 'maritalStatus', 'motherName', 'employmentType', 'qualification', 'residenceType',
+        'currentAddress.address', 'currentAddress.city', 'currentAddress.zipcode',
+        'permanentAddress.address', 'permanentAddress.city', 'companyName', 'companyAddress.city',
+        'designation', 'officialEmail', 'totalWorkExperience', 'monthlyInhandSalary'
+    ]
+};
+
+const getPath = (obj, key) => key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), obj);
+const isFilled = (value) => value !== null && value !== undefined && value !== '' && !Number.isNaN(value);
+const bandFactor = (bands, value, minKey) => {
+    const band = bands.find(item => value >= item[minKey]);
+    return band ? band.factor : 0;
+};
+
+// Score an application; engagement is { visits, timeOnSite, pageViews } from visitor tracking
+// Returns { score, breakdown, scoredAt }
+leadScoringConfigSchema.methods.score = function(application, engagement = {}) {
+    const isBusinessLoan = application.loanType === 'business-loan';
+    const income = application.monthlyInhandSalary || application.monthlyIncome || null;
+
+    const factors = {};
+
+    factors.income = {
+        value: income,
+        factor: isFilled(income) ? bandFactor(this.incomeBands, income, 'min') : 0
+    };
+
+    factors.employmentType = {
+        value: application.employmentType || null,
+        factor: this.employmentFactors[application.employmentType] || 0
+    };
+
+    factors.experience = isBusinessLoan
+        ? { value: application.businessVintage || null, factor: this.vintageFactors[application.businessVintage] || 0 }
+        : {
+            value: application.totalWorkExperience,
+            factor: isFilled(application.totalWorkExperience)
+                ? bandFactor(this.experienceBands, application.totalWorkExperience, 'minYears')
+                : 0
+        };
+
+    factors.residenceType = {
+        value: application.residenceType || null,
+        factor: this.residenceFactors[application.residenceType] || 0
+    };
+
+    // GST + ITR for businesses, PF deduction for salaried applicants
+    factors.financialDocuments = isBusinessLoan
+        ? {
+            value: { gstRegistered: application.gstRegistered, itrReturn: application.itrReturn },
+            factor: (application.gstRegistered === 'yes' ? 0.5 : 0) + (application.itrReturn === 'yes' ? 0.5 : 0)
+        }
+        : { value: { pfDeduction: application.pfDeduction }, factor: application.pfDeduction === 'yes' ? 1 : 0 };
+
+    const completenessFields = COMPLETENESS_FIELDS[application.loanType] || COMPLETENESS_FIELDS.default;
+    const filledCount = completenessFields.filter(field => isFilled(getPath(application, field))).length;
+    factors.completeness = {
+        value: `${filledCount}/${completenessFields.length}`,
+        factor: completenessFields.length > 0 ? filledCount / completenessFields.length : 1
+    };
+
+    const targets = this.engagementTargets;
+    const visits = engagement.visits || 0;
+    const timeOnSite = engagement.timeOnSite || 0;
+    const pageViews = engagement.pageViews || 0;
+    factors.engagement = {
+        value: { visits, timeOnSite, pageViews },
+        factor: Math.min(visits / targets.visits, 1) * 0.4 +
+            Math.min(timeOnSite / targets.timeOnSiteSeconds, 1) * 0.3 +
+            Math.min(pageViews / targets.pageViews, 1) * 0.3
+    };
+
+    const totalWeight = Object.keys(factors).reduce((sum, name) => sum + (this.weights[name] || 0), 0);
+
+    const breakdown = Object.entries(factors).map(([name, { value, factor }]) => ({
+        factor: name,
+        weight: this.weights[name] || 0,
+        value,
+        points: totalWeight > 0 ? Math.round((this.weights[name] || 0) * factor / totalWeight * 1000) / 10 : 0
+    }));
+
+    const score = Math.round(breakdown.reduce((sum, item) => sum + item.points, 0));
+
+    return { score: Math.min(Math.max(score, 0), 100), breakdown, scoredAt: new Date() };
+};
+
+// Get the active scoring config (an unsaved default if none has been stored)
+leadScoringConfigSchema.statics.getActive = async function() {
+    const config = await this.findOne({ key: 'default' });
+    return config || new this({ key: 'default' });
+};
+
+// Admin changes are recorded in the audit log
+leadScoringConfigSchema.plugin(auditTrailPlugin);
+
+module.exports = mongoose.model('LeadScoringConfig', leadScoringConfigSchema);
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('./auditTrail');
+
+// Eligibility criteria for one product a lender accepts
+const lenderProductSchema = new mongoose.Schema({
+    loanType: {
+        type: String,
+        required: true
+    },
+    // Monthly in-hand salary for salaried applicants, monthly income otherwise
+    minMonthlyIncome: {
+        type: Number,
+        default: 0
+    },
+    minLoanAmount: {
+        type: Number,
+        default: 0
+    },
+    maxLoanAmount: {
+        type: Number,
+        default: null
+    },
+    // Current address cities (case-insensitive); empty means any city
+    cities: [{
+        type: String,
+        trim: true
+    }],
+    // Empty means any employment type
+    employmentTypes: [{
+        type: String,
+        enum: ['employed', 'self-employed']
+    }],
+    // Indicative annual interest rate in percent, shown to admins when picking a lender
+    interestRate: {
+        type: Number,
+        default: null
+    }
+}, { _id: false });
+
+// ===========================
+// Lender Schema - Partner banks and NBFCs applications are forwarded to
+// ===========================
+const lenderSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Short unique code, e.g. "hdfc-bank"
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    lenderType: {
+        type: String,
+        enum: ['bank', 'nbfc'],
+        default: 'bank'
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    // Lender adapter used to send applications (see registerLenderAdapter in server.js)
+    adapter: {
+        type: String,
+        default: 'manual'
+    },
+    contactName: {
+        type: String,
+        default: ''
+    },
+    contactEmail: {
+        type: String,
+        default: ''
+    },
+    contactPhone: {
+        type: String,
+        default: ''
+    },
+    products: [lenderProductSchema],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update timestamp before saving
+lenderSchema.pre('save', function() {
+    this.updatedAt = new Date();
+});
+
+// Income the lender criteria are checked against (same rule as the eligibility engine)
+const applicantMonthlyIncome = (application) => {
+    const salary = Number(application.monthlyInhandSalary) || null;
+    const income = Number(application.monthlyIncome) || null;
+    if (application.loanType !== 'business-loan' && application.employmentType === 'employed') {
+        return salary;
+    }
+    return income || salary;
+};
+
+// Check an application against this lender's criteria for its loanType
+// Returns { eligible, reasons, product }
+lenderSchema.methods.matchApplication = function(application) {
+    const product = this.products.find(item => item.loanType === application.loanType);
+    if (!product) {
+        return { eligible: false, reasons: [`Does not offer ${application.loanType}`], product: null };
+    }
+
+    const reasons = [];
+    const monthlyIncome = applicantMonthlyIncome(application);
+    const loanAmount = Number(application.loanAmount) || null;
+    const city = application.currentAddress && application.currentAddress.city;
+
+    if (product.minMonthlyIncome > 0 && (!monthlyIncome || monthlyIncome < product.minMonthlyIncome)) {
+        reasons.push(`Minimum monthly income is ₹${product.minMonthlyIncome}`);
+    }
+
+    if (loanAmount !== null && product.minLoanAmount && loanAmount < product.minLoanAmount) {
+        reasons.push(`Minimum loan amount is ₹${product.minLoanAmount}`);
+    }
+
+    if (loanAmount !== null && product.maxLoanAmount && loanAmount > product.maxLoanAmount) {
+        reasons.push(`Maximum loan amount is ₹${product.maxLoanAmount}`);
+    }
+
+    if (product.employmentTypes.length > 0 && !product.employmentTypes.includes(application.employmentType)) {
+        reasons.push(`Available only for ${product.employmentTypes.join(' / ')} applicants`);
+    }
+
+    if (product.cities.length > 0) {
+        const cities = product.cities.map(item => item.toLowerCase());
+        if (!city || !cities.includes(city.trim().toLowerCase())) {
+            reasons.push(`Available only in ${product.cities.join(', ')}`);
+        }
+    }
+
+    return { eligible: reasons.length === 0, reasons, product };
+};
+
+// Active lenders checked against an application, eligible ones first
+lenderSchema.statics.findMatches = async function(application) {
+    const lenders = await this.find({ active: true, 'products.loanType': application.loanType }).sort({ name: 1 });
+    return lenders
+        .map(lender => ({ lender, ...lender.matchApplication(application) }))
+        .sort((a, b) => Number(b.eligible) - Number(a.eligible));
+};
+
+// Admin changes are recorded in the audit log
+lenderSchema.plugin(auditTrailPlugin);
+
+module.exports = mongoose.model('Lender', lenderSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('./auditTrail');
+
+const DECISIONS = ['pending', 'approved', 'rejected'];
+
+// ===========================
+// Lender Submission Schema - One record per application forwarded to a lender
+// ===========================
+const lenderSubmissionSchema = new mongoose.Schema({
+    application: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LoanApplication',
+        required: true,
+        index: true
+    },
+    lender: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lender',
+        required: true,
+        index: true
+    },
+    // Adapter the application was sent through
+    adapter: {
+        type: String,
+        default: 'manual'
+    },
+    // sent: accepted by the lender/adapter; failed: the adapter returned an error
+    status: {
+        type: String,
+        enum: ['sent', 'failed'],
+        default: 'sent'
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    // The lender's own id for the application
+    lenderReference: {
+        type: String,
+        default: null
+    },
+    decision: {
+        type: String,
+        enum: DECISIONS,
+        default: 'pending'
+    },
+    decisionNotes: {
+        type: String,
+        default: ''
+    },
+    decisionAt: {
+        type: Date,
+        default: null
+    },
+    notes: {
+        type: String,
+        default: ''
+    },
+    sentAt: {
+        type: Date,
+        default: Date.now
+    },
+    sentBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        default: null
+    },
+    sentByName: {
+        type: String,
+        default: null
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+lenderSubmissionSchema.index({ application: 1, lender: 1 });
+
+lenderSubmissionSchema.pre('save', function() {
+    this.updatedAt = new Date();
+});
+
+lenderSubmissionSchema.statics.DECISIONS = DECISIONS;
+
+// Admin changes are recorded in the audit log
+lenderSubmissionSchema.plugin(auditTrailPlugin);
+
+module.exports = mongoose.model('LenderSubmission', lenderSubmissionSchema);
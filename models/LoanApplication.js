@@ -1,4 +1,214 @@
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { encryptedFieldsPlugin } = require('./fieldEncryption');
+const { auditTrailPlugin } = require('./auditTrail');
+const { softDeletePlugin } = require('./softDelete');
+
+// Product codes used in reference numbers (DKF-PL-2026-000123)
+const REFERENCE_CODES = {
+    'personal-loan': 'PL',
+    'business-loan': 'BL',
+    'instant-loan': 'IL',
+    'car-loan': 'CL',
+    'credit-card': 'CC',
+    'emi-card': 'EC',
+    'insurance': 'IN',
+    'bank-account': 'BA'
+};
+
+// ===========================
+// Application Status Workflow
+// ===========================
+// Allowed next statuses for each applicationStatus
+const STATUS_TRANSITIONS = {
+    'submitted': ['under-review', 'rejected', 'on-hold'],
+    'under-review': ['approved', 'rejected', 'on-hold'],
+    'on-hold': ['under-review', 'rejected'],
+    'approved': ['sanctioned', 'rejected'],
+    'sanctioned': ['partially-disbursed', 'disbursed', 'cancelled'],
+    'partially-disbursed': ['disbursed'],
+    'disbursed': [],
+    'rejected': [],
+    'cancelled': []
+};
+
+// Statuses that need a comment explaining the reason
+const STATUSES_REQUIRING_REASON = ['rejected', 'on-hold', 'cancelled'];
+
+// Statuses set by recording a sanction or disbursement rather than by a plain status change
+const RECORD_DRIVEN_STATUSES = ['sanctioned', 'partially-disbursed', 'disbursed'];
+
+// ===========================
+// KYC & Income Documents
+// ===========================
+const DOCUMENT_TYPES = ['pan-card', 'aadhaar', 'salary-slip', 'bank-statement', 'itr', 'gst-certificate'];
+
+const applicationDocumentSchema = new mongoose.Schema({
+    documentType: {
+        type: String,
+        required: true,
+        enum: DOCUMENT_TYPES
+    },
+    fileName: {
+        type: String,
+        required: true
+    },
+    fileUrl: {
+        type: String,  // Public Cloudinary URL of files uploaded before delivery was restricted; never sent to clients
+        default: null
+    },
+    filePublicId: {
+        type: String,  // Cloudinary public_id for deletion
+        required: true
+    },
+    fileResourceType: {
+        type: String,  // Cloudinary resource_type used for upload (image / raw)
+        default: 'raw'
+    },
+    fileDeliveryType: {
+        type: String,  // Cloudinary delivery type: 'authenticated' (signed URLs only) or 'upload' for older public files
+        default: 'upload'
+    },
+    uploadedByApplicant: {
+        type: Boolean,
+        default: false
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        default: null
+    },
+    uploadedAt: {
+        type: Date,
+        default: Date.now
+    },
+    verificationStatus: {
+        type: String,
+        enum: ['pending', 'verified', 'rejected'],
+        default: 'pending'
+    },
+    rejectionReason: {
+        type: String,
+        default: null
+    },
+    verifiedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        default: null
+    },
+    verifiedAt: {
+        type: Date,
+        default: null
+    }
+});
+
+// Files are only served through short-lived signed URLs (GET /api/applications/:id/documents/:documentId/file)
+applicationDocumentSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.fileUrl;
+        return ret;
+    }
+});
+
+// Eligibility snapshot stamped on submission (see EligibilityRule)
+const eligibilitySnapshotSchema = new mongoose.Schema({
+    eligible: Boolean,
+    reasons: [String],
+    monthlyIncome: Number,
+    requestedAmount: Number,
+    eligibleAmount: Number,
+    interestRate: Number,
+    maxFoir: Number,
+    foir: Number,
+    tenures: [{
+        _id: false,
+        months: Number,
+        emi: Number,
+        foir: Number,
+        maxEligibleAmount: Number
+    }],
+    computedAt: Date
+}, { _id: false });
+
+// Lender sanction for an approved application
+const sanctionSchema = new mongoose.Schema({
+    lender: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lender',
+        default: null
+    },
+    lenderName: {
+        type: String,
+        required: true
+    },
+    // Lender's sanction letter / loan account reference
+    sanctionReference: {
+        type: String,
+        default: null
+    },
+    sanctionedAmount: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // Annual interest rate in percent
+    interestRate: {
+        type: Number,
+        default: null
+    },
+    tenureMonths: {
+        type: Number,
+        default: null
+    },
+    processingFee: {
+        type: Number,
+        default: null
+    },
+    sanctionDate: {
+        type: Date,
+        required: true
+    },
+    recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        default: null
+    },
+    recordedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// One payout of a sanctioned loan (loans can be disbursed in tranches)
+const disbursementSchema = new mongoose.Schema({
+    amount: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    disbursedAt: {
+        type: Date,
+        required: true
+    },
+    // UTR / transaction reference from the lender
+    reference: {
+        type: String,
+        default: null
+    },
+    notes: {
+        type: String,
+        default: ''
+    },
+    recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        default: null
+    },
+    recordedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
 
 // ===========================
 // Loan Application Schema
@@ -8,7 +218,13 @@ const loanApplicationSchema = new mongoose.Schema({
     loanType: {
         type: String,
         required: true,
-        enum: ['personal-loan', 'business-loan', 'instant-loan', 'car-loan', 'credit-card', 'emi-card', 'insurance', 'bank-account']
+        enum: Object.keys(REFERENCE_CODES)
+    },
+    // Human-readable reference, allocated on first save
+    referenceNumber: {
+        type: String,
+        unique: true,
+        sparse: true
     },
     fullName: {
         type: String,
@@ -16,18 +232,15 @@ const loanApplicationSchema = new mongoose.Schema({
     },
     mobileNumber: {
         type: String,
-        required: true,
-        match: /^[0-9]{10}$/
+        required: true
     },
     personalEmail: {
         type: String,
-        required: true,
-        match: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+        required: true
     },
     panCardNumber: {
         type: String,
-        required: true,
-        match: /^[A-Z]{5}[0-9]{4}[A-Z]{1}$/
+        required: true
     },
 
     // ==========================================
@@ -175,7 +388,7 @@ const loanApplicationSchema = new mongoose.Schema({
     // Metadata
     applicationStatus: {
         type: String,
-        enum: ['submitted', 'under-review', 'approved', 'rejected', 'on-hold'],
+        enum: Object.keys(STATUS_TRANSITIONS),
         default: 'submitted'
     },
     applicationDate: {
@@ -183,7 +396,259 @@ const loanApplicationSchema = new mongoose.Schema({
         default: Date.now
     },
     ipAddress: String,
-    userAgent: String
+    userAgent: String,
+
+    // Where the lead came from
+    source: {
+        type: String,
+        enum: ['website', 'import'],
+        default: 'website'
+    },
+    importBatch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ImportBatch',
+        default: null,
+        index: true
+    },
+
+    // Admin user working this lead
+    assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        default: null,
+        index: true
+    },
+    assignedAt: {
+        type: Date,
+        default: null
+    },
+    assignedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        default: null // null when assigned automatically
+    },
+
+    // Uploaded KYC and income documents
+    documents: [applicationDocumentSchema],
+
+    // Eligibility estimate at the time of submission
+    eligibility: {
+        type: eligibilitySnapshotSchema,
+        default: null
+    },
+
+    // Lead score 0-100 (see LeadScoringConfig), recalculated when the application is edited
+    leadScore: {
+        type: Number,
+        default: null,
+        index: true
+    },
+    leadScoreBreakdown: [{
+        _id: false,
+        factor: String,
+        weight: Number,
+        value: mongoose.Schema.Types.Mixed,
+        points: Number
+    }],
+    leadScoredAt: {
+        type: Date,
+        default: null
+    },
+
+    // Website tracking visitorId sent with the form, links the lead to Visitor sessions
+    visitorId: {
+        type: String,
+        default: null
+    },
+
+    // Duplicate detection (set when an earlier application matches PAN / mobile / email)
+    duplicateOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LoanApplication',
+        default: null,
+        index: true
+    },
+    duplicateMatchedOn: [{
+        type: String,
+        enum: ['panCardNumber', 'mobileNumber', 'personalEmail']
+    }],
+    mergedReferences: [{
+        type: String // reference numbers of duplicates merged into this application
+    }],
+
+    // Sanction and disbursement (set through their own routes, which also move applicationStatus)
+    sanction: {
+        type: sanctionSchema,
+        default: null
+    },
+    disbursements: [disbursementSchema],
+    // Sum of disbursements, kept alongside them for statistics
+    disbursedAmount: {
+        type: Number,
+        default: 0
+    },
+    // Date of the disbursement that completed the loan
+    disbursedAt: {
+        type: Date,
+        default: null
+    },
+
+    // Set when personal data was erased (retention policy or erasure request); the record
+    // is kept for statistics and payouts without anything identifying the applicant
+    anonymizedAt: {
+        type: Date,
+        default: null
+    }
+});
+
+// Allocate a reference number for new applications
+loanApplicationSchema.pre('save', async function() {
+    if (!this.referenceNumber) {
+        this.referenceNumber = await Counter.nextReference(REFERENCE_CODES[this.loanType], this.applicationDate || new Date());
+    }
+});
+
+// Indexes for admin list filters
+loanApplicationSchema.index({ applicationDate: -1 });
+loanApplicationSchema.index({ loanType: 1, applicationStatus: 1 });
+
+// PII is encrypted at rest; PAN, mobile and email are looked up through blind indexes
+// (LoanApplication.blindIndexQuery). Address cities stay in plaintext for filters, routing and statistics.
+const ENCRYPTED_ADDRESS_FIELDS = {};
+['currentAddress', 'permanentAddress', 'companyAddress'].forEach(addressField => {
+    ['address', 'street', 'zipcode'].forEach(part => {
+        ENCRYPTED_ADDRESS_FIELDS[`${addressField}.${part}`] = { normalize: 'text' };
+    });
+});
+
+loanApplicationSchema.plugin(encryptedFieldsPlugin, {
+    fields: {
+        mobileNumber: { normalize: 'mobile', indexed: true, pattern: /^[0-9]{10}$/ },
+        personalEmail: { normalize: 'email', indexed: true, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+        panCardNumber: { normalize: 'pan', indexed: true, pattern: /^[A-Z]{5}[0-9]{4}[A-Z]{1}$/ },
+        ...ENCRYPTED_ADDRESS_FIELDS
+    }
+});
+
+// Documents this application needs, based on product and applicant details
+loanApplicationSchema.methods.getRequiredDocuments = function() {
+    const required = ['pan-card', 'aadhaar'];
+
+    switch (this.loanType) {
+        case 'business-loan':
+            required.push('bank-statement', 'itr');
+            if (this.gstRegistered === 'yes') required.push('gst-certificate');
+            break;
+        case 'personal-loan':
+        case 'instant-loan':
+        case 'car-loan':
+            required.push('bank-statement', this.employmentType === 'self-employed' ? 'itr' : 'salary-slip');
+            break;
+        case 'credit-card':
+            required.push(this.employmentType === 'self-employed' ? 'itr' : 'salary-slip');
+            break;
+    }
+
+    return required;
+};
+
+// Required documents checklist: what is verified, awaiting verification, rejected or missing
+loanApplicationSchema.methods.getDocumentChecklist = function() {
+    const required = this.getRequiredDocuments();
+    const checklist = required.map(documentType => {
+        const uploads = this.documents.filter(doc => doc.documentType === documentType);
+        let status = 'missing';
+        if (uploads.some(doc => doc.verificationStatus === 'verified')) status = 'verified';
+        else if (uploads.some(doc => doc.verificationStatus === 'pending')) status = 'pending';
+        else if (uploads.length > 0) status = 'rejected';
+
+        const rejected = uploads.filter(doc => doc.verificationStatus === 'rejected');
+        return {
+            documentType,
+            status,
+            rejectionReason: status === 'rejected' ? rejected[rejected.length - 1].rejectionReason : null
+        };
+    });
+
+    return {
+        required,
+        checklist,
+        // Rejected documents need a fresh upload, so they count as missing
+        missing: checklist.filter(item => item.status === 'missing' || item.status === 'rejected').map(item => item.documentType),
+        complete: checklist.every(item => item.status === 'verified')
+    };
+};
+
+// Fields copied from a duplicate when this application has no value for them
+const MERGEABLE_FIELDS = [
+    'loanAmount', 'insuranceType', 'accountType', 'maritalStatus', 'spouseName', 'motherName',
+    'employmentType', 'qualification', 'residenceType', 'companyName', 'designation', 'officialEmail',
+    'currentWorkExperience', 'totalWorkExperience', 'monthlyIncome', 'businessVintage', 'gstRegistered',
+    'itrReturn', 'monthlyInhandSalary', 'pfDeduction'
+];
+const MERGEABLE_ADDRESSES = ['currentAddress', 'permanentAddress', 'companyAddress'];
+
+const isBlank = (value) => value === null || value === undefined || value === '' || Number.isNaN(value);
+
+// Fill blank fields on this application from a duplicate; returns the list of fields filled
+loanApplicationSchema.methods.mergeFrom = function(duplicate) {
+    const filled = [];
+
+    MERGEABLE_FIELDS.forEach(field => {
+        if (isBlank(this[field]) && !isBlank(duplicate[field])) {
+            this[field] = duplicate[field];
+            filled.push(field);
+        }
+    });
+
+    MERGEABLE_ADDRESSES.forEach(addressField => {
+        ['address', 'street', 'city', 'zipcode'].forEach(part => {
+            const source = duplicate[addressField] && duplicate[addressField][part];
+            if (isBlank(this[addressField][part]) && !isBlank(source)) {
+                this[addressField][part] = source;
+                filled.push(`${addressField}.${part}`);
+            }
+        });
+    });
+
+    if (duplicate.referenceNumber) {
+        this.mergedReferences.push(duplicate.referenceNumber);
+    }
+
+    return filled;
+};
+
+loanApplicationSchema.statics.STATUSES = Object.keys(STATUS_TRANSITIONS);
+loanApplicationSchema.statics.REFERENCE_CODES = REFERENCE_CODES;
+loanApplicationSchema.statics.DOCUMENT_TYPES = DOCUMENT_TYPES;
+
+// Get the statuses an application can move to from its current status
+loanApplicationSchema.statics.getAllowedTransitions = function(fromStatus) {
+    return STATUS_TRANSITIONS[fromStatus] || [];
+};
+
+// Check whether a status change needs a reason
+loanApplicationSchema.statics.statusRequiresReason = function(status) {
+    return STATUSES_REQUIRING_REASON.includes(status);
+};
+
+// Check whether a status can only be reached by recording a sanction or disbursement
+loanApplicationSchema.statics.isRecordDrivenStatus = function(status) {
+    return RECORD_DRIVEN_STATUSES.includes(status);
+};
+
+// Deleting moves the record to the trash (restorable until purged)
+loanApplicationSchema.plugin(softDeletePlugin);
+
+// Admin changes are recorded in the audit log (personal data values redacted)
+loanApplicationSchema.plugin(auditTrailPlugin, {
+    redact: [
+        'fullName', 'mobileNumber', 'personalEmail', 'panCardNumber', 'spouseName', 'motherName', 'officialEmail',
+        'currentAddress.address', 'currentAddress.street', 'currentAddress.zipcode',
+        'permanentAddress.address', 'permanentAddress.street', 'permanentAddress.zipcode',
+        'companyAddress.address', 'companyAddress.street', 'companyAddress.zipcode',
+        'ipAddress', 'userAgent'
+    ]
 });
 
 // Create and export model
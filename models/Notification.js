@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// ===========================
+// Notification Schema - In-app notifications for admin users
+// ===========================
+const notificationSchema = new mongoose.Schema({
+    recipient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        required: true
+    },
+    type: {
+        type: String,
+        required: true // e.g. task-assigned, task-overdue, comment-mention
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    message: {
+        type: String,
+        default: ''
+    },
+    // What the notification is about, so the dashboard can link to it
+    entityType: {
+        type: String,
+        default: null
+    },
+    entityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    readAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+notificationSchema.index({ recipient: 1, readAt: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
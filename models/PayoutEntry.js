@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('./auditTrail');
+
+const RECONCILIATION_STATUSES = ['pending', 'partially-received', 'received', 'over-received', 'disputed'];
+
+// Differences below this (₹) count as fully received
+const RECONCILIATION_TOLERANCE = 1;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// ===========================
+// Payout Entry Schema - Commission ledger line for one disbursed loan application
+// ===========================
+const payoutEntrySchema = new mongoose.Schema({
+    application: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LoanApplication',
+        required: true,
+        unique: true
+    },
+    referenceNumber: {
+        type: String,
+        default: null
+    },
+    applicantName: {
+        type: String,
+        default: null
+    },
+    loanType: {
+        type: String,
+        required: true
+    },
+    lender: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lender',
+        default: null,
+        index: true
+    },
+    lenderName: {
+        type: String,
+        default: null
+    },
+    disbursedAmount: {
+        type: Number,
+        required: true
+    },
+    disbursedAt: {
+        type: Date,
+        default: null
+    },
+    // Month the payout is due in (YYYY-MM, from the disbursement date); statements are per month
+    statementMonth: {
+        type: String,
+        required: true,
+        index: true
+    },
+    slab: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CommissionSlab',
+        default: null
+    },
+    payoutPercent: {
+        type: Number,
+        default: 0
+    },
+    expectedAmount: {
+        type: Number,
+        default: 0
+    },
+    receipts: [{
+        amount: { type: Number, required: true },
+        receivedAt: { type: Date, default: Date.now },
+        reference: { type: String, default: null },
+        recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser', default: null }
+    }],
+    receivedAmount: {
+        type: Number,
+        default: 0
+    },
+    // Sub-agent who sourced the lead (free text for agents without a login)
+    agentName: {
+        type: String,
+        default: null
+    },
+    agentSharePercent: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 100
+    },
+    agentShareAmount: {
+        type: Number,
+        default: 0
+    },
+    agentPaidAt: {
+        type: Date,
+        default: null
+    },
+    // Set by an admin when the lender's payout does not match and needs follow-up
+    disputed: {
+        type: Boolean,
+        default: false
+    },
+    reconciliationStatus: {
+        type: String,
+        enum: RECONCILIATION_STATUSES,
+        default: 'pending',
+        index: true
+    },
+    notes: {
+        type: String,
+        default: ''
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Work out amounts and reconciliation status from the slab figures and receipts
+payoutEntrySchema.methods.recalculate = function() {
+    this.expectedAmount = roundMoney(this.disbursedAmount * this.payoutPercent / 100);
+    this.receivedAmount = roundMoney(this.receipts.reduce((sum, receipt) => sum + receipt.amount, 0));
+    this.agentShareAmount = roundMoney(this.expectedAmount * this.agentSharePercent / 100);
+
+    const difference = this.receivedAmount - this.expectedAmount;
+    if (this.disputed) this.reconciliationStatus = 'disputed';
+    else if (this.receivedAmount === 0) this.reconciliationStatus = 'pending';
+    else if (Math.abs(difference) < RECONCILIATION_TOLERANCE) this.reconciliationStatus = 'received';
+    else if (difference > 0) this.reconciliationStatus = 'over-received';
+    else this.reconciliationStatus = 'partially-received';
+};
+
+payoutEntrySchema.pre('save', function() {
+    this.recalculate();
+    this.updatedAt = new Date();
+});
+
+payoutEntrySchema.statics.RECONCILIATION_STATUSES = RECONCILIATION_STATUSES;
+
+// YYYY-MM for a date
+payoutEntrySchema.statics.monthOf = function(date) {
+    const value = date ? new Date(date) : new Date();
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// Admin changes are recorded in the audit log (personal data values redacted)
+payoutEntrySchema.plugin(auditTrailPlugin, { redact: ['applicantName'] });
+
+module.exports = mongoose.model('PayoutEntry', payoutEntrySchema);
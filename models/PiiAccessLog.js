@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// ===========================
+// PII Access Log Schema - Who revealed which masked applicant fields, and why
+// Entries are only ever inserted.
+// ===========================
+const piiAccessLogSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        required: true,
+        index: true
+    },
+    userName: {
+        type: String,
+        default: null
+    },
+    role: {
+        type: String,
+        default: null
+    },
+    // LoanApplication | CareerApplication | ApplicationDraft
+    entityType: {
+        type: String,
+        required: true
+    },
+    entityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        index: true
+    },
+    referenceNumber: {
+        type: String,
+        default: null
+    },
+    fields: [{
+        type: String
+    }],
+    reason: {
+        type: String,
+        default: ''
+    },
+    ipAddress: {
+        type: String,
+        default: null
+    },
+    userAgent: {
+        type: String,
+        default: null
+    },
+    revealedAt: {
+        type: Date,
+        default: Date.now,
+        index: true
+    }
+});
+
+module.exports = mongoose.model('PiiAccessLog', piiAccessLogSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('./auditTrail');
+
+// Date field each collection's age is measured from
+const DATE_FIELDS = {
+    LoanApplication: 'applicationDate',
+    CareerApplication: 'appliedAt',
+    ContactMessage: 'date',
+    Visitor: 'lastVisit'
+};
+
+// ===========================
+// Retention Policy Schema - How long each collection keeps personal data
+// The retention job anonymizes or deletes records older than retentionDays.
+// ===========================
+const retentionPolicySchema = new mongoose.Schema({
+    collectionName: {
+        type: String,
+        enum: Object.keys(DATE_FIELDS),
+        required: true,
+        unique: true
+    },
+    retentionDays: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // anonymize: strip personal data but keep the record for statistics; delete: remove it
+    action: {
+        type: String,
+        enum: ['anonymize', 'delete'],
+        default: 'anonymize'
+    },
+    enabled: {
+        type: Boolean,
+        default: false
+    },
+    lastRunAt: {
+        type: Date,
+        default: null
+    },
+    lastRunCount: {
+        type: Number,
+        default: 0
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser',
+        default: null
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Policies created on first start; disabled until an admin reviews and enables them
+const DEFAULT_POLICIES = [
+    { collectionName: 'LoanApplication', retentionDays: 1825, action: 'anonymize' },
+    { collectionName: 'CareerApplication', retentionDays: 730, action: 'delete' },
+    { collectionName: 'ContactMessage', retentionDays: 730, action: 'delete' },
+    { collectionName: 'Visitor', retentionDays: 365, action: 'anonymize' }
+];
+
+retentionPolicySchema.statics.DATE_FIELDS = DATE_FIELDS;
+retentionPolicySchema.statics.DEFAULT_POLICIES = DEFAULT_POLICIES;
+
+// Records this policy applies to (older than the cut-off)
+retentionPolicySchema.methods.getExpiredFilter = function(now = new Date()) {
+    const cutoff = new Date(now.getTime() - this.retentionDays * 24 * 60 * 60 * 1000);
+    return { [DATE_FIELDS[this.collectionName]]: { $lt: cutoff } };
+};
+
+// Admin changes are recorded in the audit log
+retentionPolicySchema.plugin(auditTrailPlugin);
+
+module.exports = mongoose.model('RetentionPolicy', retentionPolicySchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('./auditTrail');
+const { softDeletePlugin } = require('./softDelete');
 
 // ===========================
 // Visitor Schema - Track website visitors
@@ -172,6 +174,12 @@ const visitorSchema = new mongoose.Schema({
         type: String,
         default: ''
     },
+
+    // Set when IP, location and identification data were erased
+    anonymizedAt: {
+        type: Date,
+        default: null
+    },
     
     // Timestamps
     createdAt: {
@@ -199,4 +207,10 @@ visitorSchema.pre('save', function(next) {
     next();
 });
 
+// Deleting moves the record to the trash (restorable until purged)
+visitorSchema.plugin(softDeletePlugin);
+
+// Admin changes are recorded in the audit log (personal data values redacted)
+visitorSchema.plugin(auditTrailPlugin, { redact: ['ipAddress', 'location', 'identificationData', 'socialProfiles'] });
+
 module.exports = mongoose.model('Visitor', visitorSchema);
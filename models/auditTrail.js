@@ -0,0 +1,202 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const AuditLog = require('./AuditLog');
+
+// ===========================
+// Audit Trail - Records admin writes to audited models in the AuditLog
+// ===========================
+// bindRequestContext keeps the current request available to model hooks, so any create,
+// update or delete made while handling an authenticated admin request is logged with the
+// actor, IP, user agent and a field-level diff. Writes with no logged-in admin (public
+// forms, startup tasks, scheduled jobs) are not logged.
+//
+// Stream-based middleware (body parsers, multer) runs its callback outside the context,
+// so bindRequestContext must come after them.
+
+const requestContext = new AsyncLocalStorage();
+
+const bindRequestContext = (req, res, next) => requestContext.run({ req }, next);
+
+// Never stored in diffs (blind indexes are lookup keys derived from redacted fields)
+const IGNORED_FIELDS = ['_id', '__v', 'updatedAt', 'blindIndex'];
+
+const REDACTED = '[redacted]';
+
+// Lookups see trashed records too (see softDelete.js; other models ignore the option)
+const WITH_DELETED = { withDeleted: true };
+
+// Above this many matches, bulk updates are logged per record without a diff
+const BULK_DIFF_LIMIT = 1000;
+
+const isObjectId = (value) => value && value._bsontype === 'ObjectId';
+
+const isEmptyValue = (value) => value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0) ||
+    (value && value.constructor === Object && Object.keys(value).length === 0);
+
+// Flatten a plain object into dotted paths; arrays are kept whole
+const flatten = (value, prefix = '', result = {}) => {
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && !isObjectId(value) && !Buffer.isBuffer(value)) {
+        const keys = Object.keys(value);
+        if (keys.length === 0 && prefix) result[prefix] = {};
+        keys.forEach(key => flatten(value[key], prefix ? `${prefix}.${key}` : key, result));
+        return result;
+    }
+    if (prefix) result[prefix] = value;
+    return result;
+};
+
+// Value as stored in a diff; arrays of subdocuments are summarized
+const toAuditValue = (value) => {
+    if (value === undefined) return null;
+    if (isObjectId(value)) return String(value);
+    if (Array.isArray(value)) {
+        return value.every(item => item === null || typeof item !== 'object' || isObjectId(item) || item instanceof Date)
+            ? value.map(item => isObjectId(item) ? String(item) : item)
+            : `${value.length} item(s)`;
+    }
+    return value;
+};
+
+// Field-level diff of two plain objects; redact lists paths (or path prefixes) whose values are not stored
+const diffObjects = (before, after, redact) => {
+    const flatBefore = flatten(before || {});
+    const flatAfter = flatten(after || {});
+    const matches = (paths, field) => paths.some(path => field === path || field.startsWith(`${path}.`));
+    const changes = [];
+
+    new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]).forEach(field => {
+        if (matches(IGNORED_FIELDS, field)) return;
+        if (isEmptyValue(flatBefore[field]) && isEmptyValue(flatAfter[field])) return;
+        if (JSON.stringify(flatBefore[field]) === JSON.stringify(flatAfter[field])) return;
+        const redacted = matches(redact, field);
+        changes.push({
+            field,
+            before: redacted && flatBefore[field] != null ? REDACTED : toAuditValue(flatBefore[field]),
+            after: redacted && flatAfter[field] != null ? REDACTED : toAuditValue(flatAfter[field])
+        });
+    });
+    return changes;
+};
+
+// Write an audit entry for an admin request; failures are logged and never fail the request
+const recordAudit = async (req, entry) => {
+    if (!req || !req.user) return null;
+    try {
+        return await AuditLog.create({
+            actor: req.user.id,
+            actorName: req.user.fullName || null,
+            actorRole: req.user.role || null,
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            ipAddress: req.ip || (req.socket && req.socket.remoteAddress) || null,
+            userAgent: req.headers['user-agent'] || null,
+            ...entry
+        });
+    } catch (error) {
+        console.error('❌ Error writing audit log:', error.message);
+        return null;
+    }
+};
+
+const currentRequest = () => {
+    const store = requestContext.getStore();
+    return store && store.req && store.req.user ? store.req : null;
+};
+
+// ===========================
+// Mongoose plugin
+// ===========================
+// options.redact: paths (or prefixes) of personal data whose values are replaced by "[redacted]" in diffs
+const auditTrailPlugin = (schema, { redact = [] } = {}) => {
+    const record = (req, model, action, target, changes = []) => recordAudit(req, {
+        action,
+        entityType: model.modelName,
+        entityId: String(target._id),
+        referenceNumber: target.referenceNumber || null,
+        changes
+    });
+
+    // Document saves: diff against the stored version
+    schema.pre('save', async function() {
+        const req = currentRequest();
+        if (!req) return;
+        this.$locals.auditAction = this.isNew ? 'create' : 'update';
+        this.$locals.auditBefore = this.isNew ? {} : await this.constructor.findById(this._id).setOptions(WITH_DELETED).lean();
+    });
+
+    schema.post('save', async function() {
+        const req = currentRequest();
+        if (!req || !this.$locals.auditAction) return;
+        const changes = diffObjects(this.$locals.auditBefore, this.toObject({ getters: false, virtuals: false, depopulate: true }), redact);
+        const action = this.$locals.auditAction;
+        delete this.$locals.auditAction;
+        delete this.$locals.auditBefore;
+        if (action === 'update' && changes.length === 0) return;
+        await record(req, this.constructor, action, this, changes);
+    });
+
+    // Query updates: load the matching records before and after
+    schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], { document: false, query: true }, async function() {
+        if (!currentRequest()) return;
+        const query = this.model.find(this.getFilter()).setOptions(WITH_DELETED);
+        if (this.op !== 'updateMany') {
+            query.limit(1);
+        } else if (await this.model.countDocuments(this.getFilter()).setOptions(WITH_DELETED) > BULK_DIFF_LIMIT) {
+            query.select('_id referenceNumber');
+            this._auditSkipDiff = true;
+        }
+        this._auditBefore = await query.lean();
+    });
+
+    schema.post(['findOneAndUpdate', 'updateOne', 'updateMany'], { document: false, query: true }, async function() {
+        const req = currentRequest();
+        if (!req || !this._auditBefore) return;
+
+        if (this._auditBefore.length === 0) {
+            // Upserted record
+            if (!this.getOptions().upsert) return;
+            const created = await this.model.findOne(this.getFilter()).setOptions(WITH_DELETED).lean();
+            if (created) await record(req, this.model, 'create', created, diffObjects({}, created, redact));
+            return;
+        }
+
+        const afterById = new Map();
+        if (!this._auditSkipDiff) {
+            const after = await this.model.find({ _id: { $in: this._auditBefore.map(item => item._id) } }).setOptions(WITH_DELETED).lean();
+            after.forEach(item => afterById.set(String(item._id), item));
+        }
+
+        for (const before of this._auditBefore) {
+            if (this._auditSkipDiff) {
+                await record(req, this.model, 'update', before);
+                continue;
+            }
+            const changes = diffObjects(before, afterById.get(String(before._id)), redact);
+            if (changes.length > 0) await record(req, this.model, 'update', before, changes);
+        }
+    });
+
+    // Deletes: only ids and reference numbers are kept, never the deleted values
+    schema.pre(['findOneAndDelete', 'deleteOne', 'deleteMany'], { document: false, query: true }, async function() {
+        if (!currentRequest()) return;
+        const query = this.model.find(this.getFilter()).setOptions(WITH_DELETED).select('_id referenceNumber');
+        if (this.op !== 'deleteMany') query.limit(1);
+        this._auditDeleted = await query.lean();
+    });
+
+    schema.post(['findOneAndDelete', 'deleteOne', 'deleteMany'], { document: false, query: true }, async function() {
+        const req = currentRequest();
+        if (!req || !this._auditDeleted) return;
+        for (const deleted of this._auditDeleted) {
+            await record(req, this.model, 'delete', deleted);
+        }
+    });
+};
+
+module.exports = {
+    requestContext,
+    bindRequestContext,
+    recordAudit,
+    diffObjects,
+    auditTrailPlugin
+};
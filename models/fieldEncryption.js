@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+
+// ===========================
+// Field Encryption - Application-level encryption at rest for PII fields
+// ===========================
+// Values are encrypted with AES-256-GCM and stored as
+//   enc:v1:<keyId>:<iv>:<authTag>:<ciphertext>   (base64 parts)
+// so every value records the key it was encrypted with and old keys keep
+// decrypting after a rotation. Exact-match lookups use a deterministic
+// HMAC-SHA256 "blind index" of the normalized value stored next to it.
+//
+// Configuration:
+//   FIELD_ENCRYPTION_KEYS    comma-separated keyId:base64Key pairs (32-byte keys), e.g. "2026b:...,2026a:..."
+//   FIELD_ENCRYPTION_KEY_ID  key new values are encrypted with (defaults to the first key)
+//   BLIND_INDEX_KEY          base64 HMAC key for blind indexes; changing it requires rebuilding every index
+//
+// Both are required. Only with NODE_ENV=development or test does a missing key fall back to a random
+// key for the current process (data it encrypts cannot be read after a restart).
+//
+// Rotation: add the new key in front of FIELD_ENCRYPTION_KEYS (or set FIELD_ENCRYPTION_KEY_ID),
+// restart, call POST /api/security/rotate-encryption, then drop the old key.
+
+const PREFIX = 'enc:v1:';
+const EPHEMERAL_KEY_ENVIRONMENTS = ['development', 'test'];
+
+// Refuse to start without a configured key, except in development and test runs
+const missingKey = (name) => {
+    if (!EPHEMERAL_KEY_ENVIRONMENTS.includes(process.env.NODE_ENV)) {
+        throw new Error(`${name} is not set; field encryption needs configured keys (NODE_ENV=${process.env.NODE_ENV || 'unset'})`);
+    }
+    console.log(`⚠️  ${name} not set - using a random key for this process; values protected with it are unreadable after a restart`);
+    return crypto.randomBytes(32);
+};
+
+const loadKeys = () => {
+    const keys = new Map();
+    (process.env.FIELD_ENCRYPTION_KEYS || '').split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+        const separator = item.indexOf(':');
+        const keyId = item.slice(0, separator);
+        const key = Buffer.from(item.slice(separator + 1), 'base64');
+        if (separator < 1 || key.length !== 32) {
+            throw new Error(`FIELD_ENCRYPTION_KEYS entry "${keyId || item}" must be keyId:<32-byte base64 key>`);
+        }
+        keys.set(keyId, key);
+    });
+
+    if (keys.size === 0) {
+        keys.set('ephemeral', missingKey('FIELD_ENCRYPTION_KEYS'));
+    }
+    return keys;
+};
+
+const keys = loadKeys();
+const currentKeyId = process.env.FIELD_ENCRYPTION_KEY_ID || keys.keys().next().value;
+if (!keys.has(currentKeyId)) {
+    throw new Error(`FIELD_ENCRYPTION_KEY_ID "${currentKeyId}" is not in FIELD_ENCRYPTION_KEYS`);
+}
+const blindIndexKey = process.env.BLIND_INDEX_KEY
+    ? Buffer.from(process.env.BLIND_INDEX_KEY, 'base64')
+    : missingKey('BLIND_INDEX_KEY');
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+// Key id an encrypted value was written with (null for plaintext)
+const keyIdOf = (value) => isEncrypted(value) ? value.slice(PREFIX.length).split(':')[0] : null;
+
+// Always encrypts: callers pass plaintext, even when it happens to start with the prefix
+const encrypt = (value) => {
+    if (value === null || value === undefined || value === '') {
+        return value;
+    }
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', keys.get(currentKeyId), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    return `${PREFIX}${currentKeyId}:${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${ciphertext.toString('base64')}`;
+};
+
+// Decrypt a stored value; plaintext (records saved before encryption) passes through unchanged.
+// Throws on an unknown key or a tampered value - use decrypt() where a read must not fail
+const decryptStrict = (value) => {
+    if (!isEncrypted(value)) {
+        return value;
+    }
+    const [keyId, iv, tag, ciphertext] = value.slice(PREFIX.length).split(':');
+    const key = keys.get(keyId);
+    if (!key) {
+        throw new Error(`Missing field encryption key "${keyId}"`);
+    }
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+// Fail-safe decrypt used by getters and lean reads: an undecryptable value reads as null
+// instead of breaking every response that includes the record
+const decrypt = (value) => {
+    try {
+        return decryptStrict(value);
+    } catch (error) {
+        console.error('❌ Field decryption failed:', error.message);
+        return null;
+    }
+};
+
+const blindIndex = (value) => {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    return crypto.createHmac('sha256', blindIndexKey).update(String(value)).digest('hex');
+};
+
+// Normalizers applied before encrypting and indexing, so lookups match however the value was typed
+const NORMALIZERS = {
+    pan: (value) => String(value).trim().toUpperCase(),
+    mobile: (value) => String(value).replace(/\D/g, '').slice(-10),
+    email: (value) => String(value).trim().toLowerCase(),
+    text: (value) => String(value).trim(),
+    // Whole objects (Mixed paths) are stored as one encrypted JSON string
+    json: (value) => JSON.stringify(value)
+};
+
+// ===========================
+// Mongoose plugin
+// ===========================
+// fields: { path: { normalize: 'pan' | 'mobile' | 'email' | 'text' | 'json', indexed: Boolean, pattern: RegExp } }
+// - decrypts on read through getters (documents and toJSON / toObject)
+// - encrypts on save and on update queries (findOneAndUpdate / updateOne / updateMany)
+// - keeps blindIndex.<path> in step for indexed fields
+// - pattern is checked against the decrypted, normalized value (schema `match` would see ciphertext)
+const encryptedFieldsPlugin = (schema, { fields }) => {
+    const paths = Object.keys(fields);
+    const indexedPaths = paths.filter(path => fields[path].indexed);
+
+    const normalize = (path, value) => {
+        if (value === null || value === undefined || value === '') {
+            return value;
+        }
+        return NORMALIZERS[fields[path].normalize || 'text'](value);
+    };
+
+    // Stored value -> plain value; 'json' paths read back as objects (null if unreadable)
+    const read = (path, value) => {
+        const plain = decrypt(value);
+        if (fields[path].normalize !== 'json' || typeof plain !== 'string') {
+            return plain;
+        }
+        try {
+            return JSON.parse(plain);
+        } catch (error) {
+            console.error(`❌ Field ${path} is not valid JSON:`, error.message);
+            return null;
+        }
+    };
+
+    if (indexedPaths.length > 0) {
+        const blindIndexDefinition = {};
+        indexedPaths.forEach(path => {
+            blindIndexDefinition[path] = { type: String, default: null, select: false };
+        });
+        schema.add({ blindIndex: blindIndexDefinition });
+        indexedPaths.forEach(path => schema.index({ [`blindIndex.${path}`]: 1 }));
+    }
+
+    paths.forEach(path => {
+        schema.path(path).get(value => read(path, value));
+        if (fields[path].pattern) {
+            const { pattern } = fields[path];
+            schema.path(path).validate({
+                validator: (value) => value === null || value === undefined || pattern.test(normalize(path, decrypt(value))),
+                message: `Path \`${path}\` is invalid.`
+            });
+        }
+    });
+
+    schema.set('toObject', { ...schema.get('toObject'), getters: true, virtuals: false });
+    // Blind indexes are internal lookup keys; keep them out of API responses
+    schema.set('toJSON', {
+        ...schema.get('toJSON'),
+        getters: true,
+        virtuals: false,
+        transform: (doc, ret) => {
+            delete ret.blindIndex;
+            return ret;
+        }
+    });
+
+    // A value assigned through the document is always plaintext, whatever it looks like, so
+    // only unmodified values already in the stored format are left alone; unmodified plaintext
+    // (records saved before encryption) is encrypted on the next save
+    schema.pre('save', function() {
+        paths.forEach(path => {
+            const raw = this.get(path, null, { getters: false });
+            if (raw === null || raw === undefined || raw === '') {
+                return;
+            }
+            if (!this.isNew && !this.isModified(path) && isEncrypted(raw)) {
+                return;
+            }
+            const value = normalize(path, raw);
+            if (fields[path].indexed) {
+                this.set(`blindIndex.${path}`, blindIndex(value));
+            }
+            this.set(path, encrypt(value));
+        });
+    });
+
+    // Encrypt the values of an update; handles top-level, $set and whole nested objects.
+    // Update values are always plaintext - a value that merely looks encrypted is encrypted too
+    const encryptUpdate = function() {
+        const update = this.getUpdate();
+        if (!update) return;
+
+        const targets = [update];
+        if (update.$set) targets.push(update.$set);
+
+        targets.forEach(target => {
+            Object.keys(target).forEach(key => {
+                if (key.startsWith('$')) return;
+
+                const value = target[key];
+                // A whole nested object such as currentAddress: { address, street, city, zipcode }
+                if (!fields[key] && value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+                    Object.keys(value).forEach(child => {
+                        const path = `${key}.${child}`;
+                        if (fields[path]) {
+                            value[child] = encrypt(normalize(path, value[child]));
+                        }
+                    });
+                    return;
+                }
+
+                if (!fields[key]) return;
+                const normalized = normalize(key, value);
+                if (fields[key].indexed) {
+                    (update.$set = update.$set || {})[`blindIndex.${key}`] = blindIndex(normalized);
+                }
+                target[key] = encrypt(normalized);
+            });
+        });
+    };
+
+    schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], encryptUpdate);
+
+    // Query condition matching an indexed field exactly, e.g. LoanApplication.blindIndexQuery('panCardNumber', 'ABCDE1234F')
+    schema.statics.blindIndexQuery = function(path, value) {
+        return { [`blindIndex.${path}`]: blindIndex(normalize(path, value)) };
+    };
+
+    // Decrypt the encrypted paths of a plain object (lean queries, aggregations)
+    schema.statics.decryptObject = function(object) {
+        if (!object) return object;
+        paths.forEach(path => {
+            const parts = path.split('.');
+            const parent = parts.slice(0, -1).reduce((current, part) => current && current[part], object);
+            const last = parts[parts.length - 1];
+            if (parent && parent[last] !== undefined) {
+                parent[last] = read(path, parent[last]);
+            }
+        });
+        if (object.blindIndex) delete object.blindIndex;
+        return object;
+    };
+
+    // Re-encrypt records written with an older key (or still in plaintext) with the current key
+    // Returns the number of records updated
+    schema.statics.rotateEncryption = async function({ onlyPlaintext = false } = {}) {
+        const filter = onlyPlaintext && indexedPaths.length > 0
+            ? { [`blindIndex.${indexedPaths[0]}`]: null }
+            : {};
+        let updated = 0;
+
+        // withDeleted: trashed records are re-encrypted too (see softDelete.js)
+        for await (const record of this.find(filter).setOptions({ withDeleted: true }).select(paths.join(' ')).lean().cursor()) {
+            const $set = {};
+            paths.forEach(path => {
+                const raw = path.split('.').reduce((current, part) => current && current[part], record);
+                if (raw === null || raw === undefined || raw === '') return;
+                if (!isEncrypted(raw) || keyIdOf(raw) !== currentKeyId) {
+                    // Plaintext here is encrypted (and indexed) by the update hook; a value that
+                    // cannot be decrypted is left as stored rather than overwritten
+                    try {
+                        const plain = decryptStrict(raw);
+                        $set[path] = fields[path].normalize === 'json' && typeof plain === 'string' ? JSON.parse(plain) : plain;
+                    } catch (error) {
+                        console.error(`❌ Skipping ${path} of ${record._id} during rotation:`, error.message);
+                    }
+                }
+            });
+            if (Object.keys($set).length > 0) {
+                await this.updateOne({ _id: record._id }, { $set }, { withDeleted: true });
+                updated++;
+            }
+        }
+        return updated;
+    };
+};
+
+module.exports = {
+    encrypt,
+    decrypt,
+    isEncrypted,
+    keyIdOf,
+    blindIndex,
+    currentKeyId,
+    encryptedFieldsPlugin
+};
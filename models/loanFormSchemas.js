@@ -0,0 +1,267 @@
+// ===========================
+// Loan Form Schemas - Declarative field definitions per loanType
+// Drive server-side validation of submissions and are served to the
+// frontend (GET /api/forms/:loanType/schema) so both render and validate
+// from the same definition.
+// ===========================
+
+// Field properties:
+//   name       - form field name (as posted by the website form)
+//   target     - LoanApplication path to store the value in (defaults to name)
+//   type       - string | number | integer | enum | email | mobile | pan | zipcode
+//   label      - display label
+//   step       - step of the 3-step loan form the field belongs to
+//   required   - always required
+//   requiredIf - { field, equals | in } required only when another field matches
+//   showIf     - { field, equals | in } only collected when another field matches (stored as null otherwise)
+//   min / max  - numeric range, or string length for strings
+//   values     - allowed values for enums
+
+const YES_NO = ['yes', 'no'];
+
+const COMMON_FIELDS = [
+    { name: 'fullName', type: 'string', label: 'Full Name', step: 1, required: true, min: 2, max: 100 },
+    { name: 'mobileNumber', type: 'mobile', label: 'Mobile Number', step: 1, required: true },
+    { name: 'personalEmail', type: 'email', label: 'Personal Email', step: 1, required: true },
+    { name: 'panCardNumber', type: 'pan', label: 'PAN Card Number', step: 1, required: true }
+];
+
+const addressFields = (prefix, label, step) => [
+    { name: `${prefix}Address`, target: `${prefix}Address.address`, type: 'string', label: `${label} Address`, step, max: 250 },
+    { name: `${prefix}Street`, target: `${prefix}Address.street`, type: 'string', label: `${label} Street`, step, max: 150 },
+    { name: `${prefix}City`, target: `${prefix}Address.city`, type: 'string', label: `${label} City`, step, max: 100 },
+    { name: `${prefix}Zipcode`, target: `${prefix}Address.zipcode`, type: 'zipcode', label: `${label} Zipcode`, step }
+];
+
+// Steps 1 and 2 of the full loan form are the same for every loan product
+const LOAN_PERSONAL_FIELDS = [
+    { name: 'loanAmount', type: 'number', label: 'Loan Amount', step: 1, required: true, min: 1000, max: 100000000 },
+    ...COMMON_FIELDS,
+    { name: 'maritalStatus', type: 'enum', label: 'Marital Status', step: 1, values: ['single', 'married', 'divorced', 'widowed'] },
+    { name: 'spouseName', type: 'string', label: 'Spouse Name', step: 1, max: 100,
+        showIf: { field: 'maritalStatus', equals: 'married' }, requiredIf: { field: 'maritalStatus', equals: 'married' } },
+    { name: 'motherName', type: 'string', label: "Mother's Name", step: 1, max: 100 },
+    { name: 'employmentType', type: 'enum', label: 'Employment Type', step: 2, required: true, values: ['employed', 'self-employed'] },
+    { name: 'qualification', type: 'enum', label: 'Qualification', step: 2, values: ['10th', '12th', 'graduation', 'post-graduation', 'diploma'] },
+    { name: 'residenceType', type: 'enum', label: 'Residence Type', step: 2, values: ['owned', 'rented', 'company-provided', 'family'] },
+    ...addressFields('current', 'Current', 2),
+    ...addressFields('permanent', 'Permanent', 2)
+];
+
+const COMPANY_FIELDS = [
+    { name: 'companyName', type: 'string', label: 'Company Name', step: 3, max: 150 },
+    ...addressFields('company', 'Company', 3)
+];
+
+// Salaried / individual loan products
+const INDIVIDUAL_LOAN_FIELDS = [
+    ...LOAN_PERSONAL_FIELDS,
+    ...COMPANY_FIELDS,
+    { name: 'designation', type: 'string', label: 'Designation', step: 3, max: 100 },
+    { name: 'officialEmail', type: 'email', label: 'Official Email', step: 3 },
+    { name: 'currentWorkExperience', type: 'number', label: 'Current Work Experience (years)', step: 3, min: 0, max: 60 },
+    { name: 'totalWorkExperience', type: 'number', label: 'Total Work Experience (years)', step: 3, min: 0, max: 60 },
+    { name: 'monthlyInhandSalary', type: 'number', label: 'Monthly In-hand Salary', step: 3, min: 0,
+        showIf: { field: 'employmentType', equals: 'employed' }, requiredIf: { field: 'employmentType', equals: 'employed' } },
+    { name: 'pfDeduction', type: 'enum', label: 'PF Deduction', step: 3, values: YES_NO,
+        showIf: { field: 'employmentType', equals: 'employed' } }
+];
+
+const BUSINESS_LOAN_FIELDS = [
+    ...LOAN_PERSONAL_FIELDS,
+    ...COMPANY_FIELDS,
+    { name: 'designation', type: 'string', label: 'Designation', step: 3, max: 100 },
+    { name: 'officialEmail', type: 'email', label: 'Official Email', step: 3 },
+    { name: 'businessVintage', type: 'enum', label: 'Business Vintage (years)', step: 3, required: true, values: ['0-1', '1-2', '2-3', '3-5', '5-10', '10+'] },
+    { name: 'monthlyIncome', type: 'number', label: 'Monthly Income', step: 3, required: true, min: 0 },
+    { name: 'gstRegistered', type: 'enum', label: 'GST Registered', step: 3, values: YES_NO },
+    { name: 'itrReturn', type: 'enum', label: 'ITR Filed', step: 3, values: YES_NO }
+];
+
+const FORM_SCHEMAS = {
+    'personal-loan': { formType: 'full', title: 'Personal Loan', fields: INDIVIDUAL_LOAN_FIELDS },
+    'instant-loan': { formType: 'full', title: 'Instant Loan', fields: INDIVIDUAL_LOAN_FIELDS },
+    'car-loan': { formType: 'full', title: 'Car Loan', fields: INDIVIDUAL_LOAN_FIELDS },
+    'credit-card': { formType: 'full', title: 'Credit Card', fields: INDIVIDUAL_LOAN_FIELDS },
+    'business-loan': { formType: 'full', title: 'Business Loan', fields: BUSINESS_LOAN_FIELDS },
+    'insurance': {
+        formType: 'simple',
+        title: 'Insurance',
+        fields: [
+            ...COMMON_FIELDS,
+            { name: 'insuranceType', type: 'enum', label: 'Insurance Type', required: true, values: ['life-insurance', 'health-insurance', 'vehicle-insurance'] },
+            { name: 'monthlyIncome', type: 'number', label: 'Monthly Income', min: 0 }
+        ]
+    },
+    'bank-account': {
+        formType: 'simple',
+        title: 'Bank Account',
+        fields: [
+            ...COMMON_FIELDS,
+            { name: 'accountType', type: 'enum', label: 'Account Type', required: true, values: ['savings-account', 'current-account', 'salary-account'] },
+            { name: 'monthlyIncome', type: 'number', label: 'Monthly Income', min: 0 }
+        ]
+    },
+    'emi-card': {
+        formType: 'simple',
+        title: 'EMI Card',
+        fields: [
+            ...COMMON_FIELDS,
+            { name: 'employmentType', type: 'enum', label: 'Employment Type', required: true, values: ['employed', 'self-employed'] }
+        ]
+    }
+};
+
+const PATTERNS = {
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    mobile: /^[0-9]{10}$/,
+    pan: /^[A-Z]{5}[0-9]{4}[A-Z]{1}$/,
+    zipcode: /^[0-9]{6}$/
+};
+
+const isEmpty = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+const conditionMatches = (condition, data) => {
+    if (!condition) return true;
+    const value = data[condition.field];
+    if (condition.in) return condition.in.includes(value);
+    return value === condition.equals;
+};
+
+// Convert and check one value; returns { value } or { error: { code, message } }
+const checkValue = (field, raw) => {
+    const label = field.label || field.name;
+
+    switch (field.type) {
+        case 'number':
+        case 'integer': {
+            const value = typeof raw === 'number' ? raw : Number(String(raw).replace(/,/g, '').trim());
+            if (!Number.isFinite(value)) {
+                return { error: { code: 'type', message: `${label} must be a number` } };
+            }
+            if (field.type === 'integer' && !Number.isInteger(value)) {
+                return { error: { code: 'type', message: `${label} must be a whole number` } };
+            }
+            if (field.min !== undefined && value < field.min) {
+                return { error: { code: 'min', message: `${label} must be at least ${field.min}` } };
+            }
+            if (field.max !== undefined && value > field.max) {
+                return { error: { code: 'max', message: `${label} must be at most ${field.max}` } };
+            }
+            return { value };
+        }
+        case 'enum': {
+            const value = String(raw).trim();
+            if (!field.values.includes(value)) {
+                return { error: { code: 'enum', message: `${label} must be one of: ${field.values.join(', ')}` } };
+            }
+            return { value };
+        }
+        case 'email':
+        case 'mobile':
+        case 'pan':
+        case 'zipcode': {
+            let value = String(raw).trim();
+            if (field.type === 'pan') value = value.toUpperCase();
+            if (field.type === 'email') value = value.toLowerCase();
+            if (field.type === 'mobile') value = value.replace(/[\s-]/g, '');
+            if (!PATTERNS[field.type].test(value)) {
+                return { error: { code: 'format', message: `${label} is not valid` } };
+            }
+            return { value };
+        }
+        default: {
+            const value = String(raw).trim();
+            if (field.min !== undefined && value.length < field.min) {
+                return { error: { code: 'min', message: `${label} must be at least ${field.min} characters` } };
+            }
+            if (field.max !== undefined && value.length > field.max) {
+                return { error: { code: 'max', message: `${label} must be at most ${field.max} characters` } };
+            }
+            return { value };
+        }
+    }
+};
+
+const setPath = (obj, path, value) => {
+    const parts = path.split('.');
+    let current = obj;
+    parts.slice(0, -1).forEach(part => {
+        if (!current[part]) current[part] = {};
+        current = current[part];
+    });
+    current[parts[parts.length - 1]] = value;
+};
+
+// Validate form data for a loanType against its schema
+// options.steps   - only validate fields on these form steps (draft saves)
+// options.partial - do not report missing required fields (draft saves)
+// Returns { errors: [{ field, code, message }], data } where data is shaped like LoanApplication
+const validateForm = (loanType, body, options = {}) => {
+    const schema = FORM_SCHEMAS[loanType];
+    if (!schema) {
+        return {
+            errors: [{ field: 'loanType', code: 'enum', message: `loanType must be one of: ${Object.keys(FORM_SCHEMAS).join(', ')}` }],
+            data: null
+        };
+    }
+
+    const errors = [];
+    const data = { loanType };
+    const input = body || {};
+
+    schema.fields.forEach(field => {
+        const target = field.target || field.name;
+
+        if (options.steps && field.step && !options.steps.includes(field.step)) {
+            return;
+        }
+
+        if (!conditionMatches(field.showIf, input)) {
+            setPath(data, target, null);
+            return;
+        }
+
+        const raw = input[field.name];
+        if (isEmpty(raw)) {
+            const isRequired = field.required || (field.requiredIf && conditionMatches(field.requiredIf, input));
+            if (isRequired && !options.partial) {
+                errors.push({ field: field.name, code: 'required', message: `${field.label || field.name} is required` });
+            }
+            setPath(data, target, null);
+            return;
+        }
+
+        const { value, error } = checkValue(field, raw);
+        if (error) {
+            errors.push({ field: field.name, ...error });
+            return;
+        }
+        setPath(data, target, value);
+    });
+
+    return { errors, data };
+};
+
+// Serializable schema for the frontend
+const getFormSchema = (loanType) => {
+    const schema = FORM_SCHEMAS[loanType];
+    if (!schema) return null;
+    return {
+        loanType,
+        title: schema.title,
+        formType: schema.formType,
+        steps: schema.formType === 'full' ? 3 : 1,
+        fields: schema.fields.map(({ target, ...field }) => field)
+    };
+};
+
+// Every form field name across all products
+const FIELD_NAMES = ['loanType', ...new Set(Object.values(FORM_SCHEMAS).flatMap(schema => schema.fields.map(field => field.name)))];
+
+module.exports = {
+    LOAN_TYPES: Object.keys(FORM_SCHEMAS),
+    FIELD_NAMES,
+    validateForm,
+    getFormSchema
+};
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// ===========================
+// Soft Delete - Move records to the trash instead of deleting them
+// ===========================
+// Adds deletedAt / deletedBy / deletedByName. Reads (find, findOne, countDocuments, distinct and
+// aggregate) and query updates (updateOne, updateMany, findOneAndUpdate) skip trashed records
+// unless the filter mentions deletedAt or the query is run with the { withDeleted: true } option,
+// so lists and statistics never include them and edits never reach them. Trashed records are
+// deleted permanently by the trash purge job once their grace period is over.
+
+const READ_OPERATIONS = ['find', 'findOne', 'countDocuments', 'distinct'];
+const UPDATE_OPERATIONS = ['updateOne', 'updateMany', 'findOneAndUpdate'];
+
+// Does a filter already select on deletedAt (including inside $or / $and / $nor)?
+const mentionsDeletedAt = (filter) => Boolean(filter) && typeof filter === 'object' && Object.keys(filter).some(key =>
+    key === 'deletedAt' || (['$or', '$and', '$nor'].includes(key) && Array.isArray(filter[key]) && filter[key].some(mentionsDeletedAt))
+);
+
+const softDeletePlugin = (schema) => {
+    schema.add({
+        deletedAt: { type: Date, default: null, index: true },
+        deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser', default: null },
+        deletedByName: { type: String, default: null }
+    });
+
+    const skipTrashed = function() {
+        if (this.getOptions().withDeleted) {
+            delete this.options.withDeleted;
+            return;
+        }
+        if (!mentionsDeletedAt(this.getFilter())) {
+            this.where({ deletedAt: null });
+        }
+    };
+
+    schema.pre(READ_OPERATIONS, skipTrashed);
+    schema.pre(UPDATE_OPERATIONS, { document: false, query: true }, skipTrashed);
+
+    schema.pre('aggregate', function() {
+        if (this.options.withDeleted) {
+            delete this.options.withDeleted;
+            return;
+        }
+        const [firstStage] = this.pipeline();
+        if (!(firstStage && firstStage.$match && mentionsDeletedAt(firstStage.$match))) {
+            this.pipeline().unshift({ $match: { deletedAt: null } });
+        }
+    });
+
+    // Updates go through updateOne so records that no longer pass validation
+    // (e.g. anonymized applications) can still be trashed and restored
+    schema.methods.moveToTrash = async function(user) {
+        const trashed = {
+            deletedAt: new Date(),
+            deletedBy: user ? user.id : null,
+            deletedByName: user ? user.fullName : null
+        };
+        await this.constructor.updateOne({ _id: this._id }, { $set: trashed });
+        this.set(trashed);
+        return this;
+    };
+
+    schema.methods.restoreFromTrash = async function() {
+        const restored = { deletedAt: null, deletedBy: null, deletedByName: null };
+        await this.constructor.updateOne({ _id: this._id }, { $set: restored }, { withDeleted: true });
+        this.set(restored);
+        return this;
+    };
+};
+
+module.exports = {
+    softDeletePlugin
+};
@@ -4,11 +4,59 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
 const multer = require('multer');
 const cloudinary = require('cloudinary').v2;
+const ExcelJS = require('exceljs');
+const { EventEmitter } = require('events');
+const { parse: parseCsv } = require('csv-parse/sync');
 
 const app = express();
 
+// ===========================
+// Log Redaction
+// ===========================
+// Applicant PII must not reach server logs. Everything written through console is passed
+// through redactForLog, which blanks PII-named keys in logged objects and masks PAN,
+// email and mobile number patterns anywhere in the text (messages, errors, stack traces).
+const REDACTED_LOG_KEYS = new Set([
+    'panCardNumber', 'mobileNumber', 'personalEmail', 'officialEmail', 'email', 'phone',
+    'address', 'street', 'zipcode', 'blindIndex'
+]);
+const PII_LOG_PATTERNS = [
+    [/\b[A-Z]{5}[0-9]{4}[A-Z]\b/gi, '[PAN]'],
+    [/[^\s@"'`<>(),;:]+@[^\s@"'`<>(),;:]+\.[A-Za-z]{2,}/g, '[EMAIL]'],
+    [/(?:\+91[\s-]?)?\b[6-9]\d{9}\b/g, '[MOBILE]']
+];
+
+const redactLogText = (text) => PII_LOG_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+
+const redactForLog = (value, depth = 0, seen = new WeakSet()) => {
+    if (typeof value === 'string') return redactLogText(value);
+    if (value instanceof Error) return redactLogText(value.stack || value.message);
+    if (!value || typeof value !== 'object' || value instanceof Date || Buffer.isBuffer(value)) return value;
+    if (seen.has(value) || depth > 5) return '[Object]';
+    seen.add(value);
+
+    const source = typeof value.toObject === 'function' ? value.toObject() : value;
+    if (Array.isArray(source)) {
+        return source.map(item => redactForLog(item, depth + 1, seen));
+    }
+    const result = {};
+    Object.keys(source).forEach(key => {
+        result[key] = REDACTED_LOG_KEYS.has(key) && source[key] !== null && source[key] !== undefined
+            ? '[REDACTED]'
+            : redactForLog(source[key], depth + 1, seen);
+    });
+    return result;
+};
+
+['log', 'info', 'warn', 'error'].forEach(method => {
+    const write = console[method].bind(console);
+    console[method] = (...args) => write(...args.map(arg => redactForLog(arg)));
+});
+
 // ===========================
 // Cloudinary Configuration
 // ===========================
@@ -51,13 +99,126 @@ const upload = multer({
     }
 });
 
+// Separate upload config for CSV lead imports
+const csvUpload = multer({
+    storage: storage,
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB max
+    },
+    fileFilter: (req, file, cb) => {
+        const allowedTypes = ['text/csv', 'application/vnd.ms-excel', 'text/plain'];
+        if (allowedTypes.includes(file.mimetype) || file.originalname.toLowerCase().endsWith('.csv')) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Only CSV files are allowed.'), false);
+        }
+    }
+});
+
+// Upload config for loan application KYC / income documents
+const documentUpload = multer({
+    storage: storage,
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB max
+    },
+    fileFilter: (req, file, cb) => {
+        const allowedTypes = ['application/pdf', 'image/jpeg', 'image/png'];
+        if (allowedTypes.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Only PDF, JPG and PNG are allowed.'), false);
+        }
+    }
+});
+
+// ===========================
+// SMS Provider Configuration
+// ===========================
+// Providers implement send(mobileNumber, message) and return a Promise.
+// Select one with SMS_PROVIDER; register real gateways with registerSmsProvider().
+const smsProviders = {
+    // Development: print messages to the server console
+    console: {
+        send: async (mobileNumber, message) => {
+            console.log(`📱 SMS to ${mobileNumber}: ${message}`);
+        }
+    },
+    // Development: append messages to a local outbox file
+    file: {
+        send: async (mobileNumber, message) => {
+            const outbox = process.env.SMS_OUTBOX_FILE || path.join(__dirname, 'sms-outbox.log');
+            const line = `${new Date().toISOString()}\t${mobileNumber}\t${message}\n`;
+            await fs.promises.appendFile(outbox, line);
+        }
+    }
+};
+
+const registerSmsProvider = (name, provider) => {
+    if (!provider || typeof provider.send !== 'function') {
+        throw new Error(`SMS provider "${name}" must implement send(mobileNumber, message)`);
+    }
+    smsProviders[name] = provider;
+};
+
+// Helper function to send an SMS through the configured provider
+const sendSms = (mobileNumber, message) => {
+    const providerName = process.env.SMS_PROVIDER || 'console';
+    const provider = smsProviders[providerName];
+    if (!provider) {
+        return Promise.reject(new Error(`Unknown SMS provider: ${providerName}`));
+    }
+    return provider.send(mobileNumber, message);
+};
+
+// ===========================
+// Lender Adapter Configuration
+// ===========================
+// Adapters forward applications to partner lenders. Each implements
+//   submit(application, lender) -> Promise<{ lenderReference }>
+// and optionally
+//   getDecision(submission, application, lender) -> Promise<{ decision, notes }>
+// A lender picks its adapter by name (Lender.adapter); register real integrations with registerLenderAdapter().
+const lenderAdapters = {
+    // Sent outside the system (email, lender portal); decisions are recorded by hand
+    manual: {
+        submit: async () => ({ lenderReference: null })
+    },
+    // Local mock lender for development and testing: approves when the
+    // requested amount is within the application's eligibility estimate
+    mock: {
+        submit: async (application) => ({
+            lenderReference: `MOCK-${application.referenceNumber || application._id}-${Date.now().toString(36).toUpperCase()}`
+        }),
+        getDecision: async (submission, application) => {
+            const eligibility = application.eligibility;
+            if (eligibility && eligibility.eligible && application.loanAmount <= eligibility.eligibleAmount) {
+                return { decision: 'approved', notes: 'Approved by mock lender' };
+            }
+            return {
+                decision: 'rejected',
+                notes: eligibility && eligibility.reasons.length > 0
+                    ? eligibility.reasons.join('; ')
+                    : 'Requested amount exceeds eligibility'
+            };
+        }
+    }
+};
+
+const registerLenderAdapter = (name, adapter) => {
+    if (!adapter || typeof adapter.submit !== 'function') {
+        throw new Error(`Lender adapter "${name}" must implement submit(application, lender)`);
+    }
+    lenderAdapters[name] = adapter;
+};
+
 // ===========================
 // Middleware
 // ===========================
 app.use(cors({
     origin: '*',
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization'],
+    exposedHeaders: ['Content-Disposition']
 }));
 app.use(bodyParser.json({ limit: '10mb' }));
 app.use(bodyParser.urlencoded({ limit: '10mb', extended: true }));
@@ -72,23 +233,43 @@ if (process.env.NODE_ENV !== 'production') {
 // ===========================
 const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/devkripafincrop';
 
-console.log('📍 Attempting to connect to MongoDB...');
-console.log('🔗 URI:', mongoUri);
+// Connect and run startup tasks (called when the server is started, not when tests require the app)
+function connectDatabase() {
+    console.log('📍 Attempting to connect to MongoDB...');
+    console.log('🔗 URI:', mongoUri);
 
-mongoose.connect(mongoUri)
-    .then(async () => {
-        console.log('✅ MongoDB Connected Successfully');
+    return mongoose.connect(mongoUri)
+        .then(async () => {
+            console.log('✅ MongoDB Connected Successfully');
         
-        // Create default super admin if none exists
-        await createDefaultSuperAdmin();
-        // Create master admin if not exists
-        await createMasterAdmin();
-    })
-    .catch((err) => {
-        console.error('❌ MongoDB Connection Error:', err.message);
-        console.log('⚠️  Make sure your MongoDB Atlas connection string is correct');
-        console.log('📝 Update MONGODB_URI in .env file with your cluster connection string');
-    });
+            // Create default super admin if none exists
+            await createDefaultSuperAdmin();
+            // Create master admin if not exists
+            await createMasterAdmin();
+            // Give older applications a reference number
+            await backfillReferenceNumbers();
+            // Encrypt PII on applications saved before field encryption
+            await encryptLegacyApplications();
+            // Create default eligibility rules for products that have none
+            await createDefaultEligibilityRules();
+            // Add the mock lender for local testing of lender submissions
+            if (process.env.ENABLE_MOCK_LENDER === 'true') {
+                await createMockLender();
+            }
+            // Start flagging overdue follow-up tasks
+            startOverdueTaskJob();
+            // Create retention policies (disabled) and start the retention job
+            await createDefaultRetentionPolicies();
+            startRetentionJob();
+            // Permanently delete records left in the trash past the grace period
+            startTrashPurgeJob();
+        })
+        .catch((err) => {
+            console.error('❌ MongoDB Connection Error:', err.message);
+            console.log('⚠️  Make sure your MongoDB Atlas connection string is correct');
+            console.log('📝 Update MONGODB_URI in .env file with your cluster connection string');
+        });
+}
 
 // Function to create default super admin
 async function createDefaultSuperAdmin() {
@@ -150,6 +331,113 @@ async function createMasterAdmin() {
     }
 }
 
+// Function to create default eligibility rules
+async function createDefaultEligibilityRules() {
+    try {
+        const EligibilityRule = require('./models/EligibilityRule');
+        for (const rule of EligibilityRule.DEFAULT_RULES) {
+            await EligibilityRule.updateOne(
+                { loanType: rule.loanType },
+                { $setOnInsert: rule },
+                { upsert: true }
+            );
+        }
+    } catch (error) {
+        console.error('❌ Error creating default eligibility rules:', error.message);
+    }
+}
+
+// Function to create default retention policies (disabled until reviewed)
+async function createDefaultRetentionPolicies() {
+    try {
+        const RetentionPolicy = require('./models/RetentionPolicy');
+        for (const policy of RetentionPolicy.DEFAULT_POLICIES) {
+            await RetentionPolicy.updateOne(
+                { collectionName: policy.collectionName },
+                { $setOnInsert: policy },
+                { upsert: true }
+            );
+        }
+    } catch (error) {
+        console.error('❌ Error creating default retention policies:', error.message);
+    }
+}
+
+// Function to create the mock lender (uses the "mock" lender adapter) for local testing
+async function createMockLender() {
+    try {
+        const Lender = require('./models/Lender');
+        const EligibilityRule = require('./models/EligibilityRule');
+        await Lender.updateOne(
+            { code: 'mock-lender' },
+            {
+                $setOnInsert: {
+                    name: 'Mock Lender (testing)',
+                    code: 'mock-lender',
+                    lenderType: 'nbfc',
+                    adapter: 'mock',
+                    products: EligibilityRule.DEFAULT_RULES.map(rule => ({ loanType: rule.loanType }))
+                }
+            },
+            { upsert: true }
+        );
+    } catch (error) {
+        console.error('❌ Error creating mock lender:', error.message);
+    }
+}
+
+// Function to encrypt PII (and build blind indexes) on applications and drafts stored in plaintext
+async function encryptLegacyApplications() {
+    try {
+        const LoanApplication = require('./models/LoanApplication');
+        const ApplicationDraft = require('./models/ApplicationDraft');
+        const count = await LoanApplication.rotateEncryption({ onlyPlaintext: true });
+        if (count > 0) {
+            console.log(`✅ Encrypted personal data on ${count} existing applications`);
+        }
+        const draftCount = await ApplicationDraft.rotateEncryption({ onlyPlaintext: true });
+        if (draftCount > 0) {
+            console.log(`✅ Encrypted personal data on ${draftCount} existing drafts`);
+        }
+    } catch (error) {
+        console.error('❌ Error encrypting existing applications:', error.message);
+    }
+}
+
+// Function to allocate reference numbers to applications saved before they existed
+async function backfillReferenceNumbers() {
+    try {
+        const Counter = require('./models/Counter');
+        const LoanApplication = require('./models/LoanApplication');
+        const CareerApplication = require('./models/CareerApplication');
+        let count = 0;
+
+        const loans = await LoanApplication.find({ referenceNumber: { $exists: false } })
+            .select('loanType applicationDate')
+            .sort({ applicationDate: 1 });
+        for (const loan of loans) {
+            const referenceNumber = await Counter.nextReference(LoanApplication.REFERENCE_CODES[loan.loanType], loan.applicationDate);
+            await LoanApplication.updateOne({ _id: loan._id }, { referenceNumber });
+            count++;
+        }
+
+        const careers = await CareerApplication.find({ referenceNumber: { $exists: false } })
+            .select('appliedAt')
+            .sort({ appliedAt: 1 });
+        for (const career of careers) {
+            const referenceNumber = await Counter.nextReference('CR', career.appliedAt);
+            await CareerApplication.updateOne({ _id: career._id }, { referenceNumber });
+            count++;
+        }
+
+        if (count > 0) {
+            console.log(`✅ Assigned reference numbers to ${count} existing applications`);
+        }
+    } catch (error) {
+        console.error('❌ Error backfilling reference numbers:', error.message);
+    }
+}
+
 // ===========================
 // Models
 // ===========================
@@ -157,10 +445,58 @@ const LoanApplication = require('./models/LoanApplication');
 const CareerApplication = require('./models/CareerApplication');
 const AdminUser = require('./models/AdminUser');
 const Visitor = require('./models/Visitor');
+const ApplicationStatusHistory = require('./models/ApplicationStatusHistory');
+const ApplicantOtp = require('./models/ApplicantOtp');
+const ImportBatch = require('./models/ImportBatch');
+const EligibilityRule = require('./models/EligibilityRule');
+const LeadScoringConfig = require('./models/LeadScoringConfig');
+const loanFormSchemas = require('./models/loanFormSchemas');
+const ApplicationDraft = require('./models/ApplicationDraft');
+const AssignmentRule = require('./models/AssignmentRule');
+const ApplicationComment = require('./models/ApplicationComment');
+const FollowUpTask = require('./models/FollowUpTask');
+const Notification = require('./models/Notification');
+const Lender = require('./models/Lender');
+const LenderSubmission = require('./models/LenderSubmission');
+const CommissionSlab = require('./models/CommissionSlab');
+const PayoutEntry = require('./models/PayoutEntry');
+const fieldEncryption = require('./models/fieldEncryption');
+const PiiAccessLog = require('./models/PiiAccessLog');
+const RetentionPolicy = require('./models/RetentionPolicy');
+const ErasureRequest = require('./models/ErasureRequest');
+const AuditLog = require('./models/AuditLog');
+const { bindRequestContext, recordAudit, auditTrailPlugin } = require('./models/auditTrail');
+const { softDeletePlugin } = require('./models/softDelete');
+// Query option for reads and updates that also cover trashed records (retention, erasure, merges)
+const WITH_DELETED = { withDeleted: true };
+const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 
-// JWT Secret (should be in .env file)
-const JWT_SECRET = process.env.JWT_SECRET || 'devkripa-fincrop-secret-key-2025';
+// Secrets come from the environment (.env). Only development and test runs fall back to a random
+// value for the current process, so sessions and signatures made with it do not survive a restart.
+const requireSecret = (name) => {
+    if (process.env[name]) {
+        return process.env[name];
+    }
+    if (!['development', 'test'].includes(process.env.NODE_ENV)) {
+        throw new Error(`${name} is not set (NODE_ENV=${process.env.NODE_ENV || 'unset'})`);
+    }
+    console.log(`⚠️  ${name} not set - using a random value for this process`);
+    return crypto.randomBytes(32).toString('hex');
+};
+
+const JWT_SECRET = requireSecret('JWT_SECRET');
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Build a query matching either a Mongo ObjectId or a reference number (DKF-PL-2026-000123)
+const idOrReferenceQuery = (value) => {
+    if (mongoose.Types.ObjectId.isValid(value) && String(value).length === 24) {
+        return { _id: value };
+    }
+    return { referenceNumber: String(value).trim().toUpperCase() };
+};
 
 // Contact Message Schema (inline for simplicity)
 const contactMessageSchema = new mongoose.Schema({
@@ -170,8 +506,11 @@ const contactMessageSchema = new mongoose.Schema({
     service: { type: String, required: true },
     message: { type: String, required: true },
     status: { type: String, enum: ['new', 'in-progress', 'resolved'], default: 'new' },
-    date: { type: Date, default: Date.now }
+    date: { type: Date, default: Date.now },
+    anonymizedAt: { type: Date, default: null }
 });
+contactMessageSchema.plugin(softDeletePlugin);
+contactMessageSchema.plugin(auditTrailPlugin, { redact: ['name', 'email', 'phone', 'message'] });
 
 const ContactMessage = mongoose.model('ContactMessage', contactMessageSchema);
 
@@ -183,15 +522,260 @@ const faqSchema = new mongoose.Schema({
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
 });
+faqSchema.plugin(softDeletePlugin);
+faqSchema.plugin(auditTrailPlugin);
 
 const FAQ = mongoose.model('FAQ', faqSchema);
 
+// ===========================
+// Auth Middleware
+// ===========================
+
+// Middleware to verify JWT token
+const authenticateToken = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+        return res.status(401).json({ success: false, message: 'Access token required' });
+    }
+
+    jwt.verify(token, JWT_SECRET, (err, user) => {
+        if (err) {
+            return res.status(403).json({ success: false, message: 'Invalid or expired token' });
+        }
+        // Applicant tracker and draft resume tokens are not admin sessions
+        if (user.scope) {
+            return res.status(403).json({ success: false, message: 'Invalid or expired token' });
+        }
+        req.user = user;
+        next();
+    });
+};
+
+// Middleware to verify an applicant status-tracker token (issued after OTP verification)
+const authenticateApplicant = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+        return res.status(401).json({ success: false, message: 'Verification token required' });
+    }
+
+    jwt.verify(token, JWT_SECRET, (err, payload) => {
+        if (err || payload.scope !== 'applicant') {
+            return res.status(403).json({ success: false, message: 'Invalid or expired verification. Please request a new OTP.' });
+        }
+        req.applicant = payload;
+        next();
+    });
+};
+
+// Middleware to check if user is Super Admin
+const isSuperAdmin = (req, res, next) => {
+    if (req.user.role !== 'super-admin') {
+        return res.status(403).json({ success: false, message: 'Access denied. Super Admin only.' });
+    }
+    next();
+};
+
+// Middleware to check that the user's role grants a permission (or every one of several)
+// Usage: app.get('/path', requirePermission('applications:read'), handler)
+const requirePermission = (...permissions) => [
+    authenticateToken,
+    (req, res, next) => {
+        const granted = AdminUser.getRolePermissions(req.user.role);
+        const missing = permissions.filter(permission => !granted.includes(permission));
+        if (missing.length > 0) {
+            return res.status(403).json({
+                success: false,
+                message: `Access denied. Missing permission: ${missing.join(', ')}`
+            });
+        }
+        next();
+    }
+];
+
+// Marks a route as intentionally open to the public (website forms, tracking, login)
+const publicAccess = (req, res, next) => next();
+
+// Recent requests per key (e.g. "ip:1.2.3.4", "reference:PL-..."), as timestamps in ms, kept in
+// memory for the public routes that send SMS or check codes
+const rateLimitLog = new Map();
+
+// Record a request under key; returns true when key already made limit requests within windowMs
+const isRateLimited = (key, limit, windowMs) => {
+    const now = Date.now();
+    const recent = (rateLimitLog.get(key) || []).filter(time => now - time < windowMs);
+    const limited = recent.length >= limit;
+    if (!limited) recent.push(now);
+    rateLimitLog.set(key, recent);
+    return limited;
+};
+
+// Drop keys with no requests in the last hour
+setInterval(() => {
+    const cutoff = Date.now() - 60 * 60 * 1000;
+    rateLimitLog.forEach((times, key) => {
+        if (times.every(time => time < cutoff)) rateLimitLog.delete(key);
+    });
+}, 10 * 60 * 1000).unref();
+
+// ===========================
+// PII Masking
+// ===========================
+// Admin JSON responses mask applicant PII unless the caller's role has pii:view.
+// Single values can be revealed through the audited /reveal routes (pii:reveal).
+
+const maskMiddle = (value, keepStart, keepEnd) => {
+    const text = String(value);
+    if (text.length <= keepStart + keepEnd) return '*'.repeat(text.length);
+    return text.slice(0, keepStart) + '*'.repeat(text.length - keepStart - keepEnd) + text.slice(text.length - keepEnd);
+};
+
+const PII_MASKS = {
+    pan: (value) => maskMiddle(value, 5, 1),        // ABCDE****F
+    mobile: (value) => maskMiddle(value, 2, 2),     // 98******21
+    email: (value) => {                             // jo******@gmail.com
+        const [local, domain] = String(value).split('@');
+        return domain ? `${maskMiddle(local, Math.min(2, local.length - 1), 0)}@${domain}` : maskMiddle(value, 2, 0);
+    },
+    zipcode: (value) => maskMiddle(value, 2, 0),    // 41****
+    text: () => '****'
+};
+
+// Masked paths per model (dotted paths into the JSON form of a document)
+const addressPiiFields = (prefixes) => Object.assign({}, ...prefixes.map(prefix => ({
+    [`${prefix}.address`]: 'text',
+    [`${prefix}.street`]: 'text',
+    [`${prefix}.zipcode`]: 'zipcode'
+})));
+
+const PII_FIELDS = {
+    LoanApplication: {
+        mobileNumber: 'mobile',
+        personalEmail: 'email',
+        panCardNumber: 'pan',
+        officialEmail: 'email',
+        ...addressPiiFields(['currentAddress', 'permanentAddress', 'companyAddress'])
+    },
+    CareerApplication: {
+        email: 'email',
+        phone: 'mobile'
+    },
+    ApplicationDraft: {
+        mobileNumber: 'mobile',
+        personalEmail: 'email',
+        panCardNumber: 'pan',
+        'formData.mobileNumber': 'mobile',
+        'formData.personalEmail': 'email',
+        'formData.panCardNumber': 'pan',
+        'formData.officialEmail': 'email',
+        ...Object.assign({}, ...['current', 'permanent', 'company'].map(prefix => ({
+            [`formData.${prefix}Address`]: 'text',
+            [`formData.${prefix}Street`]: 'text',
+            [`formData.${prefix}Zipcode`]: 'zipcode'
+        })))
+    }
+};
+
+const canViewPii = (user) => AdminUser.getRolePermissions(user.role).includes('pii:view');
+
+// Mask the PII paths of a plain object in place
+const maskPiiFields = (object, fields) => {
+    Object.entries(fields).forEach(([path, mask]) => {
+        const parts = path.split('.');
+        const parent = parts.slice(0, -1).reduce((current, part) => current && current[part], object);
+        const last = parts[parts.length - 1];
+        if (parent && parent[last] !== null && parent[last] !== undefined && parent[last] !== '') {
+            parent[last] = PII_MASKS[mask](parent[last]);
+        }
+    });
+    return object;
+};
+
+// Walk a response body and mask documents of the models in PII_FIELDS
+const maskPiiDeep = (value) => {
+    if (value instanceof mongoose.Document) {
+        const json = value.toJSON();
+        const fields = PII_FIELDS[value.constructor.modelName];
+        return fields ? maskPiiFields(json, fields) : json;
+    }
+    if (Array.isArray(value)) {
+        return value.map(maskPiiDeep);
+    }
+    if (value && value.constructor === Object) {
+        const result = {};
+        Object.keys(value).forEach(key => {
+            result[key] = maskPiiDeep(value[key]);
+        });
+        return result;
+    }
+    return value;
+};
+
+// Response serialization layer: mask PII in every admin JSON response for roles without pii:view
+app.use((req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => json(req.user && !canViewPii(req.user) ? maskPiiDeep(body) : body);
+    next();
+});
+
+// Record a PII reveal for the audit trail
+const logPiiAccess = (req, entityType, record, fields, reason) => PiiAccessLog.create({
+    user: req.user.id,
+    userName: req.user.fullName,
+    role: req.user.role,
+    entityType,
+    entityId: record._id,
+    referenceNumber: record.referenceNumber || null,
+    fields,
+    reason: reason || '',
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.headers['user-agent'] || null
+});
+
+// Read the requested PII paths from a document (decrypted through its getters)
+const readPiiFields = (record, fields) => {
+    const values = {};
+    fields.forEach(path => {
+        const value = record.get(path);
+        values[path] = value === undefined ? null : value;
+    });
+    return values;
+};
+
+// ===========================
+// Audit Trail
+// ===========================
+// Writes to audited models are logged by auditTrailPlugin (models/auditTrail.js) using the
+// request bound here; sensitive reads are logged per route with auditRead.
+
+app.use(bindRequestContext);
+
+// Record a sensitive read (record view, export, file download, reveal) once it has been served
+// describe(req) optionally returns details to store, e.g. the export filters
+const auditRead = (entityType, action = 'read', describe) => (req, res, next) => {
+    res.on('finish', () => {
+        if (res.statusCode >= 400) return;
+        const entityId = req.params.id || null;
+        recordAudit(req, {
+            action,
+            entityType,
+            entityId,
+            referenceNumber: entityId && !mongoose.Types.ObjectId.isValid(entityId) ? String(entityId).toUpperCase() : null,
+            details: describe ? describe(req) : null
+        });
+    });
+    next();
+};
+
 // ===========================
 // Routes
 // ===========================
 
 // Health check / API info route
-app.get('/', (req, res) => {
+app.get('/', publicAccess, (req, res) => {
     res.json({
         success: true,
         message: 'DevKripa Fincrop API Server',
@@ -201,7 +785,8 @@ app.get('/', (req, res) => {
             contact: '/api/contact-messages',
             faqs: '/api/faqs',
             career: '/api/career/applications',
-            statistics: '/api/statistics'
+            statistics: '/api/statistics',
+            trackApplication: '/api/track/status'
         }
     });
 });
@@ -210,150 +795,143 @@ app.get('/', (req, res) => {
 // API Routes
 // ===========================
 
+// Applications with the same PAN, mobile or email within this window are flagged as duplicates
+const DUPLICATE_WINDOW_HOURS = parseInt(process.env.DUPLICATE_WINDOW_HOURS) || 24;
+
+// Find the earlier application a new submission most likely duplicates
+// Returns { original, matchedOn } or null
+async function findLikelyDuplicate(applicationData) {
+    const since = new Date(Date.now() - DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000);
+    const email = applicationData.personalEmail ? String(applicationData.personalEmail).trim() : null;
+
+    // PAN, mobile and email are encrypted; match them through their blind indexes
+    const original = await LoanApplication.findOne({
+        duplicateOf: null,
+        applicationDate: { $gte: since },
+        $or: [
+            LoanApplication.blindIndexQuery('panCardNumber', applicationData.panCardNumber),
+            LoanApplication.blindIndexQuery('mobileNumber', applicationData.mobileNumber),
+            ...(email ? [LoanApplication.blindIndexQuery('personalEmail', email)] : [])
+        ]
+    }).sort({ applicationDate: 1 });
+
+    if (!original) {
+        return null;
+    }
+
+    const matchedOn = [];
+    if (original.panCardNumber === applicationData.panCardNumber) matchedOn.push('panCardNumber');
+    if (original.mobileNumber === applicationData.mobileNumber) matchedOn.push('mobileNumber');
+    if (email && original.personalEmail && original.personalEmail.toLowerCase() === email.toLowerCase()) matchedOn.push('personalEmail');
+
+    return { original, matchedOn };
+}
+
+// Sum website activity of the visitor behind an application (by tracked visitorId, phone or email)
+async function getVisitorEngagement(application) {
+    const matches = [{ 'identificationData.phone': application.mobileNumber }];
+    if (application.visitorId) matches.push({ visitorId: application.visitorId });
+    if (application.personalEmail) matches.push({ 'identificationData.email': application.personalEmail });
+
+    const [engagement] = await Visitor.aggregate([
+        { $match: { isBot: false, $or: matches } },
+        { $group: {
+            _id: null,
+            visits: { $sum: 1 },
+            timeOnSite: { $sum: '$totalTimeOnSite' },
+            pageViews: { $sum: '$totalPageViews' }
+        }}
+    ]);
+
+    return engagement || { visits: 0, timeOnSite: 0, pageViews: 0 };
+}
+
+// Calculate and set leadScore / leadScoreBreakdown on an application document
+async function applyLeadScore(application, config) {
+    const scoringConfig = config || await LeadScoringConfig.getActive();
+    const engagement = await getVisitorEngagement(application);
+    const { score, breakdown, scoredAt } = scoringConfig.score(application, engagement);
+
+    application.leadScore = score;
+    application.leadScoreBreakdown = breakdown;
+    application.leadScoredAt = scoredAt;
+    return application;
+}
+
+// Save a validated application: stamps eligibility, flags duplicates, auto-assigns,
+// scores the lead and starts the status timeline. Used by the website form, CSV import and drafts.
+// options: { comment, changedBy, changedByName, scoringConfig }
+// Returns { application, duplicate }
+async function createLoanApplication(applicationData, options = {}) {
+    // Stamp an eligibility estimate
+    applicationData.eligibility = await EligibilityRule.evaluateFor(applicationData);
+
+    // Flag likely duplicates of a recent application
+    const duplicate = await findLikelyDuplicate(applicationData);
+    if (duplicate) {
+        applicationData.duplicateOf = duplicate.original._id;
+        applicationData.duplicateMatchedOn = duplicate.matchedOn;
+    }
+
+    // Auto-assign using the first matching assignment rule
+    if (!applicationData.assignedTo) {
+        const assignee = await AssignmentRule.pickAssignee(applicationData);
+        if (assignee) {
+            applicationData.assignedTo = assignee;
+            applicationData.assignedAt = new Date();
+        }
+    }
+
+    const application = new LoanApplication(applicationData);
+    await applyLeadScore(application, options.scoringConfig);
+    await application.save();
+
+    // Start the status timeline
+    await ApplicationStatusHistory.create({
+        application: application._id,
+        fromStatus: null,
+        toStatus: application.applicationStatus,
+        comment: options.comment || 'Application submitted',
+        changedBy: options.changedBy || null,
+        changedByName: options.changedByName || null
+    });
+
+    return { application, duplicate };
+}
+
 /**
  * POST /api/submit-application
  * Submit loan application form (handles all form types)
  */
-app.post('/api/submit-application', async (req, res) => {
+app.post('/api/submit-application', publicAccess, async (req, res) => {
     try {
-        const {
-            loanType,
-            loanAmount,
-            fullName,
-            mobileNumber,
-            maritalStatus,
-            spouseName,
-            motherName,
-            employmentType,
-            personalEmail,
-            panCardNumber,
-            qualification,
-            residenceType,
-            currentAddress,
-            currentStreet,
-            currentCity,
-            currentZipcode,
-            permanentAddress,
-            permanentStreet,
-            permanentCity,
-            permanentZipcode,
-            companyName,
-            companyAddress,
-            companyStreet,
-            companyCity,
-            companyZipcode,
-            designation,
-            officialEmail,
-            currentWorkExperience,
-            totalWorkExperience,
-            // Business loan fields
-            businessVintage,
-            monthlyIncome,
-            gstRegistered,
-            itrReturn,
-            // Employee fields (non-business loans)
-            monthlyInhandSalary,
-            pfDeduction,
-            // Insurance specific
-            insuranceType,
-            // Bank account specific
-            accountType
-        } = req.body;
+        const { loanType, fullName, personalEmail } = req.body;
 
-        // Common required fields for all forms
-        if (!loanType || !fullName || !mobileNumber || !personalEmail || !panCardNumber) {
+        // Validate against the loanType's form schema
+        const { errors: fieldErrors, data: applicationData } = loanFormSchemas.validateForm(loanType, req.body);
+        if (fieldErrors.length > 0) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required fields'
+                message: 'Validation error',
+                errors: fieldErrors
             });
         }
 
-        // Determine form type and create appropriate application object
+        // Determine form type for logging
         const isSimpleForm = ['insurance', 'bank-account', 'emi-card'].includes(loanType);
-        
-        let applicationData = {
-            loanType,
-            fullName,
-            mobileNumber,
-            personalEmail,
-            panCardNumber: panCardNumber ? panCardNumber.toUpperCase() : null,
-            ipAddress: req.ip || req.connection.remoteAddress,
-            userAgent: req.get('user-agent')
-        };
-
-        if (loanType === 'insurance') {
-            // Insurance Form: Simple fields only
-            applicationData.monthlyIncome = monthlyIncome ? parseFloat(monthlyIncome) : null;
-            applicationData.insuranceType = insuranceType;
-        } else if (loanType === 'bank-account') {
-            // Bank Account Form: Simple fields only
-            applicationData.monthlyIncome = monthlyIncome ? parseFloat(monthlyIncome) : null;
-            applicationData.accountType = accountType;
-        } else if (loanType === 'emi-card') {
-            // EMI Card Form: Simple fields only
-            applicationData.employmentType = employmentType;
-        } else {
-            // Full Loan Application Form (3 Steps)
-            if (!loanAmount) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Loan amount is required'
-                });
-            }
-
-            applicationData = {
-                ...applicationData,
-                loanAmount: parseFloat(loanAmount),
-                maritalStatus,
-                spouseName: maritalStatus === 'married' ? spouseName : null,
-                motherName,
-                employmentType,
-                qualification,
-                residenceType,
-                currentAddress: {
-                    address: currentAddress,
-                    street: currentStreet,
-                    city: currentCity,
-                    zipcode: currentZipcode
-                },
-                permanentAddress: {
-                    address: permanentAddress,
-                    street: permanentStreet,
-                    city: permanentCity,
-                    zipcode: permanentZipcode
-                },
-                companyName,
-                companyAddress: {
-                    address: companyAddress,
-                    street: companyStreet,
-                    city: companyCity,
-                    zipcode: companyZipcode
-                },
-                designation,
-                officialEmail,
-                currentWorkExperience: loanType !== 'business-loan' && currentWorkExperience ? parseInt(currentWorkExperience) : null,
-                totalWorkExperience: loanType !== 'business-loan' && totalWorkExperience ? parseInt(totalWorkExperience) : null,
-                // Business loan specific
-                businessVintage: loanType === 'business-loan' ? businessVintage : null,
-                monthlyIncome: loanType === 'business-loan' ? parseFloat(monthlyIncome) : null,
-                gstRegistered: loanType === 'business-loan' ? gstRegistered : null,
-                itrReturn: loanType === 'business-loan' ? itrReturn : null,
-                // Employee specific (non-business loans)
-                monthlyInhandSalary: (loanType !== 'business-loan' && employmentType === 'employed') ? parseFloat(monthlyInhandSalary) : null,
-                pfDeduction: (loanType !== 'business-loan' && employmentType === 'employed') ? pfDeduction : null
-            };
-        }
 
-        // Create new application
-        const newApplication = new LoanApplication(applicationData);
+        applicationData.ipAddress = req.ip || req.connection.remoteAddress;
+        applicationData.userAgent = req.get('user-agent');
+        applicationData.visitorId = req.body.visitorId || null;
 
-        // Save to database
-        const savedApplication = await newApplication.save();
+        const { application: savedApplication, duplicate } = await createLoanApplication(applicationData);
 
         console.log('✅ Application saved successfully:', {
             id: savedApplication._id,
+            referenceNumber: savedApplication.referenceNumber,
+            duplicateOf: duplicate ? duplicate.original.referenceNumber : null,
+            leadScore: savedApplication.leadScore,
             name: fullName,
-            email: personalEmail,
             loanType: loanType,
             formType: isSimpleForm ? 'Simple Form' : 'Full Loan Form'
         });
@@ -362,7 +940,8 @@ app.post('/api/submit-application', async (req, res) => {
             success: true,
             message: 'Application submitted successfully',
             applicationId: savedApplication._id,
-            data: savedApplication
+            referenceNumber: savedApplication.referenceNumber,
+            applicationStatus: savedApplication.applicationStatus
         });
 
     } catch (error) {
@@ -370,11 +949,15 @@ app.post('/api/submit-application', async (req, res) => {
 
         // Mongoose validation errors
         if (error.name === 'ValidationError') {
-            const messages = Object.values(error.errors).map(err => err.message);
+            const fieldErrors = Object.values(error.errors).map(err => ({
+                field: err.path,
+                code: err.kind,
+                message: err.message
+            }));
             return res.status(400).json({
                 success: false,
                 message: 'Validation error',
-                errors: messages
+                errors: fieldErrors
             });
         }
 
@@ -386,705 +969,6242 @@ app.post('/api/submit-application', async (req, res) => {
     }
 });
 
-/**
- * GET /api/applications
- * Get all applications (for admin dashboard)
- */
-app.get('/api/applications', async (req, res) => {
-    try {
-        const applications = await LoanApplication.find()
-            .sort({ applicationDate: -1 })
-            .limit(100);
+// Columns the application list can be sorted by
+const APPLICATION_SORT_FIELDS = ['applicationDate', 'loanAmount', 'fullName', 'loanType', 'applicationStatus', 'monthlyInhandSalary', 'monthlyIncome', 'leadScore'];
 
-        res.json({
-            success: true,
-            count: applications.length,
-            data: applications
-        });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            message: 'Error fetching applications',
-            error: error.message
-        });
+// Repeated query params (?city=a&city=b) arrive as arrays; filters use the first value, as a string
+const singleQueryValue = (value) => {
+    if (Array.isArray(value)) return singleQueryValue(value[0]);
+    return value === undefined || value === null ? undefined : String(value);
+};
+
+// Build a LoanApplication filter from list query params (shared by list and export)
+// Returns { filter }, or { error } when a date, amount or assignee param is malformed
+function buildApplicationFilter(query) {
+    const {
+        loanType,
+        applicationStatus,
+        employmentType,
+        city,
+        startDate,
+        endDate,
+        minAmount,
+        maxAmount,
+        isDuplicate,
+        assignedTo,
+        search
+    } = Object.fromEntries(Object.entries(query).map(([key, value]) => [key, singleQueryValue(value)]));
+
+    let filter = {};
+
+    // Loan type filter
+    if (loanType && loanType !== 'all') {
+        filter.loanType = loanType;
+    }
+
+    // Status filter
+    if (applicationStatus && applicationStatus !== 'all') {
+        filter.applicationStatus = applicationStatus;
+    }
+
+    // Employment type filter
+    if (employmentType && employmentType !== 'all') {
+        filter.employmentType = employmentType;
+    }
+
+    // City filter (current address)
+    if (city && city !== 'all') {
+        filter['currentAddress.city'] = { $regex: `^${escapeRegex(city.trim())}$`, $options: 'i' };
+    }
+
+    // Date filter
+    if (startDate || endDate) {
+        filter.applicationDate = {};
+        if (startDate) filter.applicationDate.$gte = new Date(startDate);
+        if (endDate) filter.applicationDate.$lte = new Date(endDate);
+        if (Object.values(filter.applicationDate).some(date => isNaN(date.getTime()))) {
+            return { error: 'startDate and endDate must be valid dates' };
+        }
+    }
+
+    // Loan amount range filter
+    if (minAmount || maxAmount) {
+        filter.loanAmount = {};
+        if (minAmount) filter.loanAmount.$gte = parseFloat(minAmount);
+        if (maxAmount) filter.loanAmount.$lte = parseFloat(maxAmount);
+        if (Object.values(filter.loanAmount).some(amount => !Number.isFinite(amount))) {
+            return { error: 'minAmount and maxAmount must be numbers' };
+        }
     }
-});
+
+    // Assignee filter
+    if (assignedTo && assignedTo !== 'all') {
+        if (assignedTo !== 'unassigned' && !mongoose.Types.ObjectId.isValid(assignedTo)) {
+            return { error: 'assignedTo must be an admin id or "unassigned"' };
+        }
+        filter.assignedTo = assignedTo === 'unassigned' ? null : assignedTo;
+    }
+
+    // Duplicate filter
+    if (isDuplicate !== undefined) {
+        filter.duplicateOf = isDuplicate === 'true' ? { $ne: null } : null;
+    }
+
+    // Free-text search: partial match on name and reference number; mobile, email and PAN
+    // are encrypted, so they match only in full (through their blind indexes)
+    if (search && search.trim()) {
+        const term = search.trim();
+        const pattern = escapeRegex(term);
+        filter.$or = [
+            { fullName: { $regex: pattern, $options: 'i' } },
+            { referenceNumber: { $regex: pattern, $options: 'i' } },
+            LoanApplication.blindIndexQuery('mobileNumber', term),
+            LoanApplication.blindIndexQuery('personalEmail', term),
+            LoanApplication.blindIndexQuery('panCardNumber', term)
+        ];
+    }
+
+    return { filter };
+}
+
+// Build a sort object from sortBy / sortOrder query params
+function buildApplicationSort(query) {
+    const sortBy = APPLICATION_SORT_FIELDS.includes(query.sortBy) ? query.sortBy : 'applicationDate';
+    const sortOrder = query.sortOrder === 'asc' ? 1 : -1;
+
+    // Tie-break on _id so pages are stable
+    return { [sortBy]: sortOrder, _id: sortOrder };
+}
 
 /**
- * GET /api/applications/:id
- * Get single application by ID
+ * GET /api/applications
+ * Get applications (for admin dashboard)
+ * Query: page, limit, loanType, applicationStatus, employmentType, city,
+ *        startDate, endDate, minAmount, maxAmount, isDuplicate, assignedTo (id | unassigned),
+ *        search, sortBy, sortOrder
  */
-app.get('/api/applications/:id', async (req, res) => {
+app.get('/api/applications', requirePermission('applications:read'), async (req, res) => {
     try {
-        const application = await LoanApplication.findById(req.params.id);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
 
-        if (!application) {
-            return res.status(404).json({
+        const { filter, error: filterError } = buildApplicationFilter(req.query);
+        if (filterError) {
+            return res.status(400).json({
                 success: false,
-                message: 'Application not found'
+                message: filterError
             });
         }
+        const skip = (page - 1) * limit;
+
+        const applications = await LoanApplication.find(filter)
+            .sort(buildApplicationSort(req.query))
+            .skip(skip)
+            .limit(limit);
+
+        const total = await LoanApplication.countDocuments(filter);
 
         res.json({
             success: true,
-            data: application
+            count: applications.length,
+            total,
+            page,
+            totalPages: Math.ceil(total / limit),
+            data: applications
         });
     } catch (error) {
         res.status(500).json({
             success: false,
-            message: 'Error fetching application',
+            message: 'Error fetching applications',
             error: error.message
         });
     }
 });
 
+// Columns available in application exports (nested addresses are flattened)
+const APPLICATION_EXPORT_COLUMNS = [
+    { key: 'referenceNumber', header: 'Reference Number' },
+    { key: 'applicationDate', header: 'Application Date' },
+    { key: 'loanType', header: 'Loan Type' },
+    { key: 'applicationStatus', header: 'Status' },
+    { key: 'leadScore', header: 'Lead Score' },
+    { key: 'fullName', header: 'Full Name' },
+    { key: 'mobileNumber', header: 'Mobile Number' },
+    { key: 'personalEmail', header: 'Personal Email' },
+    { key: 'panCardNumber', header: 'PAN' },
+    { key: 'loanAmount', header: 'Loan Amount' },
+    { key: 'insuranceType', header: 'Insurance Type' },
+    { key: 'accountType', header: 'Account Type' },
+    { key: 'maritalStatus', header: 'Marital Status' },
+    { key: 'spouseName', header: 'Spouse Name' },
+    { key: 'motherName', header: 'Mother Name' },
+    { key: 'employmentType', header: 'Employment Type' },
+    { key: 'qualification', header: 'Qualification' },
+    { key: 'residenceType', header: 'Residence Type' },
+    { key: 'currentAddress.address', header: 'Current Address' },
+    { key: 'currentAddress.street', header: 'Current Street' },
+    { key: 'currentAddress.city', header: 'Current City' },
+    { key: 'currentAddress.zipcode', header: 'Current Zipcode' },
+    { key: 'permanentAddress.address', header: 'Permanent Address' },
+    { key: 'permanentAddress.street', header: 'Permanent Street' },
+    { key: 'permanentAddress.city', header: 'Permanent City' },
+    { key: 'permanentAddress.zipcode', header: 'Permanent Zipcode' },
+    { key: 'companyName', header: 'Company Name' },
+    { key: 'companyAddress.address', header: 'Company Address' },
+    { key: 'companyAddress.street', header: 'Company Street' },
+    { key: 'companyAddress.city', header: 'Company City' },
+    { key: 'companyAddress.zipcode', header: 'Company Zipcode' },
+    { key: 'designation', header: 'Designation' },
+    { key: 'officialEmail', header: 'Official Email' },
+    { key: 'currentWorkExperience', header: 'Current Work Experience' },
+    { key: 'totalWorkExperience', header: 'Total Work Experience' },
+    { key: 'monthlyIncome', header: 'Monthly Income' },
+    { key: 'businessVintage', header: 'Business Vintage' },
+    { key: 'gstRegistered', header: 'GST Registered' },
+    { key: 'itrReturn', header: 'ITR Return' },
+    { key: 'monthlyInhandSalary', header: 'Monthly In-hand Salary' },
+    { key: 'pfDeduction', header: 'PF Deduction' }
+];
+
+// Read a dotted path (e.g. "currentAddress.city") from a plain object
+const getPath = (obj, key) => key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), obj);
+
+// Format one CSV cell; quotes as needed and neutralizes spreadsheet formulas
+const toCsvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        text = `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+};
+
+// Wait until a response can take more data or the client has gone away
+// (resolves at once when the response is already closed, since 'close' will not fire again)
+const waitForDrain = (res) => new Promise(resolve => {
+    if (res.destroyed || res.writableEnded) {
+        return resolve();
+    }
+    const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+});
+
 /**
- * PUT /api/applications/:id/status
- * Update application status
+ * GET /api/applications/export
+ * Stream applications as CSV or Excel
+ * Query: format=csv|xlsx, columns=comma,separated,keys, plus the list view filters and sort
  */
-app.put('/api/applications/:id/status', async (req, res) => {
+app.get('/api/applications/export', requirePermission('applications:export'), auditRead('LoanApplication', 'export', req => ({ query: req.query })), async (req, res) => {
+    let cursor = null;
     try {
-        const { status } = req.body;
+        const format = (req.query.format || 'csv').toLowerCase();
 
-        if (!status || !['submitted', 'under-review', 'approved', 'rejected', 'on-hold'].includes(status)) {
+        if (!['csv', 'xlsx'].includes(format)) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid status'
+                message: 'Invalid format. Use "csv" or "xlsx"'
             });
         }
 
-        const application = await LoanApplication.findByIdAndUpdate(
-            req.params.id,
-            { applicationStatus: status },
-            { new: true }
-        );
+        let columns = APPLICATION_EXPORT_COLUMNS;
+        if (req.query.columns) {
+            const requested = String(req.query.columns).split(',').map(key => key.trim()).filter(Boolean);
+            const unknown = requested.filter(key => !APPLICATION_EXPORT_COLUMNS.some(column => column.key === key));
+            if (unknown.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Unknown columns: ${unknown.join(', ')}`,
+                    availableColumns: APPLICATION_EXPORT_COLUMNS.map(column => column.key)
+                });
+            }
+            columns = requested.map(key => APPLICATION_EXPORT_COLUMNS.find(column => column.key === key));
+        }
 
-        if (!application) {
-            return res.status(404).json({
+        const { filter, error: filterError } = buildApplicationFilter(req.query);
+        if (filterError) {
+            return res.status(400).json({
                 success: false,
-                message: 'Application not found'
+                message: filterError
             });
         }
 
-        res.json({
-            success: true,
-            message: 'Status updated successfully',
-            data: application
-        });
+        cursor = LoanApplication.find(filter)
+            .sort(buildApplicationSort(req.query))
+            .lean()
+            .cursor();
+        const maskExport = !canViewPii(req.user);
+
+        const fileName = `applications-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.write(columns.map(column => toCsvCell(column.header)).join(',') + '\r\n');
+
+            for await (const application of cursor) {
+                LoanApplication.decryptObject(application);
+                if (maskExport) maskPiiFields(application, PII_FIELDS.LoanApplication);
+                const line = columns.map(column => toCsvCell(getPath(application, column.key))).join(',') + '\r\n';
+                // Respect backpressure so large exports are not buffered in memory
+                if (!res.write(line) && !res.destroyed) {
+                    await waitForDrain(res);
+                }
+                // Stop reading once the client has disconnected
+                if (res.destroyed) return;
+            }
+            return res.end();
+        }
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+        const worksheet = workbook.addWorksheet('Applications');
+        worksheet.columns = columns.map(column => ({ header: column.header, key: column.key, width: 20 }));
+
+        for await (const application of cursor) {
+            if (res.destroyed) return;
+            LoanApplication.decryptObject(application);
+            if (maskExport) maskPiiFields(application, PII_FIELDS.LoanApplication);
+            worksheet.addRow(columns.map(column => {
+                const value = getPath(application, column.key);
+                return value === undefined ? null : value;
+            })).commit();
+        }
+
+        await worksheet.commit();
+        await workbook.commit();
+
     } catch (error) {
+        console.error('❌ Error exporting applications:', error);
+        // Headers are already sent once streaming has started
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
         res.status(500).json({
             success: false,
-            message: 'Error updating application',
+            message: 'Error exporting applications',
             error: error.message
         });
+    } finally {
+        if (cursor) {
+            await cursor.close().catch(() => {});
+        }
     }
 });
 
+// Form fields a CSV column can be mapped to (same names as the website form)
+const IMPORT_FIELDS = loanFormSchemas.FIELD_NAMES;
+
+// Build a column -> field mapping from CSV headers; headers matching a field name map automatically
+function buildImportMapping(headers, customMapping) {
+    const mapping = {};
+    headers.forEach(header => {
+        const field = IMPORT_FIELDS.find(name => name.toLowerCase() === header.toLowerCase().replace(/[\s_-]/g, ''));
+        if (field) mapping[header] = field;
+    });
+    Object.entries(customMapping || {}).forEach(([header, field]) => {
+        if (field) mapping[header] = field;
+    });
+    return mapping;
+}
+
+// Validate one CSV row against the same form schema as the website form; returns { errors, applicationData }
+async function validateImportRow(record, mapping) {
+    const body = {};
+    Object.entries(mapping).forEach(([header, field]) => {
+        const value = record[header];
+        if (value !== undefined && value !== '') body[field] = value;
+    });
+
+    const { errors: fieldErrors, data: applicationData } = loanFormSchemas.validateForm(body.loanType, body);
+    if (fieldErrors.length > 0) {
+        return { errors: fieldErrors.map(fieldError => fieldError.message) };
+    }
+
+    try {
+        await new LoanApplication(applicationData).validate();
+    } catch (validationError) {
+        if (validationError.name === 'ValidationError') {
+            return { errors: Object.values(validationError.errors).map(err => err.message) };
+        }
+        throw validationError;
+    }
+
+    return { errors: [], applicationData };
+}
+
 /**
- * PUT /api/applications/:id
- * Update loan application details
+ * POST /api/applications/import
+ * Bulk import leads from a CSV file (multipart field "file")
+ * Body: dryRun=true to preview only, mapping={"CSV Header":"fieldName"} (JSON), source (optional label)
  */
-app.put('/api/applications/:id', async (req, res) => {
+app.post('/api/applications/import', requirePermission('applications:import'), csvUpload.single('file'), bindRequestContext, async (req, res) => {
     try {
-        const updateData = req.body;
-        
-        // Validate required fields
-        if (!updateData.fullName || !updateData.mobileNumber || !updateData.personalEmail || !updateData.panCardNumber) {
+        if (!req.file) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required fields'
+                message: 'Please upload a CSV file'
             });
         }
 
-        // Find and update application
-        const application = await LoanApplication.findByIdAndUpdate(
-            req.params.id,
-            { 
-                ...updateData,
-                panCardNumber: updateData.panCardNumber.toUpperCase()
-            },
-            { new: true, runValidators: true }
-        );
+        const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
 
-        if (!application) {
-            return res.status(404).json({
+        let customMapping = {};
+        if (req.body.mapping) {
+            try {
+                customMapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+            } catch (parseError) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid column mapping JSON'
+                });
+            }
+            const unknownFields = Object.values(customMapping).filter(field => field && !IMPORT_FIELDS.includes(field));
+            if (unknownFields.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Unknown fields in mapping: ${unknownFields.join(', ')}`,
+                    availableFields: IMPORT_FIELDS
+                });
+            }
+        }
+
+        let records;
+        try {
+            records = parseCsv(req.file.buffer, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+        } catch (parseError) {
+            return res.status(400).json({
                 success: false,
-                message: 'Application not found'
+                message: `Could not read CSV: ${parseError.message}`
             });
         }
 
-        res.json({
+        if (records.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'CSV file has no data rows'
+            });
+        }
+
+        const mapping = buildImportMapping(Object.keys(records[0]), customMapping);
+
+        // Validate every row before writing anything
+        const rowErrors = [];
+        const validRows = [];
+        for (let i = 0; i < records.length; i++) {
+            const { errors, applicationData } = await validateImportRow(records[i], mapping);
+            if (errors.length > 0) {
+                rowErrors.push({ row: i + 1, messages: errors });
+            } else {
+                validRows.push({ row: i + 1, applicationData });
+            }
+        }
+
+        if (dryRun) {
+            // Preview rows are plain objects, which the response masking layer cannot identify
+            let preview = validRows.slice(0, 20);
+            if (!canViewPii(req.user)) {
+                preview = preview.map(({ row, applicationData }) => ({
+                    row,
+                    applicationData: maskPiiFields(structuredClone(applicationData), PII_FIELDS.LoanApplication)
+                }));
+            }
+
+            return res.json({
+                success: true,
+                dryRun: true,
+                totalRows: records.length,
+                validCount: validRows.length,
+                errorCount: rowErrors.length,
+                mapping,
+                unmappedColumns: Object.keys(records[0]).filter(header => !mapping[header]),
+                preview,
+                rowErrors
+            });
+        }
+
+        const batch = await ImportBatch.create({
+            fileName: req.file.originalname,
+            source: req.body.source || '',
+            totalRows: records.length,
+            errorCount: rowErrors.length,
+            rowErrors,
+            columnMapping: mapping,
+            importedBy: req.user.id
+        });
+
+        // Save one at a time so each application gets its reference number
+        const scoringConfig = await LeadScoringConfig.getActive();
+        let importedCount = 0;
+        for (const { row, applicationData } of validRows) {
+            try {
+                await createLoanApplication(
+                    { ...applicationData, source: 'import', importBatch: batch._id },
+                    {
+                        comment: `Imported from ${batch.fileName}`,
+                        changedBy: req.user.id,
+                        changedByName: req.user.fullName,
+                        scoringConfig
+                    }
+                );
+                importedCount++;
+            } catch (saveError) {
+                batch.rowErrors.push({ row, messages: [saveError.message] });
+            }
+        }
+
+        batch.importedCount = importedCount;
+        batch.errorCount = batch.rowErrors.length;
+        await batch.save();
+
+        console.log('✅ Lead import completed:', {
+            batchId: batch._id,
+            fileName: batch.fileName,
+            imported: importedCount,
+            errors: batch.errorCount
+        });
+
+        res.status(201).json({
             success: true,
-            message: 'Application updated successfully',
-            data: application
+            message: `Imported ${importedCount} of ${records.length} rows`,
+            data: batch
         });
+
     } catch (error) {
+        console.error('❌ Error importing applications:', error);
         res.status(500).json({
             success: false,
-            message: 'Error updating application',
+            message: 'Error importing applications',
             error: error.message
         });
     }
 });
 
 /**
- * GET /api/statistics
- * Get application statistics
+ * GET /api/applications/imports
+ * List lead import batches
  */
-app.get('/api/statistics', async (req, res) => {
+app.get('/api/applications/imports', requirePermission('applications:import'), async (req, res) => {
     try {
-        const total = await LoanApplication.countDocuments();
-        const byLoanType = await LoanApplication.aggregate([
-            { $group: { _id: '$loanType', count: { $sum: 1 } } }
-        ]);
-        const byStatus = await LoanApplication.aggregate([
-            { $group: { _id: '$applicationStatus', count: { $sum: 1 } } }
-        ]);
+        const batches = await ImportBatch.find()
+            .select('-rowErrors')
+            .populate('importedBy', 'fullName email')
+            .sort({ createdAt: -1 });
 
         res.json({
             success: true,
-            statistics: {
-                totalApplications: total,
-                byLoanType: byLoanType,
-                byStatus: byStatus
-            }
+            count: batches.length,
+            data: batches
         });
     } catch (error) {
         res.status(500).json({
             success: false,
-            message: 'Error fetching statistics',
+            message: 'Error fetching import batches',
             error: error.message
         });
     }
 });
 
 /**
- * POST /api/contact-messages
- * Submit contact form message
+ * GET /api/applications/imports/:id
+ * Get a lead import batch with its row-level errors
  */
-app.post('/api/contact-messages', async (req, res) => {
+app.get('/api/applications/imports/:id', requirePermission('applications:import'), async (req, res) => {
     try {
-        const { name, email, phone, service, message } = req.body;
+        const batch = await ImportBatch.findById(req.params.id)
+            .populate('importedBy', 'fullName email')
+            .populate('rolledBackBy', 'fullName email');
 
-        if (!name || !email || !phone || !service || !message) {
-            return res.status(400).json({
+        if (!batch) {
+            return res.status(404).json({
                 success: false,
-                message: 'Missing required fields'
+                message: 'Import batch not found'
             });
         }
 
-        const newMessage = new ContactMessage({
-            name,
-            email,
-            phone,
-            service,
-            message
-        });
-
-        const savedMessage = await newMessage.save();
-
-        res.status(201).json({
+        res.json({
             success: true,
-            message: 'Message submitted successfully',
-            data: savedMessage
+            data: batch
         });
     } catch (error) {
         res.status(500).json({
             success: false,
-            message: 'Error submitting message',
+            message: 'Error fetching import batch',
             error: error.message
         });
     }
 });
 
 /**
- * GET /api/contact-messages
- * Get all contact messages
+ * POST /api/applications/imports/:id/rollback
+ * Permanently delete every application created by an import batch (including any in the trash),
+ * with their status history, comments, tasks, OTPs and uploaded documents
  */
-app.get('/api/contact-messages', async (req, res) => {
+app.post('/api/applications/imports/:id/rollback', requirePermission('applications:import'), async (req, res) => {
     try {
-        const messages = await ContactMessage.find().sort({ date: -1 });
+        const batch = await ImportBatch.findById(req.params.id);
+
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Import batch not found'
+            });
+        }
+
+        if (batch.status === 'rolled-back') {
+            return res.status(400).json({
+                success: false,
+                message: 'Import batch has already been rolled back'
+            });
+        }
+
+        // Same clean-up as the trash purge (see Data Retention)
+        const summary = { filesDeleted: 0, errors: [] };
+        const deletedCount = await eraseLoanApplications({ importBatch: batch._id }, 'delete', summary);
+
+        batch.status = 'rolled-back';
+        batch.rolledBackBy = req.user.id;
+        batch.rolledBackAt = new Date();
+        await batch.save();
 
         res.json({
             success: true,
-            data: messages
+            message: `Rolled back ${deletedCount} imported applications`,
+            deletedCount,
+            filesDeleted: summary.filesDeleted,
+            errors: summary.errors
         });
     } catch (error) {
         res.status(500).json({
             success: false,
-            message: 'Error fetching messages',
+            message: 'Error rolling back import',
             error: error.message
         });
     }
 });
 
+// Find an active admin user that applications can be assigned to
+const findAssignableUser = async (userId) => {
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+        return null;
+    }
+    return AdminUser.findOne({ _id: userId, status: 'active' }).select('fullName email');
+};
+
 /**
- * PUT /api/contact-messages/:id/status
- * Update contact message status
+ * GET /api/applications/my-queue
+ * Applications assigned to the logged-in admin (open statuses unless applicationStatus is given)
+ * Query: same filters, sort and paging as GET /api/applications
  */
-app.put('/api/contact-messages/:id/status', async (req, res) => {
+app.get('/api/applications/my-queue', requirePermission('applications:read'), async (req, res) => {
     try {
-        const { status } = req.body;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
 
-        const message = await ContactMessage.findByIdAndUpdate(
-            req.params.id,
-            { status },
-            { new: true }
-        );
+        const { filter, error: filterError } = buildApplicationFilter(req.query);
+        if (filterError) {
+            return res.status(400).json({
+                success: false,
+                message: filterError
+            });
+        }
+        filter.assignedTo = req.user.id;
+        if (!req.query.applicationStatus) {
+            filter.applicationStatus = { $in: AssignmentRule.OPEN_STATUSES };
+        }
+
+        const applications = await LoanApplication.find(filter)
+            .sort(buildApplicationSort({ sortBy: 'leadScore', ...req.query }))
+            .skip((page - 1) * limit)
+            .limit(limit);
+
+        const total = await LoanApplication.countDocuments(filter);
 
         res.json({
             success: true,
-            data: message
+            count: applications.length,
+            total,
+            page,
+            totalPages: Math.ceil(total / limit),
+            data: applications
         });
     } catch (error) {
         res.status(500).json({
             success: false,
-            message: 'Error updating message status',
+            message: 'Error fetching your queue',
             error: error.message
         });
     }
 });
 
 /**
- * POST /api/faqs
- * Create new FAQ
+ * POST /api/applications/assign
+ * Assign several applications to an admin user
+ * Body: { applicationIds: [...], assignedTo } - assignedTo null to unassign
  */
-app.post('/api/faqs', async (req, res) => {
+app.post('/api/applications/assign', requirePermission('applications:assign'), async (req, res) => {
     try {
-        const { question, answer, category } = req.body;
+        const { applicationIds, assignedTo } = req.body;
 
-        if (!question || !answer) {
+        if (!Array.isArray(applicationIds) || applicationIds.length === 0) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required fields'
+                message: 'applicationIds is required'
             });
         }
 
-        const newFaq = new FAQ({
-            question,
-            answer,
-            category: category || 'general'
-        });
+        const assignee = await findAssignableUser(assignedTo);
+        if (assignedTo && !assignee) {
+            return res.status(400).json({
+                success: false,
+                message: 'Assignee not found or inactive'
+            });
+        }
 
-        const savedFaq = await newFaq.save();
+        const result = await LoanApplication.updateMany(
+            { $or: applicationIds.map(idOrReferenceQuery) },
+            {
+                assignedTo: assignee ? assignee._id : null,
+                assignedAt: assignee ? new Date() : null,
+                assignedBy: assignee ? req.user.id : null
+            }
+        );
 
-        res.status(201).json({
+        res.json({
             success: true,
-            message: 'FAQ created successfully',
-            data: savedFaq
+            message: `${assignee ? 'Assigned' : 'Unassigned'} ${result.modifiedCount} application(s)`,
+            modifiedCount: result.modifiedCount
         });
     } catch (error) {
         res.status(500).json({
             success: false,
-            message: 'Error creating FAQ',
+            message: 'Error assigning applications',
             error: error.message
         });
     }
 });
 
 /**
- * GET /api/faqs
- * Get all FAQs
+ * GET /api/applications/duplicates
+ * List duplicate clusters (original application with its flagged duplicates)
+ * Query: page, limit
  */
-app.get('/api/faqs', async (req, res) => {
+app.get('/api/applications/duplicates', requirePermission('applications:read'), async (req, res) => {
     try {
-        const faqs = await FAQ.find().sort({ createdAt: -1 });
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        const clusters = await LoanApplication.aggregate([
+            { $match: { duplicateOf: { $ne: null } } },
+            { $group: { _id: '$duplicateOf', duplicateIds: { $push: '$_id' }, latest: { $max: '$applicationDate' } } },
+            { $sort: { latest: -1 } },
+            { $facet: {
+                total: [{ $count: 'count' }],
+                items: [{ $skip: (page - 1) * limit }, { $limit: limit }]
+            }}
+        ]);
+
+        const total = clusters[0].total[0] ? clusters[0].total[0].count : 0;
+        const items = clusters[0].items;
+
+        const ids = items.flatMap(cluster => [cluster._id, ...cluster.duplicateIds]);
+        const applications = await LoanApplication.find({ _id: { $in: ids } });
+        const byId = new Map(applications.map(application => [String(application._id), application]));
 
         res.json({
             success: true,
-            data: faqs
+            count: items.length,
+            total,
+            page,
+            totalPages: Math.ceil(total / limit),
+            data: items.map(cluster => ({
+                original: byId.get(String(cluster._id)) || null,
+                duplicates: cluster.duplicateIds.map(id => byId.get(String(id))).filter(Boolean)
+            }))
         });
     } catch (error) {
         res.status(500).json({
             success: false,
-            message: 'Error fetching FAQs',
+            message: 'Error fetching duplicates',
             error: error.message
         });
     }
 });
 
 /**
- * GET /api/faqs/:id
- * Get single FAQ
+ * GET /api/applications/:id
+ * Get single application by ID
  */
-app.get('/api/faqs/:id', async (req, res) => {
+app.get('/api/applications/:id', requirePermission('applications:read'), auditRead('LoanApplication'), async (req, res) => {
     try {
-        const faq = await FAQ.findById(req.params.id);
+        const application = await LoanApplication.findOne(idOrReferenceQuery(req.params.id));
 
-        if (!faq) {
+        if (!application) {
             return res.status(404).json({
                 success: false,
-                message: 'FAQ not found'
+                message: 'Application not found'
             });
         }
 
         res.json({
             success: true,
-            data: faq
+            data: application
         });
     } catch (error) {
         res.status(500).json({
             success: false,
-            message: 'Error fetching FAQ',
+            message: 'Error fetching application',
             error: error.message
         });
     }
 });
 
 /**
- * PUT /api/faqs/:id
- * Update FAQ
+ * PUT /api/applications/:id/status
+ * Move application to the next status in the workflow
+ * Body: { status, comment } - comment is required for rejected / on-hold
  */
-app.put('/api/faqs/:id', async (req, res) => {
+app.put('/api/applications/:id/status', requirePermission('applications:update'), async (req, res) => {
     try {
-        const { question, answer, category } = req.body;
+        const { status, comment } = req.body;
 
-        const faq = await FAQ.findByIdAndUpdate(
-            req.params.id,
-            { question, answer, category, updatedAt: Date.now() },
+        if (!status || !LoanApplication.STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid status'
+            });
+        }
+
+        if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'comment must be a string'
+            });
+        }
+
+        const existing = await LoanApplication.findOne(idOrReferenceQuery(req.params.id));
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        if (LoanApplication.isRecordDrivenStatus(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status "${status}" is set by recording a sanction or disbursement`
+            });
+        }
+
+        const fromStatus = existing.applicationStatus;
+        const allowedStatuses = LoanApplication.getAllowedTransitions(fromStatus);
+
+        if (!allowedStatuses.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot change status from "${fromStatus}" to "${status}"`,
+                allowedStatuses
+            });
+        }
+
+        if (LoanApplication.statusRequiresReason(status) && !(comment && comment.trim())) {
+            return res.status(400).json({
+                success: false,
+                message: `A reason is required when changing status to "${status}"`
+            });
+        }
+
+        // Only update if nobody else changed the status in the meantime
+        const application = await LoanApplication.findOneAndUpdate(
+            { _id: existing._id, applicationStatus: fromStatus },
+            { applicationStatus: status },
             { new: true }
         );
 
+        if (!application) {
+            return res.status(409).json({
+                success: false,
+                message: 'Application status was changed by someone else. Please refresh and try again.'
+            });
+        }
+
+        await ApplicationStatusHistory.create({
+            application: application._id,
+            fromStatus,
+            toStatus: status,
+            comment: comment ? comment.trim() : '',
+            changedBy: req.user.id,
+            changedByName: req.user.fullName
+        });
+
         res.json({
             success: true,
-            message: 'FAQ updated successfully',
-            data: faq
+            message: 'Status updated successfully',
+            data: application
         });
     } catch (error) {
         res.status(500).json({
             success: false,
-            message: 'Error updating FAQ',
+            message: 'Error updating application',
             error: error.message
         });
     }
 });
 
 /**
- * DELETE /api/faqs/:id
- * Delete FAQ
+ * POST /api/applications/:id/reveal
+ * Reveal masked PII fields of one application; every reveal is logged
+ * Body: { fields: [...], reason }
+ */
+app.post('/api/applications/:id/reveal', requirePermission('pii:reveal'), auditRead('LoanApplication', 'reveal', req => ({ fields: req.body.fields })), async (req, res) => {
+    try {
+        const { fields, reason } = req.body;
+        const allowedFields = Object.keys(PII_FIELDS.LoanApplication);
+
+        if (!Array.isArray(fields) || fields.length === 0 || fields.some(field => !allowedFields.includes(field))) {
+            return res.status(400).json({
+                success: false,
+                message: `fields must be a list of: ${allowedFields.join(', ')}`
+            });
+        }
+
+        if (!reason || !String(reason).trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'A reason is required to reveal personal data'
+            });
+        }
+
+        const record = await LoanApplication.findOne(idOrReferenceQuery(req.params.id));
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        await logPiiAccess(req, 'LoanApplication', record, fields, String(reason).trim());
+
+        res.json({
+            success: true,
+            data: readPiiFields(record, fields)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error revealing personal data',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/applications/:id/history
+ * Get status change timeline for an application
+ */
+app.get('/api/applications/:id/history', requirePermission('applications:read'), async (req, res) => {
+    try {
+        const application = await LoanApplication.findOne(idOrReferenceQuery(req.params.id)).select('applicationStatus');
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        const history = await ApplicationStatusHistory.find({ application: application._id })
+            .sort({ changedAt: 1 });
+
+        res.json({
+            success: true,
+            currentStatus: application.applicationStatus,
+            allowedStatuses: LoanApplication.getAllowedTransitions(application.applicationStatus),
+            count: history.length,
+            data: history
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching status history',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/applications/:id/merge
+ * Merge duplicates into this application, filling its blank fields from them. Comments and
+ * follow-up tasks move to this application; the merged duplicates are moved to the trash.
+ * Body: { duplicateIds } - optional, defaults to every application flagged as a duplicate of this one;
+ * only applications flagged as duplicates of this one can be merged
+ */
+app.post('/api/applications/:id/merge', requirePermission('applications:update', 'applications:delete'), async (req, res) => {
+    try {
+        const primary = await LoanApplication.findOne(idOrReferenceQuery(req.params.id));
+
+        if (!primary) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        const { duplicateIds } = req.body;
+        const selected = Array.isArray(duplicateIds) && duplicateIds.length > 0;
+        const duplicateFilter = selected
+            ? { duplicateOf: primary._id, $or: duplicateIds.map(idOrReferenceQuery) }
+            : { duplicateOf: primary._id };
+
+        const duplicates = await LoanApplication.find(duplicateFilter).sort({ applicationDate: -1 });
+
+        if (selected && duplicates.length !== new Set(duplicateIds.map(String)).size) {
+            return res.status(400).json({
+                success: false,
+                message: `Only applications flagged as duplicates of ${primary.referenceNumber} can be merged into it`
+            });
+        }
+
+        if (duplicates.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No duplicates to merge'
+            });
+        }
+
+        // Newest duplicates first, so the most recent details win for blank fields
+        const filledFields = new Set();
+        duplicates.forEach(duplicate => {
+            primary.mergeFrom(duplicate).forEach(field => filledFields.add(field));
+        });
+
+        await applyLeadScore(primary);
+        await primary.save();
+
+        const duplicateObjectIds = duplicates.map(duplicate => duplicate._id);
+
+        // Anything that pointed at a merged duplicate now points at the primary (trashed records too)
+        await LoanApplication.updateMany(
+            { duplicateOf: { $in: duplicateObjectIds } },
+            { duplicateOf: primary._id },
+            WITH_DELETED
+        );
+        await ApplicationComment.updateMany({ application: { $in: duplicateObjectIds } }, { application: primary._id });
+        await FollowUpTask.updateMany({ target: { $in: duplicateObjectIds } }, { target: primary._id });
+        await ApplicantOtp.deleteMany({ application: { $in: duplicateObjectIds } });
+
+        // Duplicates keep their status history and documents in the trash, so a merge can be undone
+        // by restoring them; the trash purge deletes both with the record
+        for (const duplicate of duplicates) {
+            await duplicate.moveToTrash(req.user);
+        }
+
+        // The status does not change, so the merge goes to the audit trail rather than the status timeline
+        const mergedReferences = duplicates.map(duplicate => duplicate.referenceNumber || String(duplicate._id));
+        await recordAudit(req, {
+            action: 'update',
+            entityType: 'LoanApplication',
+            entityId: String(primary._id),
+            referenceNumber: primary.referenceNumber || null,
+            details: { mergedDuplicates: mergedReferences, filledFields: [...filledFields] }
+        });
+
+        res.json({
+            success: true,
+            message: `Merged ${duplicates.length} duplicate application(s)`,
+            mergedReferences,
+            filledFields: [...filledFields],
+            data: primary
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error merging applications',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/applications/:id/not-duplicate
+ * Clear the duplicate flag after review
+ */
+app.put('/api/applications/:id/not-duplicate', requirePermission('applications:update'), async (req, res) => {
+    try {
+        const application = await LoanApplication.findOneAndUpdate(
+            idOrReferenceQuery(req.params.id),
+            { duplicateOf: null, duplicateMatchedOn: [] },
+            { new: true }
+        );
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Application is no longer flagged as a duplicate',
+            data: application
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating application',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/applications/:id/assign
+ * Assign or reassign an application
+ * Body: { assignedTo } - admin user id, or null to unassign
+ */
+app.put('/api/applications/:id/assign', requirePermission('applications:assign'), async (req, res) => {
+    try {
+        const { assignedTo } = req.body;
+
+        const assignee = await findAssignableUser(assignedTo);
+        if (assignedTo && !assignee) {
+            return res.status(400).json({
+                success: false,
+                message: 'Assignee not found or inactive'
+            });
+        }
+
+        const application = await LoanApplication.findOneAndUpdate(
+            idOrReferenceQuery(req.params.id),
+            {
+                assignedTo: assignee ? assignee._id : null,
+                assignedAt: assignee ? new Date() : null,
+                assignedBy: assignee ? req.user.id : null
+            },
+            { new: true }
+        ).populate('assignedTo', 'fullName email');
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: assignee ? `Application assigned to ${assignee.fullName}` : 'Application unassigned',
+            data: application
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error assigning application',
+            error: error.message
+        });
+    }
+});
+
+// Applicant details an admin may edit with PUT /api/applications/:id. Everything else is
+// either system-managed (reference, scores, eligibility, duplicates, import, trash, erasure) or
+// changed through its own route (status, documents, assignment, sanction, disbursements)
+const EDITABLE_APPLICATION_FIELDS = [
+    'fullName', 'mobileNumber', 'personalEmail', 'panCardNumber',
+    'insuranceType', 'accountType', 'loanAmount', 'maritalStatus', 'spouseName', 'motherName',
+    'employmentType', 'qualification', 'residenceType', 'currentAddress', 'permanentAddress',
+    'companyName', 'companyAddress', 'designation', 'officialEmail', 'currentWorkExperience',
+    'totalWorkExperience', 'monthlyIncome', 'businessVintage', 'gstRegistered', 'itrReturn',
+    'monthlyInhandSalary', 'pfDeduction'
+];
+const EDITABLE_ADDRESS_FIELDS = ['currentAddress', 'permanentAddress', 'companyAddress'];
+const ADDRESS_PARTS = ['address', 'street', 'city', 'zipcode'];
+
+const isScalar = (value) => value === null || ['string', 'number', 'boolean'].includes(typeof value);
+
+// Pick the editable fields from a request body
+// Returns { updateData } or { error } when a value has the wrong shape
+const pickApplicationEdits = (body) => {
+    const updateData = {};
+    for (const field of EDITABLE_APPLICATION_FIELDS) {
+        if (body[field] === undefined) continue;
+        const value = body[field];
+
+        if (EDITABLE_ADDRESS_FIELDS.includes(field)) {
+            if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+                return { error: `${field} must be an object` };
+            }
+            const address = {};
+            for (const part of ADDRESS_PARTS) {
+                if (value[part] === undefined) continue;
+                if (value[part] !== null && typeof value[part] !== 'string') {
+                    return { error: `${field}.${part} must be a string` };
+                }
+                address[part] = value[part];
+            }
+            // Dotted paths so a partial address does not clear the parts that were left out
+            Object.keys(address).forEach(part => {
+                updateData[`${field}.${part}`] = address[part];
+            });
+            continue;
+        }
+
+        if (!isScalar(value)) {
+            return { error: `${field} must be a string, number or boolean` };
+        }
+        updateData[field] = value;
+    }
+    return { updateData };
+};
+
+/**
+ * PUT /api/applications/:id
+ * Update loan application details
+ * Only the fields in EDITABLE_APPLICATION_FIELDS are applied; anything else in the body is ignored
+ */
+app.put('/api/applications/:id', requirePermission('applications:update'), async (req, res) => {
+    try {
+        const { updateData, error: editError } = pickApplicationEdits(req.body || {});
+        if (editError) {
+            return res.status(400).json({
+                success: false,
+                message: editError
+            });
+        }
+
+        // Required fields may be left out of an edit, but not cleared
+        const clearedField = ['fullName', 'mobileNumber', 'personalEmail', 'panCardNumber']
+            .find(field => updateData[field] !== undefined && !updateData[field]);
+        if (clearedField) {
+            return res.status(400).json({
+                success: false,
+                message: `${clearedField} cannot be empty`
+            });
+        }
+
+        const existing = await LoanApplication.findOne(idOrReferenceQuery(req.params.id));
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        // Callers without pii:view received masked PII and send it back with every edit; drop
+        // PII values that are unchanged or masked so they never overwrite the real data
+        const piiHidden = !canViewPii(req.user);
+        Object.entries(PII_FIELDS.LoanApplication).forEach(([path, mask]) => {
+            const value = updateData[path];
+            if (value === undefined) return;
+            const current = existing.get(path);
+            const isMasked = typeof value === 'string' && (
+                (current && value === PII_MASKS[mask](current)) || (piiHidden && value.includes('*'))
+            );
+            if (value === current || isMasked) {
+                delete updateData[path];
+            }
+        });
+
+        // Update application (the PAN is normalized to upper case by the encryption plugin)
+        const application = await LoanApplication.findOneAndUpdate(
+            { _id: existing._id },
+            { $set: updateData },
+            { new: true, runValidators: true }
+        );
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        // Recalculate lead score from the edited details
+        await applyLeadScore(application);
+        await LoanApplication.updateOne(
+            { _id: application._id },
+            {
+                leadScore: application.leadScore,
+                leadScoreBreakdown: application.leadScoreBreakdown,
+                leadScoredAt: application.leadScoredAt
+            }
+        );
+
+        res.json({
+            success: true,
+            message: 'Application updated successfully',
+            data: application
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                error: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error updating application',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/applications/:id
+ * Move a loan application to the trash (restore with POST /api/trash/loan-applications/:id/restore)
+ */
+app.delete('/api/applications/:id', requirePermission('applications:delete'), async (req, res) => {
+    try {
+        const application = await LoanApplication.findOne(idOrReferenceQuery(req.params.id));
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        await application.moveToTrash(req.user);
+
+        res.json({
+            success: true,
+            message: `Application moved to trash; it will be deleted permanently after ${TRASH_GRACE_DAYS} days`
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting application',
+            error: error.message
+        });
+    }
+});
+
+// Create or refresh the commission ledger entry for a disbursed application
+// Returns the entry, or null when the lender has no commission slab for it
+const syncPayoutEntry = async (application) => {
+    if (!application.sanction || !(application.disbursedAmount > 0)) {
+        return null;
+    }
+
+    const lastDisbursement = application.disbursements[application.disbursements.length - 1];
+    const disbursedAt = application.disbursedAt || (lastDisbursement ? lastDisbursement.disbursedAt : new Date());
+    const slab = application.sanction.lender
+        ? await CommissionSlab.findFor(application.sanction.lender, application.loanType, application.disbursedAmount, disbursedAt)
+        : null;
+
+    let entry = await PayoutEntry.findOne({ application: application._id });
+    if (!entry && !slab) {
+        return null;
+    }
+    if (!entry) {
+        entry = new PayoutEntry({
+            application: application._id,
+            agentSharePercent: slab.agentSharePercent
+        });
+    }
+
+    entry.referenceNumber = application.referenceNumber;
+    entry.applicantName = application.fullName;
+    entry.loanType = application.loanType;
+    entry.lender = application.sanction.lender;
+    entry.lenderName = application.sanction.lenderName;
+    entry.disbursedAmount = application.disbursedAmount;
+    entry.disbursedAt = disbursedAt;
+    entry.statementMonth = PayoutEntry.monthOf(disbursedAt);
+    if (slab) {
+        entry.slab = slab._id;
+        entry.payoutPercent = slab.payoutPercent;
+    }
+    await entry.save();
+    return entry;
+};
+
+/**
+ * PUT /api/applications/:id/sanction
+ * Record (or correct, before any disbursement) the lender's sanction; moves an approved application to sanctioned
+ * Body: { lenderId or lenderName, sanctionedAmount, interestRate, tenureMonths, processingFee,
+ *         sanctionDate, sanctionReference, comment }
+ */
+app.put('/api/applications/:id/sanction', requirePermission('disbursements:write'), async (req, res) => {
+    try {
+        const { lenderId, lenderName, sanctionedAmount, interestRate, tenureMonths, processingFee, sanctionDate, sanctionReference, comment } = req.body;
+
+        if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'comment must be a string'
+            });
+        }
+
+        const existing = await LoanApplication.findOne(idOrReferenceQuery(req.params.id));
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        const fromStatus = existing.applicationStatus;
+        if (!['approved', 'sanctioned'].includes(fromStatus)) {
+            return res.status(400).json({
+                success: false,
+                message: `A sanction can only be recorded on approved applications (current status "${fromStatus}")`
+            });
+        }
+
+        let lender = null;
+        if (lenderId) {
+            lender = mongoose.Types.ObjectId.isValid(lenderId) ? await Lender.findById(lenderId) : null;
+            if (!lender) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Lender not found'
+                });
+            }
+        }
+
+        const amount = parseFloat(sanctionedAmount);
+        if (!Number.isFinite(amount) || amount <= 0 || !(lender || lenderName)) {
+            return res.status(400).json({
+                success: false,
+                message: 'sanctionedAmount and a lender (lenderId or lenderName) are required'
+            });
+        }
+
+        const sanction = {
+            lender: lender ? lender._id : null,
+            lenderName: lender ? lender.name : lenderName,
+            sanctionReference: sanctionReference || null,
+            sanctionedAmount: amount,
+            interestRate: interestRate !== undefined && interestRate !== null ? parseFloat(interestRate) : null,
+            tenureMonths: tenureMonths !== undefined && tenureMonths !== null ? parseInt(tenureMonths) : null,
+            processingFee: processingFee !== undefined && processingFee !== null ? parseFloat(processingFee) : null,
+            sanctionDate: sanctionDate ? new Date(sanctionDate) : new Date(),
+            recordedBy: req.user.id,
+            recordedAt: new Date()
+        };
+
+        // Only update if nobody changed the status in the meantime
+        const application = await LoanApplication.findOneAndUpdate(
+            { _id: existing._id, applicationStatus: fromStatus },
+            { sanction, applicationStatus: 'sanctioned' },
+            { new: true, runValidators: true }
+        );
+
+        if (!application) {
+            return res.status(409).json({
+                success: false,
+                message: 'Application status was changed by someone else. Please refresh and try again.'
+            });
+        }
+
+        if (fromStatus !== 'sanctioned') {
+            await ApplicationStatusHistory.create({
+                application: application._id,
+                fromStatus,
+                toStatus: 'sanctioned',
+                comment: comment ? comment.trim() : `Sanctioned ₹${amount} by ${sanction.lenderName}`,
+                changedBy: req.user.id,
+                changedByName: req.user.fullName
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Sanction recorded successfully',
+            data: application
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                error: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error recording sanction',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/applications/:id/disbursements
+ * Record a disbursement against the sanction; the application becomes partially-disbursed,
+ * or disbursed once the sanctioned amount is reached (or final is true)
+ * Body: { amount, disbursedAt, reference, notes, final }
+ */
+app.post('/api/applications/:id/disbursements', requirePermission('disbursements:write'), async (req, res) => {
+    try {
+        const { disbursedAt, reference, notes, final } = req.body;
+        const amount = parseFloat(req.body.amount);
+
+        if (!Number.isFinite(amount) || amount <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'A positive amount is required'
+            });
+        }
+
+        const existing = await LoanApplication.findOne(idOrReferenceQuery(req.params.id));
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        const fromStatus = existing.applicationStatus;
+        if (!['sanctioned', 'partially-disbursed'].includes(fromStatus) || !existing.sanction) {
+            return res.status(400).json({
+                success: false,
+                message: `Disbursements can only be recorded on sanctioned applications (current status "${fromStatus}")`
+            });
+        }
+
+        const previousTotal = existing.disbursedAmount || 0;
+        const newTotal = previousTotal + amount;
+        if (newTotal > existing.sanction.sanctionedAmount) {
+            return res.status(400).json({
+                success: false,
+                message: `Total disbursed (₹${newTotal}) would exceed the sanctioned amount (₹${existing.sanction.sanctionedAmount})`
+            });
+        }
+
+        const disbursement = {
+            amount,
+            disbursedAt: disbursedAt ? new Date(disbursedAt) : new Date(),
+            reference: reference || null,
+            notes: notes || '',
+            recordedBy: req.user.id
+        };
+        const complete = final === true || newTotal >= existing.sanction.sanctionedAmount;
+        const toStatus = complete ? 'disbursed' : 'partially-disbursed';
+
+        // Only update if nobody recorded another disbursement in the meantime
+        const application = await LoanApplication.findOneAndUpdate(
+            // Applications saved before disbursements existed have no disbursedAmount yet
+            { _id: existing._id, applicationStatus: fromStatus, disbursedAmount: previousTotal > 0 ? previousTotal : { $in: [0, null] } },
+            {
+                $push: { disbursements: disbursement },
+                $set: {
+                    disbursedAmount: newTotal,
+                    applicationStatus: toStatus,
+                    disbursedAt: complete ? disbursement.disbursedAt : null
+                }
+            },
+            { new: true, runValidators: true }
+        );
+
+        if (!application) {
+            return res.status(409).json({
+                success: false,
+                message: 'Application was changed by someone else. Please refresh and try again.'
+            });
+        }
+
+        if (toStatus !== fromStatus) {
+            await ApplicationStatusHistory.create({
+                application: application._id,
+                fromStatus,
+                toStatus,
+                comment: `Disbursed ₹${amount}${reference ? ` (ref ${reference})` : ''}, total ₹${newTotal} of ₹${existing.sanction.sanctionedAmount}`,
+                changedBy: req.user.id,
+                changedByName: req.user.fullName
+            });
+        }
+
+        // Keep the commission ledger in step; the disbursement is already saved either way
+        await syncPayoutEntry(application).catch(error => {
+            console.error('❌ Error updating payout entry:', error.message);
+        });
+
+        res.status(201).json({
+            success: true,
+            message: complete ? 'Loan fully disbursed' : 'Disbursement recorded successfully',
+            data: application
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                error: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error recording disbursement',
+            error: error.message
+        });
+    }
+});
+
+// Time zone used to bucket statistics by day / week / month
+const STATISTICS_TIMEZONE = process.env.STATISTICS_TIMEZONE || 'Asia/Kolkata';
+
+// Monthly income bands (lower bounds) for the income breakdown; income is monthlyInhandSalary or monthlyIncome
+const STATISTICS_INCOME_BANDS = [
+    { min: 0, label: 'Below 15K' },
+    { min: 15000, label: '15K - 30K' },
+    { min: 30000, label: '30K - 50K' },
+    { min: 50000, label: '50K - 1L' },
+    { min: 100000, label: '1L and above' }
+];
+
+// Pipeline stages for an application time series bucketed by unit (day | week | month)
+// $dateTrunc and $setWindowFields below need MongoDB 5.0 or later
+const timeSeriesStages = (unit, format) => [
+    {
+        $group: {
+            _id: { $dateTrunc: { date: '$applicationDate', unit, timezone: STATISTICS_TIMEZONE, startOfWeek: 'monday' } },
+            count: { $sum: 1 },
+            loanAmount: { $sum: { $ifNull: ['$loanAmount', 0] } }
+        }
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, period: { $dateToString: { date: '$_id', format, timezone: STATISTICS_TIMEZONE } }, count: 1, loanAmount: 1 } }
+];
+
+/**
+ * GET /api/statistics
+ * Get application statistics
+ * Query: startDate, endDate (applicationDate range), loanType
+ * Returns totals, time series (daily / weekly / monthly), amounts per product, approval and
+ * rejection rates, average time in each status, breakdowns by city, employment type and
+ * income band, and the sanction / disbursement pipeline
+ */
+app.get('/api/statistics', requirePermission('statistics:read'), async (req, res) => {
+    try {
+        const { startDate, endDate, loanType } = req.query;
+
+        const match = {};
+        if (startDate || endDate) {
+            match.applicationDate = {};
+            if (startDate) match.applicationDate.$gte = new Date(startDate);
+            if (endDate) match.applicationDate.$lte = new Date(endDate);
+            if (Object.values(match.applicationDate).some(date => isNaN(date.getTime()))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'startDate and endDate must be valid dates'
+                });
+            }
+        }
+        if (loanType && loanType !== 'all') match.loanType = loanType;
+
+        const total = await LoanApplication.countDocuments(match);
+        const byLoanType = await LoanApplication.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: '$loanType',
+                    count: { $sum: 1 },
+                    totalLoanAmount: { $sum: { $ifNull: ['$loanAmount', 0] } },
+                    averageLoanAmount: { $avg: '$loanAmount' }
+                }
+            },
+            { $sort: { count: -1 } }
+        ]);
+        const byStatus = await LoanApplication.aggregate([
+            { $match: match },
+            { $group: { _id: '$applicationStatus', count: { $sum: 1 } } }
+        ]);
+
+        // Sanction / disbursement pipeline: volumes and conversion from submission
+        const [pipeline] = await LoanApplication.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: null,
+                    approved: { $sum: { $cond: [{ $in: ['$applicationStatus', ['approved', 'sanctioned', 'partially-disbursed', 'disbursed']] }, 1, 0] } },
+                    rejected: { $sum: { $cond: [{ $eq: ['$applicationStatus', 'rejected'] }, 1, 0] } },
+                    sanctioned: { $sum: { $cond: [{ $ne: [{ $ifNull: ['$sanction', null] }, null] }, 1, 0] } },
+                    disbursed: { $sum: { $cond: [{ $eq: ['$applicationStatus', 'disbursed'] }, 1, 0] } },
+                    sanctionedAmount: { $sum: { $ifNull: ['$sanction.sanctionedAmount', 0] } },
+                    disbursedAmount: { $sum: { $ifNull: ['$disbursedAmount', 0] } }
+                }
+            }
+        ]);
+        const disbursedByLender = await LoanApplication.aggregate([
+            { $match: { ...match, disbursedAmount: { $gt: 0 } } },
+            { $group: { _id: '$sanction.lenderName', count: { $sum: 1 }, disbursedAmount: { $sum: '$disbursedAmount' } } },
+            { $sort: { disbursedAmount: -1 } }
+        ]);
+
+        // Time series and breakdowns in one pass
+        const [breakdowns] = await LoanApplication.aggregate([
+            { $match: match },
+            {
+                $facet: {
+                    daily: timeSeriesStages('day', '%Y-%m-%d'),
+                    weekly: timeSeriesStages('week', '%Y-%m-%d'),
+                    monthly: timeSeriesStages('month', '%Y-%m'),
+                    byCity: [
+                        { $group: { _id: { $toLower: { $trim: { input: { $ifNull: ['$currentAddress.city', ''] } } } }, count: { $sum: 1 } } },
+                        { $sort: { count: -1 } },
+                        { $limit: 50 }
+                    ],
+                    byEmploymentType: [
+                        { $group: { _id: '$employmentType', count: { $sum: 1 } } },
+                        { $sort: { count: -1 } }
+                    ],
+                    byIncomeBand: [
+                        {
+                            $bucket: {
+                                groupBy: { $ifNull: ['$monthlyInhandSalary', '$monthlyIncome'] },
+                                boundaries: [...STATISTICS_INCOME_BANDS.map(band => band.min), Number.MAX_SAFE_INTEGER],
+                                default: 'unknown',
+                                output: { count: { $sum: 1 }, averageLoanAmount: { $avg: '$loanAmount' } }
+                            }
+                        }
+                    ]
+                }
+            }
+        ]);
+
+        // Time spent in each status: from a transition into the status until the next transition
+        const timeInStatus = await LoanApplication.aggregate([
+            { $match: match },
+            { $project: { _id: 1 } },
+            {
+                $lookup: {
+                    from: ApplicationStatusHistory.collection.name,
+                    localField: '_id',
+                    foreignField: 'application',
+                    as: 'history'
+                }
+            },
+            { $unwind: '$history' },
+            { $replaceRoot: { newRoot: '$history' } },
+            {
+                $setWindowFields: {
+                    partitionBy: '$application',
+                    sortBy: { changedAt: 1 },
+                    output: { leftAt: { $shift: { output: '$changedAt', by: 1 } } }
+                }
+            },
+            // Applications still in a status have no end time yet
+            { $match: { leftAt: { $ne: null } } },
+            {
+                $group: {
+                    _id: '$toStatus',
+                    transitions: { $sum: 1 },
+                    averageMs: { $avg: { $subtract: ['$leftAt', '$changedAt'] } }
+                }
+            },
+            { $sort: { averageMs: -1 } }
+        ]);
+
+        const funnel = pipeline || { approved: 0, rejected: 0, sanctioned: 0, disbursed: 0, sanctionedAmount: 0, disbursedAmount: 0 };
+        const rate = (part, whole) => whole > 0 ? Math.round(part / whole * 10000) / 100 : 0;
+        const round = (value) => value === null || value === undefined ? null : Math.round(value * 100) / 100;
+        const decided = funnel.approved + funnel.rejected;
+        const incomeBandLabel = (min) => (STATISTICS_INCOME_BANDS.find(band => band.min === min) || {}).label || 'Unknown';
+
+        res.json({
+            success: true,
+            statistics: {
+                range: {
+                    startDate: match.applicationDate && match.applicationDate.$gte || null,
+                    endDate: match.applicationDate && match.applicationDate.$lte || null,
+                    loanType: match.loanType || 'all',
+                    timezone: STATISTICS_TIMEZONE
+                },
+                totalApplications: total,
+                byLoanType: byLoanType.map(item => ({
+                    ...item,
+                    averageLoanAmount: round(item.averageLoanAmount)
+                })),
+                byStatus: byStatus,
+                // Percentages of applications with a decision (approved or later vs rejected)
+                decisions: {
+                    approved: funnel.approved,
+                    rejected: funnel.rejected,
+                    pending: total - decided,
+                    approvalRate: rate(funnel.approved, decided),
+                    rejectionRate: rate(funnel.rejected, decided)
+                },
+                timeSeries: {
+                    daily: breakdowns.daily,
+                    weekly: breakdowns.weekly,
+                    monthly: breakdowns.monthly
+                },
+                averageTimeInStatus: timeInStatus.map(item => ({
+                    status: item._id,
+                    transitions: item.transitions,
+                    averageHours: round(item.averageMs / (60 * 60 * 1000)),
+                    averageDays: round(item.averageMs / (24 * 60 * 60 * 1000))
+                })),
+                byCity: breakdowns.byCity.map(item => ({ city: item._id || 'unknown', count: item.count })),
+                byEmploymentType: breakdowns.byEmploymentType.map(item => ({ employmentType: item._id || 'unknown', count: item.count })),
+                byIncomeBand: breakdowns.byIncomeBand.map(item => ({
+                    band: item._id === 'unknown' ? 'Unknown' : incomeBandLabel(item._id),
+                    minIncome: item._id === 'unknown' ? null : item._id,
+                    count: item.count,
+                    averageLoanAmount: round(item.averageLoanAmount)
+                })),
+                pipeline: {
+                    approved: funnel.approved,
+                    sanctioned: funnel.sanctioned,
+                    disbursed: funnel.disbursed,
+                    sanctionedAmount: funnel.sanctionedAmount,
+                    disbursedAmount: funnel.disbursedAmount,
+                    // Percentages
+                    approvalRate: rate(funnel.approved, total),
+                    sanctionRate: rate(funnel.sanctioned, total),
+                    disbursalRate: rate(funnel.disbursed, total),
+                    sanctionToDisbursalRate: rate(funnel.disbursed, funnel.sanctioned)
+                },
+                disbursedByLender
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching statistics',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/contact-messages
+ * Submit contact form message
+ */
+app.post('/api/contact-messages', publicAccess, async (req, res) => {
+    try {
+        const { name, email, phone, service, message } = req.body;
+
+        if (!name || !email || !phone || !service || !message) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields'
+            });
+        }
+
+        const newMessage = new ContactMessage({
+            name,
+            email,
+            phone,
+            service,
+            message
+        });
+
+        const savedMessage = await newMessage.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Message submitted successfully',
+            data: savedMessage
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error submitting message',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/contact-messages
+ * Get all contact messages
+ */
+app.get('/api/contact-messages', requirePermission('contacts:read'), async (req, res) => {
+    try {
+        const messages = await ContactMessage.find().sort({ date: -1 });
+
+        res.json({
+            success: true,
+            data: messages
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching messages',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/contact-messages/:id/status
+ * Update contact message status
+ */
+app.put('/api/contact-messages/:id/status', requirePermission('contacts:update'), async (req, res) => {
+    try {
+        const { status } = req.body;
+
+        const message = await ContactMessage.findByIdAndUpdate(
+            req.params.id,
+            { status },
+            { new: true }
+        );
+
+        res.json({
+            success: true,
+            data: message
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating message status',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/contact-messages/:id
+ * Move a contact message to the trash
+ */
+app.delete('/api/contact-messages/:id', requirePermission('contacts:delete'), async (req, res) => {
+    try {
+        const message = mongoose.Types.ObjectId.isValid(req.params.id) ? await ContactMessage.findById(req.params.id) : null;
+
+        if (!message) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found'
+            });
+        }
+
+        await message.moveToTrash(req.user);
+
+        res.json({
+            success: true,
+            message: `Message moved to trash; it will be deleted permanently after ${TRASH_GRACE_DAYS} days`
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting message',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/faqs
+ * Create new FAQ
+ */
+app.post('/api/faqs', requirePermission('faqs:write'), async (req, res) => {
+    try {
+        const { question, answer, category } = req.body;
+
+        if (!question || !answer) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields'
+            });
+        }
+
+        const newFaq = new FAQ({
+            question,
+            answer,
+            category: category || 'general'
+        });
+
+        const savedFaq = await newFaq.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'FAQ created successfully',
+            data: savedFaq
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error creating FAQ',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/faqs
+ * Get all FAQs
+ */
+app.get('/api/faqs', publicAccess, async (req, res) => {
+    try {
+        const faqs = await FAQ.find().sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: faqs
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching FAQs',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/faqs/:id
+ * Get single FAQ
+ */
+app.get('/api/faqs/:id', publicAccess, async (req, res) => {
+    try {
+        const faq = await FAQ.findById(req.params.id);
+
+        if (!faq) {
+            return res.status(404).json({
+                success: false,
+                message: 'FAQ not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: faq
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching FAQ',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/faqs/:id
+ * Update FAQ
+ */
+app.put('/api/faqs/:id', requirePermission('faqs:write'), async (req, res) => {
+    try {
+        const { question, answer, category } = req.body;
+
+        const faq = await FAQ.findByIdAndUpdate(
+            req.params.id,
+            { question, answer, category, updatedAt: Date.now() },
+            { new: true }
+        );
+
+        res.json({
+            success: true,
+            message: 'FAQ updated successfully',
+            data: faq
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating FAQ',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/faqs/:id
+ * Move an FAQ to the trash
+ */
+app.delete('/api/faqs/:id', requirePermission('faqs:write'), async (req, res) => {
+    try {
+        const faq = mongoose.Types.ObjectId.isValid(req.params.id) ? await FAQ.findById(req.params.id) : null;
+
+        if (!faq) {
+            return res.status(404).json({
+                success: false,
+                message: 'FAQ not found'
+            });
+        }
+
+        await faq.moveToTrash(req.user);
+
+        res.json({
+            success: true,
+            message: 'FAQ moved to trash'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting FAQ',
+            error: error.message
+        });
+    }
+});
+
+// ===========================
+// Career Application Routes
+// ===========================
+
+/**
+ * POST /api/career/apply
+ * Submit career application with resume (uploads to Cloudinary)
+ */
+app.post('/api/career/apply', publicAccess, upload.single('resume'), async (req, res) => {
+    try {
+        const {
+            fullName,
+            email,
+            phone,
+            position,
+            experience,
+            currentSalary,
+            location,
+            qualification,
+            coverLetter
+        } = req.body;
+
+        // Validate required fields
+        if (!fullName || !email || !phone || !position || !experience || !location || !qualification) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please fill all required fields'
+            });
+        }
+
+        // Validate resume file
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please upload your resume'
+            });
+        }
+
+        // Upload resume to Cloudinary (signed upload with API credentials)
+        const fileExt = req.file.originalname.split('.').pop().toLowerCase();
+        const publicId = `resume_${Date.now()}_${fullName.replace(/\s+/g, '_')}.${fileExt}`;
+        const cloudinaryResult = await uploadToCloudinary(req.file.buffer, {
+            folder: 'resumes',
+            resource_type: 'raw',
+            public_id: publicId
+        });
+
+        // Create career application with Cloudinary URL
+        const careerApplication = new CareerApplication({
+            fullName,
+            email,
+            phone,
+            position,
+            experience,
+            currentSalary: currentSalary ? parseFloat(currentSalary) : null,
+            location,
+            qualification,
+            resumeFileName: req.file.originalname,
+            resumeUrl: cloudinaryResult.secure_url,
+            resumePublicId: cloudinaryResult.public_id,
+            coverLetter: coverLetter || ''
+        });
+
+        await careerApplication.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Application submitted successfully',
+            applicationId: careerApplication._id,
+            referenceNumber: careerApplication.referenceNumber
+        });
+
+    } catch (error) {
+        console.error('Career application error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error submitting application',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/career/applications
+ * Get all career applications (Admin)
+ */
+app.get('/api/career/applications', requirePermission('careers:read'), async (req, res) => {
+    try {
+        const { status, position, search } = req.query;
+        let filter = {};
+
+        if (status) filter.status = status;
+        if (position) filter.position = position;
+        if (search) {
+            filter.$or = [
+                { fullName: { $regex: search, $options: 'i' } },
+                { email: { $regex: search, $options: 'i' } },
+                { phone: { $regex: search, $options: 'i' } }
+            ];
+        }
+
+        const applications = await CareerApplication.find(filter)
+            .select('-resumeData') // Exclude large base64 data for listing
+            .sort({ appliedAt: -1 });
+
+        res.json({
+            success: true,
+            count: applications.length,
+            applications
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching applications',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/career/applications/:id
+ * Get single career application with resume (Admin)
+ */
+app.get('/api/career/applications/:id', requirePermission('careers:read'), auditRead('CareerApplication'), async (req, res) => {
+    try {
+        const application = await CareerApplication.findOne(idOrReferenceQuery(req.params.id));
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            application
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching application',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/career/applications/:id/resume
+ * Redirect to resume file on Cloudinary
+ */
+app.get('/api/career/applications/:id/resume', requirePermission('careers:read'), auditRead('CareerApplication', 'download'), async (req, res) => {
+    try {
+        const application = await CareerApplication.findOne(idOrReferenceQuery(req.params.id));
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        // Check if resume URL exists
+        if (!application.resumeUrl) {
+            return res.status(404).json({
+                success: false,
+                message: 'Resume not found for this application'
+            });
+        }
+
+        // Redirect to the Cloudinary URL
+        res.redirect(application.resumeUrl);
+
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error accessing resume',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/career/applications/:id/reveal
+ * Reveal masked PII fields of one career application; every reveal is logged
+ * Body: { fields: [...], reason }
+ */
+app.post('/api/career/applications/:id/reveal', requirePermission('pii:reveal'), auditRead('CareerApplication', 'reveal', req => ({ fields: req.body.fields })), async (req, res) => {
+    try {
+        const { fields, reason } = req.body;
+        const allowedFields = Object.keys(PII_FIELDS.CareerApplication);
+
+        if (!Array.isArray(fields) || fields.length === 0 || fields.some(field => !allowedFields.includes(field))) {
+            return res.status(400).json({
+                success: false,
+                message: `fields must be a list of: ${allowedFields.join(', ')}`
+            });
+        }
+
+        if (!reason || !String(reason).trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'A reason is required to reveal personal data'
+            });
+        }
+
+        const record = await CareerApplication.findOne(idOrReferenceQuery(req.params.id));
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        await logPiiAccess(req, 'CareerApplication', record, fields, String(reason).trim());
+
+        res.json({
+            success: true,
+            data: readPiiFields(record, fields)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error revealing personal data',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/career/applications/:id
+ * Update career application status (Admin)
+ */
+app.put('/api/career/applications/:id', requirePermission('careers:update'), async (req, res) => {
+    try {
+        const { status, notes } = req.body;
+
+        const application = await CareerApplication.findOneAndUpdate(
+            idOrReferenceQuery(req.params.id),
+            { status, notes, updatedAt: new Date() },
+            { new: true }
+        );
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Application updated successfully',
+            application
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating application',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/career/applications/:id
+ * Move a career application to the trash; the resume is removed from Cloudinary when the trash is purged (Admin)
+ */
+app.delete('/api/career/applications/:id', requirePermission('careers:delete'), async (req, res) => {
+    try {
+        const application = await CareerApplication.findOne(idOrReferenceQuery(req.params.id));
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        // The resume stays in Cloudinary until the trash is purged
+        await application.moveToTrash(req.user);
+
+        res.json({
+            success: true,
+            message: `Application moved to trash; it will be deleted permanently after ${TRASH_GRACE_DAYS} days`
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting application',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/career/stats
+ * Get career applications statistics (Admin)
+ */
+app.get('/api/career/stats', requirePermission('careers:read'), async (req, res) => {
+    try {
+        const total = await CareerApplication.countDocuments();
+        const newCount = await CareerApplication.countDocuments({ status: 'new' });
+        const reviewedCount = await CareerApplication.countDocuments({ status: 'reviewed' });
+        const shortlistedCount = await CareerApplication.countDocuments({ status: 'shortlisted' });
+        const interviewCount = await CareerApplication.countDocuments({ status: 'interview-scheduled' });
+        const selectedCount = await CareerApplication.countDocuments({ status: 'selected' });
+        const rejectedCount = await CareerApplication.countDocuments({ status: 'rejected' });
+
+        // Get applications by position
+        const byPosition = await CareerApplication.aggregate([
+            { $group: { _id: '$position', count: { $sum: 1 } } }
+        ]);
+
+        res.json({
+            success: true,
+            stats: {
+                total,
+                new: newCount,
+                reviewed: reviewedCount,
+                shortlisted: shortlistedCount,
+                interviewScheduled: interviewCount,
+                selected: selectedCount,
+                rejected: rejectedCount,
+                byPosition
+            }
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching stats',
+            error: error.message
+        });
+    }
+});
+
+// ===========================
+// Loan Application Comment Routes
+// ===========================
+
+// Keep only ids of active admin users from a client-supplied mentions list
+const resolveMentions = async (mentions) => {
+    if (!Array.isArray(mentions) || mentions.length === 0) {
+        return [];
+    }
+    const ids = mentions.filter(id => mongoose.Types.ObjectId.isValid(id));
+    const users = await AdminUser.find({ _id: { $in: ids }, status: 'active' }).select('_id');
+    return users.map(user => user._id);
+};
+
+// Notify admins newly @mentioned in a comment (never the author)
+const notifyMentions = async (req, application, comment, previousMentions = []) => {
+    const alreadyNotified = previousMentions.map(String);
+    const recipients = comment.mentions.filter(id =>
+        String(id) !== String(req.user.id) && !alreadyNotified.includes(String(id))
+    );
+    const preview = comment.body.length > 140 ? `${comment.body.slice(0, 140)}…` : comment.body;
+    for (const recipient of recipients) {
+        await notify(recipient, {
+            type: 'comment-mention',
+            title: `${req.user.fullName} mentioned you on ${application.referenceNumber || application._id}`,
+            message: preview,
+            entityType: 'loan-application',
+            entityId: application._id
+        });
+    }
+};
+
+/**
+ * GET /api/applications/:id/comments
+ * Get the comment thread for an application, oldest first
+ */
+app.get('/api/applications/:id/comments', requirePermission('applications:read'), async (req, res) => {
+    try {
+        const application = await LoanApplication.findOne(idOrReferenceQuery(req.params.id)).select('_id');
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        const comments = await ApplicationComment.find({ application: application._id })
+            .populate('mentions', 'fullName email')
+            .sort({ createdAt: 1 });
+
+        res.json({
+            success: true,
+            count: comments.length,
+            data: comments
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching comments',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/applications/:id/comments
+ * Add a comment to an application
+ * Body: { body, mentions: [adminUserId, ...] }
+ */
+app.post('/api/applications/:id/comments', requirePermission('comments:write'), async (req, res) => {
+    try {
+        const { body, mentions } = req.body;
+
+        if (!body || !String(body).trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Comment text is required'
+            });
+        }
+
+        const application = await LoanApplication.findOne(idOrReferenceQuery(req.params.id)).select('_id referenceNumber');
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        const comment = await ApplicationComment.create({
+            application: application._id,
+            author: req.user.id,
+            authorName: req.user.fullName,
+            body,
+            mentions: await resolveMentions(mentions)
+        });
+        await notifyMentions(req, application, comment);
+
+        await comment.populate('mentions', 'fullName email');
+
+        res.status(201).json({
+            success: true,
+            message: 'Comment added successfully',
+            data: comment
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: Object.values(error.errors).map(err => err.message)
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error adding comment',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/applications/:id/comments/:commentId
+ * Edit your own comment; the previous text is kept in editHistory
+ * Body: { body, mentions }
+ */
+app.put('/api/applications/:id/comments/:commentId', requirePermission('comments:write'), async (req, res) => {
+    try {
+        const { body, mentions } = req.body;
+
+        if (!body || !String(body).trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Comment text is required'
+            });
+        }
+
+        const application = await LoanApplication.findOne(idOrReferenceQuery(req.params.id)).select('_id referenceNumber');
+        const comment = application && mongoose.Types.ObjectId.isValid(req.params.commentId)
+            ? await ApplicationComment.findOne({ _id: req.params.commentId, application: application._id })
+            : null;
+
+        if (!comment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Comment not found'
+            });
+        }
+
+        if (String(comment.author) !== String(req.user.id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only edit your own comments'
+            });
+        }
+
+        const previousMentions = [...comment.mentions];
+        comment.editHistory.push({ body: comment.body, editedAt: new Date() });
+        comment.body = body;
+        if (mentions !== undefined) {
+            comment.mentions = await resolveMentions(mentions);
+        }
+        comment.updatedAt = new Date();
+        await comment.save();
+        await notifyMentions(req, application, comment, previousMentions);
+
+        await comment.populate('mentions', 'fullName email');
+
+        res.json({
+            success: true,
+            message: 'Comment updated successfully',
+            data: comment
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: Object.values(error.errors).map(err => err.message)
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error updating comment',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/comments/mentions
+ * Recent comments that mention the logged-in admin
+ * Query: since (date), limit
+ */
+app.get('/api/comments/mentions', requirePermission('applications:read'), async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+        let filter = { mentions: req.user.id };
+        if (req.query.since) {
+            const since = new Date(req.query.since);
+            if (isNaN(since.getTime())) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'since must be a valid date'
+                });
+            }
+            filter.createdAt = { $gte: since };
+        }
+
+        const comments = await ApplicationComment.find(filter)
+            .populate('application', 'referenceNumber fullName loanType applicationStatus')
+            .sort({ createdAt: -1 })
+            .limit(limit);
+
+        res.json({
+            success: true,
+            count: comments.length,
+            data: comments
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching mentions',
+            error: error.message
+        });
+    }
+});
+
+// ===========================
+// Notifications
+// ===========================
+
+// Every notification is stored for the dashboard and emitted here, so other
+// channels (email, SMS, websockets) can subscribe with notificationEvents.on('notification', fn)
+const notificationEvents = new EventEmitter();
+
+// Helper function to create and emit a notification for an admin user
+const notify = async (recipient, { type, title, message = '', entityType = null, entityId = null }) => {
+    const notification = await Notification.create({ recipient, type, title, message, entityType, entityId });
+    notificationEvents.emit('notification', notification);
+    return notification;
+};
+
+/**
+ * GET /api/notifications
+ * Notifications for the logged-in admin, newest first
+ * Query: unread (true), page, limit
+ */
+app.get('/api/notifications', authenticateToken, async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+        let filter = { recipient: req.user.id };
+        if (req.query.unread === 'true') {
+            filter.readAt = null;
+        }
+
+        const notifications = await Notification.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit);
+
+        const total = await Notification.countDocuments(filter);
+        const unread = await Notification.countDocuments({ recipient: req.user.id, readAt: null });
+
+        res.json({
+            success: true,
+            count: notifications.length,
+            total,
+            unread,
+            page,
+            totalPages: Math.ceil(total / limit),
+            data: notifications
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching notifications',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/notifications/read-all
+ * Mark all of the logged-in admin's notifications as read
+ */
+app.put('/api/notifications/read-all', authenticateToken, async (req, res) => {
+    try {
+        const result = await Notification.updateMany(
+            { recipient: req.user.id, readAt: null },
+            { readAt: new Date() }
+        );
+
+        res.json({
+            success: true,
+            message: `Marked ${result.modifiedCount} notification(s) as read`,
+            modifiedCount: result.modifiedCount
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating notifications',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/notifications/:id/read
+ * Mark one notification as read
+ */
+app.put('/api/notifications/:id/read', authenticateToken, async (req, res) => {
+    try {
+        const notification = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await Notification.findOneAndUpdate(
+                { _id: req.params.id, recipient: req.user.id },
+                { readAt: new Date() },
+                { new: true }
+            )
+            : null;
+
+        if (!notification) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: notification
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating notification',
+            error: error.message
+        });
+    }
+});
+
+// ===========================
+// Follow-up Task Routes
+// ===========================
+
+// How often the overdue job runs (minutes)
+const TASK_OVERDUE_CHECK_MINUTES = parseInt(process.env.TASK_OVERDUE_CHECK_MINUTES) || 5;
+
+// Permission needed to see the record a task is attached to
+const TASK_TARGET_PERMISSIONS = {
+    'loan-application': 'applications:read',
+    'contact-message': 'contacts:read',
+    'career-application': 'careers:read'
+};
+
+// Fields an admin can set when creating or editing a task
+const TASK_FIELDS = ['type', 'title', 'notes', 'dueAt'];
+
+// Find the record a task is attached to; loan and career applications also accept reference numbers
+const findTaskTarget = (targetType, targetId) => {
+    if (!targetId) return null;
+    switch (targetType) {
+        case 'loan-application':
+            return LoanApplication.findOne(idOrReferenceQuery(targetId)).select('_id referenceNumber fullName');
+        case 'career-application':
+            return CareerApplication.findOne(idOrReferenceQuery(targetId)).select('_id referenceNumber fullName');
+        case 'contact-message':
+            return mongoose.Types.ObjectId.isValid(targetId) ? ContactMessage.findById(targetId).select('_id name') : null;
+        default:
+            return null;
+    }
+};
+
+const canManageOthersTasks = (user) => AdminUser.getRolePermissions(user.role).includes('tasks:assign');
+
+// Load a task the logged-in admin may act on (their own, or any with tasks:assign)
+const findAccessibleTask = async (req) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return null;
+    }
+    const task = await FollowUpTask.findById(req.params.id);
+    if (!task || (String(task.assignedTo) !== String(req.user.id) && !canManageOthersTasks(req.user))) {
+        return null;
+    }
+    return task;
+};
+
+// Flag overdue tasks and notify their assignees
+async function checkOverdueTasks() {
+    try {
+        const tasks = await FollowUpTask.markOverdue();
+        for (const task of tasks) {
+            await notify(task.assignedTo, {
+                type: 'task-overdue',
+                title: `Overdue ${task.type}: ${task.title}`,
+                message: `Was due ${task.dueAt.toISOString()}`,
+                entityType: 'follow-up-task',
+                entityId: task._id
+            });
+        }
+        if (tasks.length > 0) {
+            console.log(`⏰ Marked ${tasks.length} follow-up task(s) overdue`);
+        }
+    } catch (error) {
+        console.error('❌ Error checking overdue tasks:', error.message);
+    }
+}
+
+// In-process scheduler for the overdue check; a run is skipped while the previous one is still going
+function startOverdueTaskJob() {
+    let running = false;
+    const run = async () => {
+        if (running) return;
+        running = true;
+        await checkOverdueTasks();
+        running = false;
+    };
+    run();
+    setInterval(run, TASK_OVERDUE_CHECK_MINUTES * 60 * 1000).unref();
+}
+
+/**
+ * GET /api/tasks
+ * List follow-up tasks; telecallers only see their own
+ * Query: assignedTo (me | all | userId), status, type, targetType, target, overdue (true),
+ *        dueFrom, dueTo, page, limit
+ */
+app.get('/api/tasks', requirePermission('tasks:write'), async (req, res) => {
+    try {
+        const { assignedTo = 'me', status = 'open', type, targetType, target, overdue, dueFrom, dueTo } = req.query;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+        let filter = {};
+
+        if (assignedTo === 'me' || !canManageOthersTasks(req.user)) {
+            filter.assignedTo = req.user.id;
+        } else if (assignedTo !== 'all' && mongoose.Types.ObjectId.isValid(assignedTo)) {
+            filter.assignedTo = assignedTo;
+        }
+
+        if (status && status !== 'all') {
+            filter.status = status;
+        }
+
+        if (type && type !== 'all') {
+            filter.type = type;
+        }
+
+        if (targetType && targetType !== 'all') {
+            filter.targetType = targetType;
+        }
+
+        if (target && mongoose.Types.ObjectId.isValid(target)) {
+            filter.target = target;
+        }
+
+        if (overdue === 'true') {
+            filter.status = 'open';
+            filter.dueAt = { $lt: new Date() };
+        }
+
+        if (dueFrom || dueTo) {
+            filter.dueAt = { ...filter.dueAt };
+            if (dueFrom) filter.dueAt.$gte = new Date(dueFrom);
+            if (dueTo) filter.dueAt.$lte = new Date(dueTo);
+            if (Object.values(filter.dueAt).some(date => isNaN(date.getTime()))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'dueFrom and dueTo must be valid dates'
+                });
+            }
+        }
+
+        const tasks = await FollowUpTask.find(filter)
+            .populate('assignedTo', 'fullName email')
+            .populate('target', 'referenceNumber fullName name')
+            .sort({ dueAt: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit);
+
+        const total = await FollowUpTask.countDocuments(filter);
+
+        res.json({
+            success: true,
+            count: tasks.length,
+            total,
+            page,
+            totalPages: Math.ceil(total / limit),
+            data: tasks
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching tasks',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/tasks/overdue
+ * Open tasks past their due date, with a count per admin
+ * Telecallers only see their own; admins with tasks:assign see everyone's (or ?assignedTo=userId)
+ */
+app.get('/api/tasks/overdue', requirePermission('tasks:write'), async (req, res) => {
+    try {
+        let filter = { status: 'open', dueAt: { $lt: new Date() } };
+
+        if (!canManageOthersTasks(req.user) || req.query.assignedTo === 'me') {
+            filter.assignedTo = req.user.id;
+        } else if (req.query.assignedTo && mongoose.Types.ObjectId.isValid(req.query.assignedTo)) {
+            filter.assignedTo = req.query.assignedTo;
+        }
+
+        const tasks = await FollowUpTask.find(filter)
+            .populate('assignedTo', 'fullName email')
+            .populate('target', 'referenceNumber fullName name')
+            .sort({ dueAt: 1 })
+            .limit(500);
+
+        const byAssignee = {};
+        tasks.forEach(task => {
+            const key = task.assignedTo ? String(task.assignedTo._id) : 'unknown';
+            if (!byAssignee[key]) {
+                byAssignee[key] = {
+                    assignedTo: task.assignedTo ? task.assignedTo._id : null,
+                    fullName: task.assignedTo ? task.assignedTo.fullName : null,
+                    count: 0
+                };
+            }
+            byAssignee[key].count++;
+        });
+
+        res.json({
+            success: true,
+            count: tasks.length,
+            byAssignee: Object.values(byAssignee).sort((a, b) => b.count - a.count),
+            data: tasks
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching overdue tasks',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/tasks
+ * Create a follow-up task on a loan application, contact message or career application
+ * Body: { targetType, target, type, title, notes, dueAt, assignedTo } - assignedTo defaults to yourself
+ */
+app.post('/api/tasks', requirePermission('tasks:write'), async (req, res) => {
+    try {
+        const { targetType, target, assignedTo } = req.body;
+
+        if (!TASK_TARGET_PERMISSIONS[targetType]) {
+            return res.status(400).json({
+                success: false,
+                message: `targetType must be one of: ${Object.keys(TASK_TARGET_PERMISSIONS).join(', ')}`
+            });
+        }
+
+        if (!AdminUser.getRolePermissions(req.user.role).includes(TASK_TARGET_PERMISSIONS[targetType])) {
+            return res.status(403).json({
+                success: false,
+                message: `Access denied. Missing permission: ${TASK_TARGET_PERMISSIONS[targetType]}`
+            });
+        }
+
+        const targetRecord = await findTaskTarget(targetType, target);
+        if (!targetRecord) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task target not found'
+            });
+        }
+
+        let assignee = await findAssignableUser(assignedTo || req.user.id);
+        if (!assignee) {
+            return res.status(400).json({
+                success: false,
+                message: 'Assignee not found or inactive'
+            });
+        }
+        if (String(assignee._id) !== String(req.user.id) && !canManageOthersTasks(req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Missing permission: tasks:assign'
+            });
+        }
+
+        const taskData = {};
+        TASK_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) taskData[field] = req.body[field];
+        });
+
+        const task = await FollowUpTask.create({
+            ...taskData,
+            targetType,
+            target: targetRecord._id,
+            assignedTo: assignee._id,
+            createdBy: req.user.id,
+            createdByName: req.user.fullName
+        });
+
+        if (String(assignee._id) !== String(req.user.id)) {
+            await notify(assignee._id, {
+                type: 'task-assigned',
+                title: `New ${task.type} task: ${task.title}`,
+                message: `Assigned by ${req.user.fullName}, due ${task.dueAt.toISOString()}`,
+                entityType: 'follow-up-task',
+                entityId: task._id
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Task created successfully',
+            data: task
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                error: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error creating task',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/tasks/:id
+ * Edit a task (title, type, notes, dueAt) or reassign it (assignedTo, needs tasks:assign)
+ */
+app.put('/api/tasks/:id', requirePermission('tasks:write'), async (req, res) => {
+    try {
+        const task = await findAccessibleTask(req);
+
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+
+        TASK_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) task[field] = req.body[field];
+        });
+
+        let newAssignee = null;
+        if (req.body.assignedTo && String(req.body.assignedTo) !== String(task.assignedTo)) {
+            if (!canManageOthersTasks(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Missing permission: tasks:assign'
+                });
+            }
+            newAssignee = await findAssignableUser(req.body.assignedTo);
+            if (!newAssignee) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Assignee not found or inactive'
+                });
+            }
+            task.assignedTo = newAssignee._id;
+        }
+
+        await task.save();
+
+        if (newAssignee && String(newAssignee._id) !== String(req.user.id)) {
+            await notify(newAssignee._id, {
+                type: 'task-assigned',
+                title: `${task.type} task reassigned to you: ${task.title}`,
+                message: `Reassigned by ${req.user.fullName}, due ${task.dueAt.toISOString()}`,
+                entityType: 'follow-up-task',
+                entityId: task._id
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Task updated successfully',
+            data: task
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                error: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error updating task',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/tasks/:id/status
+ * Complete, cancel or reopen a task
+ * Body: { status: 'completed' | 'cancelled' | 'open', outcome }
+ */
+app.put('/api/tasks/:id/status', requirePermission('tasks:write'), async (req, res) => {
+    try {
+        const { status, outcome } = req.body;
+
+        if (!['open', 'completed', 'cancelled'].includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'status must be one of: open, completed, cancelled'
+            });
+        }
+
+        const task = await findAccessibleTask(req);
+
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+
+        task.status = status;
+        if (outcome !== undefined) {
+            task.outcome = outcome;
+        }
+        if (status === 'completed') {
+            task.completedAt = new Date();
+            task.completedBy = req.user.id;
+        } else {
+            task.completedAt = null;
+            task.completedBy = null;
+        }
+        await task.save();
+
+        res.json({
+            success: true,
+            message: `Task marked ${status}`,
+            data: task
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating task status',
+            error: error.message
+        });
+    }
+});
+
+// ===========================
+// Loan Application Document Routes
+// ===========================
+
+// Lifetime of the signed download URLs handed out for KYC documents (seconds)
+const DOCUMENT_URL_TTL_SECONDS = parseInt(process.env.DOCUMENT_URL_TTL_SECONDS) || 120;
+
+// Upload a document file to Cloudinary and attach it to an application (does not save)
+// Files are uploaded as 'authenticated' resources, so they can only be fetched with a signed URL
+async function attachApplicationDocument(application, file, documentType, uploadedBy) {
+    const fileExt = file.originalname.split('.').pop().toLowerCase();
+    const resourceType = file.mimetype === 'application/pdf' ? 'raw' : 'image';
+    const publicId = `${application.referenceNumber || application._id}_${documentType}_${Date.now()}${resourceType === 'raw' ? `.${fileExt}` : ''}`;
+
+    const cloudinaryResult = await uploadToCloudinary(file.buffer, {
+        folder: 'loan-documents',
+        resource_type: resourceType,
+        type: 'authenticated',
+        public_id: publicId
+    });
+
+    application.documents.push({
+        documentType,
+        fileName: file.originalname,
+        filePublicId: cloudinaryResult.public_id,
+        fileResourceType: resourceType,
+        fileDeliveryType: 'authenticated',
+        uploadedByApplicant: !uploadedBy,
+        uploadedBy: uploadedBy || null
+    });
+
+    return application.documents[application.documents.length - 1];
+}
+
+/**
+ * GET /api/applications/:id/documents
+ * List uploaded documents with the required documents checklist
+ */
+app.get('/api/applications/:id/documents', requirePermission('applications:read'), async (req, res) => {
+    try {
+        const application = await LoanApplication.findOne(idOrReferenceQuery(req.params.id));
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: application.documents,
+            ...application.getDocumentChecklist()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching documents',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/applications/:id/documents/missing
+ * List required documents that are missing or were rejected
+ */
+app.get('/api/applications/:id/documents/missing', requirePermission('applications:read'), async (req, res) => {
+    try {
+        const application = await LoanApplication.findOne(idOrReferenceQuery(req.params.id));
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        const { missing, checklist, complete } = application.getDocumentChecklist();
+
+        res.json({
+            success: true,
+            complete,
+            missing,
+            checklist
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching missing documents',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/applications/:id/documents
+ * Upload a document for an application (multipart: document, documentType)
+ */
+app.post('/api/applications/:id/documents', requirePermission('applications:update'), documentUpload.single('document'), bindRequestContext, async (req, res) => {
+    try {
+        const { documentType } = req.body;
+
+        if (!LoanApplication.DOCUMENT_TYPES.includes(documentType)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid document type',
+                documentTypes: LoanApplication.DOCUMENT_TYPES
+            });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please upload a document'
+            });
+        }
+
+        const application = await LoanApplication.findOne(idOrReferenceQuery(req.params.id));
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        const document = await attachApplicationDocument(application, req.file, documentType, req.user.id);
+        await application.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Document uploaded successfully',
+            data: document,
+            missing: application.getDocumentChecklist().missing
+        });
+    } catch (error) {
+        console.error('Document upload error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error uploading document',
+            error: error.message
+        });
+    }
+});
+
+// Short-lived signed Cloudinary download URL for a document (the format is part of raw public ids)
+const signedDocumentUrl = (document) => cloudinary.utils.private_download_url(
+    document.filePublicId,
+    document.fileResourceType === 'raw' ? '' : document.fileName.split('.').pop().toLowerCase(),
+    {
+        resource_type: document.fileResourceType,
+        type: document.fileDeliveryType || 'upload',
+        expires_at: Math.floor(Date.now() / 1000) + DOCUMENT_URL_TTL_SECONDS
+    }
+);
+
+/**
+ * GET /api/applications/:id/documents/:documentId/file
+ * Redirect to a short-lived signed URL for the document file on Cloudinary
+ */
+app.get('/api/applications/:id/documents/:documentId/file', requirePermission('applications:read'), auditRead('LoanApplication', 'download', req => ({ documentId: req.params.documentId })), async (req, res) => {
+    try {
+        const application = await LoanApplication.findOne(idOrReferenceQuery(req.params.id));
+        const document = application && application.documents.id(req.params.documentId);
+
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                message: 'Document not found'
+            });
+        }
+
+        res.redirect(signedDocumentUrl(document));
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error accessing document',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/applications/:id/documents/:documentId/verify
+ * Mark a document verified or rejected
+ * Body: { status: 'verified' | 'rejected' | 'pending', reason } - reason required when rejecting
+ */
+app.put('/api/applications/:id/documents/:documentId/verify', requirePermission('documents:verify'), async (req, res) => {
+    try {
+        const { status, reason } = req.body;
+
+        if (!['pending', 'verified', 'rejected'].includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid status. Use "pending", "verified" or "rejected"'
+            });
+        }
+
+        if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'reason must be a string'
+            });
+        }
+
+        if (status === 'rejected' && !(reason && reason.trim())) {
+            return res.status(400).json({
+                success: false,
+                message: 'A reason is required when rejecting a document'
+            });
+        }
+
+        const application = await LoanApplication.findOne(idOrReferenceQuery(req.params.id));
+        const document = application && application.documents.id(req.params.documentId);
+
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                message: 'Document not found'
+            });
+        }
+
+        document.verificationStatus = status;
+        document.rejectionReason = status === 'rejected' ? reason.trim() : null;
+        document.verifiedBy = status === 'pending' ? null : req.user.id;
+        document.verifiedAt = status === 'pending' ? null : new Date();
+        await application.save();
+
+        res.json({
+            success: true,
+            message: 'Document status updated successfully',
+            data: document,
+            ...application.getDocumentChecklist()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating document status',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/applications/:id/documents/:documentId
+ * Remove a document and its file from Cloudinary
+ */
+app.delete('/api/applications/:id/documents/:documentId', requirePermission('applications:update'), async (req, res) => {
+    try {
+        const application = await LoanApplication.findOne(idOrReferenceQuery(req.params.id));
+        const document = application && application.documents.id(req.params.documentId);
+
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                message: 'Document not found'
+            });
+        }
+
+        try {
+            await cloudinary.uploader.destroy(document.filePublicId, {
+                resource_type: document.fileResourceType,
+                type: document.fileDeliveryType || 'upload'
+            });
+        } catch (cloudinaryError) {
+            console.error('Error deleting from Cloudinary:', cloudinaryError);
+            // Continue with deletion even if Cloudinary delete fails
+        }
+
+        document.deleteOne();
+        await application.save();
+
+        res.json({
+            success: true,
+            message: 'Document deleted successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting document',
+            error: error.message
+        });
+    }
+});
+
+// ===========================
+// Application Draft Routes (save and resume the 3-step form)
+// ===========================
+
+const DRAFT_TOKEN_EXPIRY = '30d';
+// Drafts idle for this long show up in the abandoned follow-up list
+const DRAFT_ABANDONED_HOURS = parseInt(process.env.DRAFT_ABANDONED_HOURS) || 2;
+// Public draft creation per IP address, and resume-link SMS per mobile number, per hour
+const DRAFTS_PER_IP_HOUR = parseInt(process.env.DRAFTS_PER_IP_HOUR) || 10;
+const DRAFT_SMS_PER_MOBILE_HOUR = 1;
+
+// Signed resume link for a draft; DRAFT_RESUME_URL is the website form URL the token is appended to
+const buildDraftResumeLink = (draft) => {
+    const token = jwt.sign({ scope: 'draft', draftId: draft._id }, JWT_SECRET, { expiresIn: DRAFT_TOKEN_EXPIRY });
+    return {
+        resumeToken: token,
+        resumeUrl: process.env.DRAFT_RESUME_URL ? `${process.env.DRAFT_RESUME_URL}${token}` : null
+    };
+};
+
+// Middleware to load the draft for a resume token (query ?token= or Authorization header)
+const authenticateDraft = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = req.query.token || (authHeader && authHeader.split(' ')[1]);
+
+    if (!token) {
+        return res.status(401).json({ success: false, message: 'Resume token required' });
+    }
+
+    jwt.verify(token, JWT_SECRET, async (err, payload) => {
+        if (err || payload.scope !== 'draft') {
+            return res.status(403).json({ success: false, message: 'Invalid or expired resume link' });
+        }
+        try {
+            const draft = await ApplicationDraft.findById(payload.draftId);
+            if (!draft) {
+                return res.status(404).json({ success: false, message: 'Draft not found' });
+            }
+            req.draft = draft;
+            next();
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Error loading draft', error: error.message });
+        }
+    });
+};
+
+// Public view of a draft for the website form
+const serializeDraft = (draft) => ({
+    id: draft._id,
+    loanType: draft.loanType,
+    formData: draft.formData,
+    currentStep: draft.currentStep,
+    completedSteps: draft.completedSteps,
+    status: draft.status,
+    lastActivityAt: draft.lastActivityAt
+});
+
+/**
+ * POST /api/drafts
+ * Create a draft after step 1 of the loan form
+ * Body: loanType, fullName, mobileNumber, panCardNumber and any other step 1 fields
+ */
+app.post('/api/drafts', publicAccess, async (req, res) => {
+    try {
+        const { loanType, visitorId } = req.body;
+
+        if (isRateLimited(`draft-ip:${req.ip || req.connection.remoteAddress}`, DRAFTS_PER_IP_HOUR, 60 * 60 * 1000)) {
+            return res.status(429).json({
+                success: false,
+                message: 'Too many requests. Please try again later'
+            });
+        }
+
+        const schema = loanFormSchemas.getFormSchema(loanType);
+        if (!schema || schema.formType !== 'full') {
+            return res.status(400).json({
+                success: false,
+                message: 'Drafts are only available for the full loan form'
+            });
+        }
+
+        // Step 1 fields are format-checked; name, mobile and PAN are required to follow up
+        const { errors: fieldErrors, data } = loanFormSchemas.validateForm(loanType, req.body, { steps: [1], partial: true });
+        ['fullName', 'mobileNumber', 'panCardNumber'].forEach(field => {
+            if (!data[field] && !fieldErrors.some(fieldError => fieldError.field === field)) {
+                fieldErrors.push({ field, code: 'required', message: `${field} is required` });
+            }
+        });
+        if (fieldErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: fieldErrors
+            });
+        }
+
+        const formData = {};
+        schema.fields.filter(field => field.step === 1).forEach(field => {
+            if (req.body[field.name] !== undefined) formData[field.name] = req.body[field.name];
+        });
+
+        const draft = await ApplicationDraft.create({
+            loanType,
+            fullName: data.fullName,
+            mobileNumber: data.mobileNumber,
+            personalEmail: data.personalEmail || null,
+            panCardNumber: data.panCardNumber,
+            formData,
+            completedSteps: [1],
+            currentStep: 2,
+            visitorId: visitorId || null,
+            ipAddress: req.ip || req.connection.remoteAddress,
+            userAgent: req.get('user-agent')
+        });
+
+        const resumeLink = buildDraftResumeLink(draft);
+
+        // Text the resume link so the applicant can come back later; the link is also in the
+        // response, so a number that was texted recently is simply not texted again
+        if (resumeLink.resumeUrl && !isRateLimited(`draft-sms:${draft.mobileNumber}`, DRAFT_SMS_PER_MOBILE_HOUR, 60 * 60 * 1000)) {
+            sendSms(draft.mobileNumber, `Continue your Dev Kripa Fincrop application anytime: ${resumeLink.resumeUrl}`)
+                .catch(smsError => console.error('Draft resume SMS error:', smsError.message));
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Draft saved successfully',
+            ...resumeLink,
+            data: serializeDraft(draft)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error saving draft',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/drafts/current
+ * Resume a draft from its signed link (?token=)
+ */
+app.get('/api/drafts/current', authenticateDraft, (req, res) => {
+    res.json({
+        success: true,
+        data: serializeDraft(req.draft)
+    });
+});
+
+/**
+ * PATCH /api/drafts/current
+ * Save a step of the form (?token=)
+ * Body: { step, ...fields for that step }
+ */
+app.patch('/api/drafts/current', authenticateDraft, async (req, res) => {
+    try {
+        const draft = req.draft;
+        const step = parseInt(req.body.step);
+
+        if (draft.status !== 'draft') {
+            return res.status(400).json({
+                success: false,
+                message: 'This application has already been submitted'
+            });
+        }
+
+        if (![1, 2, 3].includes(step)) {
+            return res.status(400).json({
+                success: false,
+                message: 'step must be 1, 2 or 3'
+            });
+        }
+
+        const schema = loanFormSchemas.getFormSchema(draft.loanType);
+        const formData = { ...draft.formData };
+        schema.fields.filter(field => field.step === step).forEach(field => {
+            if (req.body[field.name] !== undefined) formData[field.name] = req.body[field.name];
+        });
+
+        // Only format-check this step; required fields are enforced on submit
+        const { errors: fieldErrors, data } = loanFormSchemas.validateForm(draft.loanType, formData, { steps: [step], partial: true });
+        if (fieldErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: fieldErrors
+            });
+        }
+
+        draft.formData = formData;
+        if (step === 1) {
+            draft.fullName = data.fullName || draft.fullName;
+            draft.mobileNumber = data.mobileNumber || draft.mobileNumber;
+            draft.personalEmail = data.personalEmail || draft.personalEmail;
+            draft.panCardNumber = data.panCardNumber || draft.panCardNumber;
+        }
+        if (!draft.completedSteps.includes(step)) draft.completedSteps.push(step);
+        draft.currentStep = Math.min(step + 1, 3);
+        draft.lastActivityAt = new Date();
+        await draft.save();
+
+        res.json({
+            success: true,
+            message: 'Draft saved successfully',
+            data: serializeDraft(draft)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error saving draft',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/drafts/current/submit
+ * Validate the complete draft and turn it into a loan application (?token=)
+ */
+app.post('/api/drafts/current/submit', authenticateDraft, async (req, res) => {
+    try {
+        const draft = req.draft;
+
+        if (draft.status !== 'draft') {
+            return res.status(400).json({
+                success: false,
+                message: 'This application has already been submitted',
+                applicationId: draft.convertedApplication
+            });
+        }
+
+        const { errors: fieldErrors, data: applicationData } = loanFormSchemas.validateForm(draft.loanType, draft.formData);
+        if (fieldErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: fieldErrors
+            });
+        }
+
+        applicationData.ipAddress = req.ip || req.connection.remoteAddress;
+        applicationData.userAgent = req.get('user-agent');
+        applicationData.visitorId = draft.visitorId;
+
+        // Claim the draft first, so a double submit cannot create two applications
+        const claimed = await ApplicationDraft.findOneAndUpdate(
+            { _id: draft._id, status: 'draft' },
+            { $set: { status: 'submitting' } }
+        );
+        if (!claimed) {
+            return res.status(409).json({
+                success: false,
+                message: 'This application is already being submitted'
+            });
+        }
+
+        let application;
+        try {
+            ({ application } = await createLoanApplication(applicationData, { comment: 'Application submitted from saved draft' }));
+        } catch (createError) {
+            // Release the claim so the applicant can fix the problem and submit again
+            await ApplicationDraft.updateOne({ _id: draft._id, status: 'submitting' }, { $set: { status: 'draft' } });
+            throw createError;
+        }
+
+        await ApplicationDraft.updateOne(
+            { _id: draft._id },
+            {
+                $set: {
+                    status: 'converted',
+                    convertedApplication: application._id,
+                    convertedAt: new Date(),
+                    lastActivityAt: new Date()
+                }
+            }
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Application submitted successfully',
+            applicationId: application._id,
+            referenceNumber: application.referenceNumber
+        });
+    } catch (error) {
+        console.error('❌ Error submitting draft:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: Object.values(error.errors).map(err => ({ field: err.path, code: err.kind, message: err.message }))
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error submitting application. Please try again.',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/drafts
+ * List drafts for follow-up calls (Admin)
+ * Query: abandoned=true (idle drafts only), status, loanType, page, limit
+ */
+app.get('/api/drafts', requirePermission('applications:read'), async (req, res) => {
+    try {
+        const { abandoned, status, loanType } = req.query;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+        let filter = {};
+        if (status && status !== 'all') filter.status = status;
+        if (loanType && loanType !== 'all') filter.loanType = loanType;
+        if (abandoned === 'true') {
+            filter.status = 'draft';
+            filter.lastActivityAt = { $lte: new Date(Date.now() - DRAFT_ABANDONED_HOURS * 60 * 60 * 1000) };
+        }
+
+        const drafts = await ApplicationDraft.find(filter)
+            .sort({ lastActivityAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit);
+
+        const total = await ApplicationDraft.countDocuments(filter);
+
+        res.json({
+            success: true,
+            count: drafts.length,
+            total,
+            page,
+            totalPages: Math.ceil(total / limit),
+            data: drafts
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching drafts',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/drafts/:id
+ * Get a single draft (Admin)
+ */
+app.get('/api/drafts/:id', requirePermission('applications:read'), auditRead('ApplicationDraft'), async (req, res) => {
+    try {
+        const draft = await ApplicationDraft.findById(req.params.id);
+
+        if (!draft) {
+            return res.status(404).json({
+                success: false,
+                message: 'Draft not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: draft
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching draft',
+            error: error.message
+        });
+    }
+});
+
+// ===========================
+// Form Schema Routes
+// ===========================
+
+/**
+ * GET /api/forms
+ * List products that have an application form schema
+ */
+app.get('/api/forms', publicAccess, (req, res) => {
+    res.json({
+        success: true,
+        data: loanFormSchemas.LOAN_TYPES.map(loanType => {
+            const { title, formType, steps } = loanFormSchemas.getFormSchema(loanType);
+            return { loanType, title, formType, steps };
+        })
+    });
+});
+
+/**
+ * GET /api/forms/:loanType/schema
+ * Get the field definitions the website form renders and the server validates with
+ */
+app.get('/api/forms/:loanType/schema', publicAccess, (req, res) => {
+    const schema = loanFormSchemas.getFormSchema(req.params.loanType);
+
+    if (!schema) {
+        return res.status(404).json({
+            success: false,
+            message: 'Form not found for this loan type'
+        });
+    }
+
+    res.json({
+        success: true,
+        data: schema
+    });
+});
+
+// ===========================
+// Eligibility & EMI Routes
+// ===========================
+
+/**
+ * POST /api/eligibility/check
+ * Estimate eligible amount, EMIs and FOIR for a product (used by website calculators)
+ * Body: loanType, loanAmount, monthlyInhandSalary, monthlyIncome, employmentType,
+ *       totalWorkExperience, businessVintage, itrReturn, existingEmi
+ */
+app.post('/api/eligibility/check', publicAccess, async (req, res) => {
+    try {
+        const { loanType } = req.body;
+
+        if (!loanType) {
+            return res.status(400).json({
+                success: false,
+                message: 'loanType is required'
+            });
+        }
+
+        const result = await EligibilityRule.evaluateFor(req.body);
+
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                message: `Eligibility check is not available for ${loanType}`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error checking eligibility',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/eligibility/rules
+ * Get eligibility rules for all products
+ */
+app.get('/api/eligibility/rules', publicAccess, async (req, res) => {
+    try {
+        const rules = await EligibilityRule.find().select('-updatedBy').sort({ loanType: 1 });
+
+        res.json({
+            success: true,
+            data: rules
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching eligibility rules',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/eligibility/rules/:loanType
+ * Create or update the eligibility rule for a product
+ */
+app.put('/api/eligibility/rules/:loanType', requirePermission('settings:write'), async (req, res) => {
+    try {
+        const { loanType } = req.params;
+
+        if (!LoanApplication.schema.path('loanType').enumValues.includes(loanType)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid loan type'
+            });
+        }
+
+        const editableFields = [
+            'enabled', 'interestRate', 'maxFoir', 'tenuresMonths', 'minMonthlyIncome', 'minLoanAmount',
+            'maxLoanAmount', 'maxIncomeMultiplier', 'minTotalWorkExperience', 'minBusinessVintage',
+            'requireItr', 'allowedEmploymentTypes'
+        ];
+        const updates = {};
+        editableFields.forEach(field => {
+            if (req.body[field] !== undefined) updates[field] = req.body[field];
+        });
+
+        const rule = await EligibilityRule.findOneAndUpdate(
+            { loanType },
+            { ...updates, loanType, updatedBy: req.user.id, updatedAt: new Date() },
+            { new: true, upsert: true, runValidators: true }
+        );
+
+        res.json({
+            success: true,
+            message: 'Eligibility rule saved successfully',
+            data: rule
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: Object.values(error.errors).map(err => err.message)
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error saving eligibility rule',
+            error: error.message
+        });
+    }
+});
+
+// ===========================
+// Assignment Rule Routes
+// ===========================
+
+// Fields an admin can set on an assignment rule
+const ASSIGNMENT_RULE_FIELDS = ['name', 'enabled', 'priority', 'strategy', 'loanTypes', 'cities', 'assignees'];
+
+/**
+ * GET /api/assignment-rules
+ * List auto-assignment rules in the order they are checked
+ */
+app.get('/api/assignment-rules', requirePermission('applications:assign'), async (req, res) => {
+    try {
+        const rules = await AssignmentRule.find()
+            .populate('assignees', 'fullName email status')
+            .sort({ priority: 1, createdAt: 1 });
+
+        res.json({
+            success: true,
+            data: rules
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching assignment rules',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/assignment-rules
+ * Create an auto-assignment rule
+ * Body: { name, strategy, loanTypes, cities, assignees, priority, enabled }
+ */
+app.post('/api/assignment-rules', requirePermission('settings:write'), async (req, res) => {
+    try {
+        const ruleData = {};
+        ASSIGNMENT_RULE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) ruleData[field] = req.body[field];
+        });
+
+        if (!ruleData.name || !Array.isArray(ruleData.assignees) || ruleData.assignees.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'name and at least one assignee are required'
+            });
+        }
+
+        const rule = await AssignmentRule.create({ ...ruleData, createdBy: req.user.id });
+
+        res.status(201).json({
+            success: true,
+            message: 'Assignment rule created successfully',
+            data: rule
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                error: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error creating assignment rule',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/assignment-rules/:id
+ * Update an auto-assignment rule
+ */
+app.put('/api/assignment-rules/:id', requirePermission('settings:write'), async (req, res) => {
+    try {
+        const rule = await AssignmentRule.findById(req.params.id);
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Assignment rule not found'
+            });
+        }
+
+        ASSIGNMENT_RULE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) rule[field] = req.body[field];
+        });
+        await rule.save();
+
+        res.json({
+            success: true,
+            message: 'Assignment rule updated successfully',
+            data: rule
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                error: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error updating assignment rule',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/assignment-rules/:id
+ * Delete an auto-assignment rule
+ */
+app.delete('/api/assignment-rules/:id', requirePermission('settings:write'), async (req, res) => {
+    try {
+        const rule = await AssignmentRule.findByIdAndDelete(req.params.id);
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Assignment rule not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Assignment rule deleted successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting assignment rule',
+            error: error.message
+        });
+    }
+});
+
+// ===========================
+// Lender Routes
+// ===========================
+
+// Fields an admin can set on a lender
+const LENDER_FIELDS = ['name', 'code', 'lenderType', 'active', 'adapter', 'contactName', 'contactEmail', 'contactPhone', 'products'];
+
+/**
+ * GET /api/lenders
+ * List partner lenders
+ * Query: active (true/false), loanType
+ */
+app.get('/api/lenders', requirePermission('applications:read'), async (req, res) => {
+    try {
+        let filter = {};
+        if (req.query.active === 'true' || req.query.active === 'false') {
+            filter.active = req.query.active === 'true';
+        }
+        if (req.query.loanType && req.query.loanType !== 'all') {
+            filter['products.loanType'] = req.query.loanType;
+        }
+
+        const lenders = await Lender.find(filter).sort({ name: 1 });
+
+        res.json({
+            success: true,
+            count: lenders.length,
+            adapters: Object.keys(lenderAdapters),
+            data: lenders
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching lenders',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/lenders
+ * Add a partner lender
+ * Body: { name, code, lenderType, adapter, contactName, contactEmail, contactPhone,
+ *         products: [{ loanType, minMonthlyIncome, minLoanAmount, maxLoanAmount, cities, employmentTypes, interestRate }] }
+ */
+app.post('/api/lenders', requirePermission('settings:write'), async (req, res) => {
+    try {
+        const lenderData = {};
+        LENDER_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) lenderData[field] = req.body[field];
+        });
+
+        if (lenderData.adapter && !lenderAdapters[lenderData.adapter]) {
+            return res.status(400).json({
+                success: false,
+                message: `adapter must be one of: ${Object.keys(lenderAdapters).join(', ')}`
+            });
+        }
+
+        const lender = await Lender.create({ ...lenderData, createdBy: req.user.id });
+
+        res.status(201).json({
+            success: true,
+            message: 'Lender created successfully',
+            data: lender
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'A lender with this code already exists'
+            });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                error: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error creating lender',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/lenders/:id
+ * Update a lender and its product criteria (set active: false to stop routing to it)
+ */
+app.put('/api/lenders/:id', requirePermission('settings:write'), async (req, res) => {
+    try {
+        const lender = mongoose.Types.ObjectId.isValid(req.params.id) ? await Lender.findById(req.params.id) : null;
+
+        if (!lender) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lender not found'
+            });
+        }
+
+        if (req.body.adapter && !lenderAdapters[req.body.adapter]) {
+            return res.status(400).json({
+                success: false,
+                message: `adapter must be one of: ${Object.keys(lenderAdapters).join(', ')}`
+            });
+        }
+
+        LENDER_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) lender[field] = req.body[field];
+        });
+        await lender.save();
+
+        res.json({
+            success: true,
+            message: 'Lender updated successfully',
+            data: lender
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'A lender with this code already exists'
+            });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                error: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error updating lender',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/applications/:id/matching-lenders
+ * Active lenders offering the application's loanType, with whether it meets each one's criteria
+ * Query: eligibleOnly (true)
+ */
+app.get('/api/applications/:id/matching-lenders', requirePermission('applications:read'), async (req, res) => {
+    try {
+        const application = await LoanApplication.findOne(idOrReferenceQuery(req.params.id));
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        let matches = await Lender.findMatches(application);
+        if (req.query.eligibleOnly === 'true') {
+            matches = matches.filter(match => match.eligible);
+        }
+
+        const submissions = await LenderSubmission.find({ application: application._id }).select('lender status decision');
+        const submittedTo = new Map(submissions.map(submission => [String(submission.lender), submission]));
+
+        res.json({
+            success: true,
+            count: matches.length,
+            data: matches.map(({ lender, eligible, reasons, product }) => ({
+                lender: {
+                    _id: lender._id,
+                    name: lender.name,
+                    code: lender.code,
+                    lenderType: lender.lenderType,
+                    adapter: lender.adapter
+                },
+                eligible,
+                reasons,
+                interestRate: product ? product.interestRate : null,
+                submission: submittedTo.get(String(lender._id)) || null
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error matching lenders',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/applications/:id/lender-submissions
+ * Lenders this application has been sent to and their decisions
+ */
+app.get('/api/applications/:id/lender-submissions', requirePermission('applications:read'), async (req, res) => {
+    try {
+        const application = await LoanApplication.findOne(idOrReferenceQuery(req.params.id)).select('_id');
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        const submissions = await LenderSubmission.find({ application: application._id })
+            .populate('lender', 'name code lenderType')
+            .sort({ sentAt: -1 });
+
+        res.json({
+            success: true,
+            count: submissions.length,
+            data: submissions
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching lender submissions',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/applications/:id/lender-submissions
+ * Send an application to a lender through the lender's adapter
+ * Body: { lenderId, notes, force } - force sends even if the application does not meet the lender's criteria
+ */
+app.post('/api/applications/:id/lender-submissions', requirePermission('lenders:submit'), async (req, res) => {
+    try {
+        const { lenderId, notes, force } = req.body;
+
+        const application = await LoanApplication.findOne(idOrReferenceQuery(req.params.id));
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        const lender = mongoose.Types.ObjectId.isValid(lenderId) ? await Lender.findOne({ _id: lenderId, active: true }) : null;
+        if (!lender) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lender not found or inactive'
+            });
+        }
+
+        const match = lender.matchApplication(application);
+        if (!match.eligible && !force) {
+            return res.status(400).json({
+                success: false,
+                message: 'Application does not meet this lender\'s criteria',
+                reasons: match.reasons
+            });
+        }
+
+        const existing = await LenderSubmission.findOne({
+            application: application._id,
+            lender: lender._id,
+            status: 'sent',
+            decision: 'pending'
+        });
+        if (existing) {
+            return res.status(409).json({
+                success: false,
+                message: 'Application is already awaiting a decision from this lender',
+                data: existing
+            });
+        }
+
+        const adapter = lenderAdapters[lender.adapter];
+        const submission = new LenderSubmission({
+            application: application._id,
+            lender: lender._id,
+            adapter: lender.adapter,
+            notes: notes || '',
+            sentBy: req.user.id,
+            sentByName: req.user.fullName
+        });
+
+        try {
+            if (!adapter) {
+                throw new Error(`Unknown lender adapter: ${lender.adapter}`);
+            }
+            const result = await adapter.submit(application, lender);
+            submission.lenderReference = result && result.lenderReference ? result.lenderReference : null;
+        } catch (adapterError) {
+            submission.status = 'failed';
+            submission.error = adapterError.message;
+        }
+
+        await submission.save();
+
+        if (submission.status === 'failed') {
+            return res.status(502).json({
+                success: false,
+                message: `Could not send application to ${lender.name}`,
+                error: submission.error,
+                data: submission
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `Application sent to ${lender.name}`,
+            data: submission
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error sending application to lender',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/lender-submissions/:id/decision
+ * Record the lender's decision by hand
+ * Body: { decision: 'pending' | 'approved' | 'rejected', decisionNotes, lenderReference }
+ */
+app.put('/api/lender-submissions/:id/decision', requirePermission('lenders:submit'), async (req, res) => {
+    try {
+        const { decision, decisionNotes, lenderReference } = req.body;
+
+        if (!LenderSubmission.DECISIONS.includes(decision)) {
+            return res.status(400).json({
+                success: false,
+                message: `decision must be one of: ${LenderSubmission.DECISIONS.join(', ')}`
+            });
+        }
+
+        const submission = mongoose.Types.ObjectId.isValid(req.params.id) ? await LenderSubmission.findById(req.params.id) : null;
+
+        if (!submission) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lender submission not found'
+            });
+        }
+
+        submission.decision = decision;
+        submission.decisionAt = decision === 'pending' ? null : new Date();
+        if (decisionNotes !== undefined) submission.decisionNotes = decisionNotes;
+        if (lenderReference !== undefined) submission.lenderReference = lenderReference;
+        await submission.save();
+
+        res.json({
+            success: true,
+            message: 'Lender decision recorded',
+            data: submission
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error recording lender decision',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/lender-submissions/:id/refresh
+ * Ask the lender's adapter for the latest decision (adapters without getDecision are manual-only)
+ */
+app.post('/api/lender-submissions/:id/refresh', requirePermission('lenders:submit'), async (req, res) => {
+    try {
+        const submission = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await LenderSubmission.findById(req.params.id).populate('lender')
+            : null;
+
+        if (!submission || !submission.lender) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lender submission not found'
+            });
+        }
+
+        const adapter = lenderAdapters[submission.adapter];
+        if (!adapter || typeof adapter.getDecision !== 'function') {
+            return res.status(400).json({
+                success: false,
+                message: `The ${submission.adapter} adapter does not report decisions; record them with PUT /api/lender-submissions/:id/decision`
+            });
+        }
+
+        const application = await LoanApplication.findById(submission.application);
+        const result = await adapter.getDecision(submission, application, submission.lender);
+
+        if (result && result.decision && result.decision !== submission.decision) {
+            submission.decision = result.decision;
+            submission.decisionNotes = result.notes || '';
+            submission.decisionAt = result.decision === 'pending' ? null : new Date();
+            await submission.save();
+        }
+
+        res.json({
+            success: true,
+            data: submission
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error refreshing lender decision',
+            error: error.message
+        });
+    }
+});
+
+// ===========================
+// Commission & Payout Routes
+// ===========================
+
+// Fields an admin can set on a commission slab
+const COMMISSION_SLAB_FIELDS = ['lender', 'loanType', 'minAmount', 'maxAmount', 'payoutPercent', 'agentSharePercent', 'effectiveFrom', 'effectiveTo', 'active'];
+
+// Fields an admin can set on a payout entry
+const PAYOUT_ENTRY_FIELDS = ['agentName', 'agentSharePercent', 'agentPaidAt', 'disputed', 'notes'];
+
+// Columns in the monthly payout statement CSV
+const PAYOUT_STATEMENT_COLUMNS = [
+    { key: 'referenceNumber', header: 'Reference Number' },
+    { key: 'applicantName', header: 'Applicant' },
+    { key: 'loanType', header: 'Loan Type' },
+    { key: 'lenderName', header: 'Lender' },
+    { key: 'disbursedAt', header: 'Disbursed On' },
+    { key: 'disbursedAmount', header: 'Disbursed Amount' },
+    { key: 'payoutPercent', header: 'Payout %' },
+    { key: 'expectedAmount', header: 'Expected Payout' },
+    { key: 'receivedAmount', header: 'Received Payout' },
+    { key: 'difference', header: 'Difference' },
+    { key: 'reconciliationStatus', header: 'Reconciliation Status' },
+    { key: 'agentName', header: 'Agent' },
+    { key: 'agentSharePercent', header: 'Agent Share %' },
+    { key: 'agentShareAmount', header: 'Agent Share' },
+    { key: 'agentPaidAt', header: 'Agent Paid On' }
+];
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Build a PayoutEntry filter from list query params (shared by list and statement)
+const buildPayoutFilter = (query) => {
+    let filter = {};
+    if (query.month) filter.statementMonth = query.month;
+    // Cast here: the filter is also used in an aggregate $match, which Mongoose does not cast
+    if (query.lenderId && mongoose.Types.ObjectId.isValid(query.lenderId)) filter.lender = new mongoose.Types.ObjectId(query.lenderId);
+    if (query.loanType && query.loanType !== 'all') filter.loanType = query.loanType;
+    if (query.reconciliationStatus && query.reconciliationStatus !== 'all') filter.reconciliationStatus = query.reconciliationStatus;
+    if (query.agentName) filter.agentName = new RegExp(escapeRegex(query.agentName), 'i');
+    return filter;
+};
+
+// Sum ledger amounts for a filter
+const getPayoutTotals = async (filter) => {
+    const [totals] = await PayoutEntry.aggregate([
+        { $match: filter },
+        {
+            $group: {
+                _id: null,
+                entries: { $sum: 1 },
+                disbursedAmount: { $sum: '$disbursedAmount' },
+                expectedAmount: { $sum: '$expectedAmount' },
+                receivedAmount: { $sum: '$receivedAmount' },
+                agentShareAmount: { $sum: '$agentShareAmount' }
+            }
+        },
+        { $project: { _id: 0 } }
+    ]);
+    const result = totals || { entries: 0, disbursedAmount: 0, expectedAmount: 0, receivedAmount: 0, agentShareAmount: 0 };
+    result.outstandingAmount = Math.round((result.expectedAmount - result.receivedAmount) * 100) / 100;
+    return result;
+};
+
+/**
+ * GET /api/commission-slabs
+ * List commission slabs
+ * Query: lenderId, loanType
+ */
+app.get('/api/commission-slabs', requirePermission('payouts:read'), async (req, res) => {
+    try {
+        let filter = {};
+        if (req.query.lenderId && mongoose.Types.ObjectId.isValid(req.query.lenderId)) {
+            filter.lender = req.query.lenderId;
+        }
+        if (req.query.loanType && req.query.loanType !== 'all') {
+            filter.loanType = req.query.loanType;
+        }
+
+        const slabs = await CommissionSlab.find(filter)
+            .populate('lender', 'name code')
+            .sort({ lender: 1, loanType: 1, minAmount: 1 });
+
+        res.json({
+            success: true,
+            count: slabs.length,
+            data: slabs
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching commission slabs',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/commission-slabs
+ * Create a commission slab
+ * Body: { lender, loanType, minAmount, maxAmount, payoutPercent, agentSharePercent, effectiveFrom, effectiveTo, active }
+ */
+app.post('/api/commission-slabs', requirePermission('settings:write'), async (req, res) => {
+    try {
+        const slabData = {};
+        COMMISSION_SLAB_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) slabData[field] = req.body[field];
+        });
+
+        const lender = mongoose.Types.ObjectId.isValid(slabData.lender) ? await Lender.findById(slabData.lender) : null;
+        if (!lender) {
+            return res.status(400).json({
+                success: false,
+                message: 'A valid lender is required'
+            });
+        }
+
+        const slab = await CommissionSlab.create({ ...slabData, updatedBy: req.user.id });
+
+        res.status(201).json({
+            success: true,
+            message: 'Commission slab created successfully',
+            data: slab
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                error: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error creating commission slab',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/commission-slabs/:id
+ * Update a commission slab (existing ledger entries pick it up on the next sync)
+ */
+app.put('/api/commission-slabs/:id', requirePermission('settings:write'), async (req, res) => {
+    try {
+        const slab = mongoose.Types.ObjectId.isValid(req.params.id) ? await CommissionSlab.findById(req.params.id) : null;
+
+        if (!slab) {
+            return res.status(404).json({
+                success: false,
+                message: 'Commission slab not found'
+            });
+        }
+
+        COMMISSION_SLAB_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) slab[field] = req.body[field];
+        });
+        slab.updatedBy = req.user.id;
+        await slab.save();
+
+        res.json({
+            success: true,
+            message: 'Commission slab updated successfully',
+            data: slab
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                error: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error updating commission slab',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/commission-slabs/:id
+ * Delete a commission slab
+ */
+app.delete('/api/commission-slabs/:id', requirePermission('settings:write'), async (req, res) => {
+    try {
+        const slab = mongoose.Types.ObjectId.isValid(req.params.id) ? await CommissionSlab.findByIdAndDelete(req.params.id) : null;
+
+        if (!slab) {
+            return res.status(404).json({
+                success: false,
+                message: 'Commission slab not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Commission slab deleted successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting commission slab',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/payouts
+ * Commission ledger with totals for the filtered entries
+ * Query: month (YYYY-MM), lenderId, loanType, reconciliationStatus, agentName, page, limit
+ */
+app.get('/api/payouts', requirePermission('payouts:read'), async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const filter = buildPayoutFilter(req.query);
+
+        const entries = await PayoutEntry.find(filter)
+            .sort({ disbursedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit);
+
+        const total = await PayoutEntry.countDocuments(filter);
+
+        res.json({
+            success: true,
+            count: entries.length,
+            total,
+            page,
+            totalPages: Math.ceil(total / limit),
+            totals: await getPayoutTotals(filter),
+            data: entries
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching payouts',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/payouts/statement
+ * Download a monthly payout statement as CSV
+ * Query: month (YYYY-MM, required), lenderId, loanType, reconciliationStatus, agentName
+ */
+app.get('/api/payouts/statement', requirePermission('payouts:read'), auditRead('PayoutEntry', 'export', req => ({ query: req.query })), async (req, res) => {
+    try {
+        if (!MONTH_PATTERN.test(req.query.month || '')) {
+            return res.status(400).json({
+                success: false,
+                message: 'month is required in YYYY-MM format'
+            });
+        }
+
+        const filter = buildPayoutFilter(req.query);
+        const entries = await PayoutEntry.find(filter).sort({ lenderName: 1, disbursedAt: 1 }).lean();
+        const totals = await getPayoutTotals(filter);
+
+        const lines = [PAYOUT_STATEMENT_COLUMNS.map(column => toCsvCell(column.header)).join(',')];
+        entries.forEach(entry => {
+            const row = { ...entry, difference: Math.round((entry.receivedAmount - entry.expectedAmount) * 100) / 100 };
+            lines.push(PAYOUT_STATEMENT_COLUMNS.map(column => toCsvCell(row[column.key])).join(','));
+        });
+        lines.push('');
+        lines.push(['Totals', '', '', '', '', totals.disbursedAmount, '', totals.expectedAmount, totals.receivedAmount,
+            -totals.outstandingAmount, '', '', '', totals.agentShareAmount, ''].map(toCsvCell).join(','));
+
+        res.setHeader('Content-Disposition', `attachment; filename="payout-statement-${req.query.month}.csv"`);
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.send(lines.join('\r\n') + '\r\n');
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error generating payout statement',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/payouts/sync
+ * Create or refresh ledger entries for disbursed applications (e.g. after adding slabs)
+ * Body: { month } - optional YYYY-MM to limit by disbursement month
+ */
+app.post('/api/payouts/sync', requirePermission('payouts:write'), async (req, res) => {
+    try {
+        const { month } = req.body;
+        let filter = { disbursedAmount: { $gt: 0 } };
+
+        if (month) {
+            if (!MONTH_PATTERN.test(month)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'month must be in YYYY-MM format'
+                });
+            }
+            const [year, monthNumber] = month.split('-').map(Number);
+            filter['disbursements.disbursedAt'] = {
+                $gte: new Date(year, monthNumber - 1, 1),
+                $lt: new Date(year, monthNumber, 1)
+            };
+        }
+
+        let synced = 0;
+        let skipped = 0;
+        for await (const application of LoanApplication.find(filter).cursor()) {
+            const entry = await syncPayoutEntry(application);
+            if (entry) synced++;
+            else skipped++;
+        }
+
+        res.json({
+            success: true,
+            message: `Synced ${synced} payout entr${synced === 1 ? 'y' : 'ies'}; ${skipped} application(s) have no matching commission slab`,
+            synced,
+            skipped
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error syncing payouts',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/payouts/:id/receipts
+ * Record a payout received from the lender
+ * Body: { amount, receivedAt, reference }
+ */
+app.post('/api/payouts/:id/receipts', requirePermission('payouts:write'), async (req, res) => {
+    try {
+        const amount = parseFloat(req.body.amount);
+
+        if (!Number.isFinite(amount) || amount === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'A non-zero amount is required (negative for clawbacks)'
+            });
+        }
+
+        const entry = mongoose.Types.ObjectId.isValid(req.params.id) ? await PayoutEntry.findById(req.params.id) : null;
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payout entry not found'
+            });
+        }
+
+        entry.receipts.push({
+            amount,
+            receivedAt: req.body.receivedAt ? new Date(req.body.receivedAt) : new Date(),
+            reference: req.body.reference || null,
+            recordedBy: req.user.id
+        });
+        await entry.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Payout receipt recorded',
+            data: entry
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                error: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error recording payout receipt',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/payouts/:id
+ * Update agent details, dispute flag or notes on a payout entry
+ * Body: { agentName, agentSharePercent, agentPaidAt, disputed, notes }
+ */
+app.put('/api/payouts/:id', requirePermission('payouts:write'), async (req, res) => {
+    try {
+        const entry = mongoose.Types.ObjectId.isValid(req.params.id) ? await PayoutEntry.findById(req.params.id) : null;
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payout entry not found'
+            });
+        }
+
+        PAYOUT_ENTRY_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) entry[field] = req.body[field];
+        });
+        await entry.save();
+
+        res.json({
+            success: true,
+            message: 'Payout entry updated successfully',
+            data: entry
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                error: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error updating payout entry',
+            error: error.message
+        });
+    }
+});
+
+// ===========================
+// Lead Scoring Routes
+// ===========================
+
+/**
+ * GET /api/lead-scoring/config
+ * Get the lead scoring weights and bands
+ */
+app.get('/api/lead-scoring/config', requirePermission('applications:read'), async (req, res) => {
+    try {
+        const config = await LeadScoringConfig.getActive();
+
+        res.json({
+            success: true,
+            data: config
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching lead scoring config',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/lead-scoring/config
+ * Update lead scoring weights and bands (existing scores are kept until rescored)
+ */
+app.put('/api/lead-scoring/config', requirePermission('settings:write'), async (req, res) => {
+    try {
+        const editableFields = [
+            'weights', 'incomeBands', 'experienceBands', 'vintageFactors',
+            'employmentFactors', 'residenceFactors', 'engagementTargets'
+        ];
+        const config = await LeadScoringConfig.getActive();
+
+        editableFields.forEach(field => {
+            if (req.body[field] !== undefined) config.set(field, req.body[field]);
+        });
+        config.updatedBy = req.user.id;
+        config.updatedAt = new Date();
+        await config.save();
+
+        res.json({
+            success: true,
+            message: 'Lead scoring config updated successfully',
+            data: config
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: Object.values(error.errors).map(err => err.message)
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error updating lead scoring config',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/lead-scoring/rescore
+ * Recalculate lead scores for all applications (or those matching the list filters)
+ */
+app.post('/api/lead-scoring/rescore', requirePermission('settings:write'), async (req, res) => {
+    try {
+        const { filter, error: filterError } = buildApplicationFilter(req.query);
+        if (filterError) {
+            return res.status(400).json({
+                success: false,
+                message: filterError
+            });
+        }
+
+        const config = await LeadScoringConfig.getActive();
+        const cursor = LoanApplication.find(filter).cursor();
+        let rescored = 0;
+
+        for await (const application of cursor) {
+            await applyLeadScore(application, config);
+            await LoanApplication.updateOne(
+                { _id: application._id },
+                {
+                    leadScore: application.leadScore,
+                    leadScoreBreakdown: application.leadScoreBreakdown,
+                    leadScoredAt: application.leadScoredAt
+                }
+            );
+            rescored++;
+        }
+
+        res.json({
+            success: true,
+            message: `Rescored ${rescored} applications`,
+            rescored
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error rescoring applications',
+            error: error.message
+        });
+    }
+});
+
+// ===========================
+// Applicant Status Tracker Routes
+// ===========================
+
+const OTP_EXPIRY_MINUTES = 10;
+const OTP_RESEND_SECONDS = 60;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_REQUESTS_PER_IP_HOUR = parseInt(process.env.OTP_REQUESTS_PER_IP_HOUR) || 10;
+const OTP_VERIFICATIONS_PER_IP_HOUR = parseInt(process.env.OTP_VERIFICATIONS_PER_IP_HOUR) || 30;
+
+// Normalize a mobile number to the 10 digits stored on applications
+const normalizeMobile = (value) => String(value || '').replace(/\D/g, '').slice(-10);
+
+// Find an application by ID or reference number and the mobile number it was submitted with
+const findApplicationForApplicant = async (applicationId, mobileNumber) => {
+    if (!applicationId) {
+        return null;
+    }
+    return LoanApplication.findOne({
+        ...idOrReferenceQuery(applicationId),
+        ...LoanApplication.blindIndexQuery('mobileNumber', normalizeMobile(mobileNumber))
+    });
+};
+
+/**
+ * POST /api/track/request-otp
+ * Send a one-time code to the mobile number on an application
+ * Body: { applicationId, mobileNumber }
+ */
+app.post('/api/track/request-otp', publicAccess, async (req, res) => {
+    try {
+        const { applicationId, mobileNumber } = req.body;
+
+        if (!applicationId || !mobileNumber) {
+            return res.status(400).json({
+                success: false,
+                message: 'Application reference and mobile number are required'
+            });
+        }
+
+        // Same response whether or not the details match or the request is rate limited,
+        // so references and mobile numbers cannot be probed
+        const genericResponse = {
+            success: true,
+            message: 'If the details match our records, an OTP has been sent to your mobile number',
+            expiresInMinutes: OTP_EXPIRY_MINUTES
+        };
+
+        // Limits apply before the lookup: one request per reference per resend interval, and
+        // OTP_REQUESTS_PER_IP_HOUR per IP address
+        const ipAddress = req.ip || req.connection.remoteAddress;
+        const referenceLimited = isRateLimited(`reference:${String(applicationId).trim().toUpperCase()}`, 1, OTP_RESEND_SECONDS * 1000);
+        const ipLimited = isRateLimited(`ip:${ipAddress}`, OTP_REQUESTS_PER_IP_HOUR, 60 * 60 * 1000);
+        if (referenceLimited || ipLimited) {
+            return res.json(genericResponse);
+        }
+
+        const application = await findApplicationForApplicant(applicationId, mobileNumber);
+        if (!application) {
+            return res.json(genericResponse);
+        }
+
+        // Also covers requests that used the other form of the reference (ID vs reference number)
+        const recentOtp = await ApplicantOtp.findOne({
+            application: application._id,
+            createdAt: { $gte: new Date(Date.now() - OTP_RESEND_SECONDS * 1000) }
+        });
+        if (recentOtp) {
+            return res.json(genericResponse);
+        }
+
+        const otp = String(crypto.randomInt(100000, 1000000));
+
+        // Only one active code per application
+        await ApplicantOtp.deleteMany({ application: application._id });
+        await ApplicantOtp.create({
+            application: application._id,
+            mobileNumber: application.mobileNumber,
+            codeHash: await bcrypt.hash(otp, 10),
+            expiresAt: new Date(Date.now() + OTP_EXPIRY_MINUTES * 60 * 1000)
+        });
+
+        // A delivery failure gets the generic response too; an error here would confirm the details matched
+        try {
+            await sendSms(
+                application.mobileNumber,
+                `${otp} is your Dev Kripa Fincrop OTP to check your application status. Valid for ${OTP_EXPIRY_MINUTES} minutes.`
+            );
+        } catch (smsError) {
+            console.error('OTP SMS error:', smsError.message);
+        }
+
+        res.json(genericResponse);
+
+    } catch (error) {
+        console.error('OTP request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error sending OTP',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/track/verify-otp
+ * Verify the one-time code and issue a short-lived tracker token
+ * Body: { applicationId, mobileNumber, otp }
+ */
+app.post('/api/track/verify-otp', publicAccess, async (req, res) => {
+    try {
+        const { applicationId, mobileNumber, otp } = req.body;
+
+        if (!applicationId || !mobileNumber || !otp) {
+            return res.status(400).json({
+                success: false,
+                message: 'Application reference, mobile number and OTP are required'
+            });
+        }
+
+        const invalidResponse = {
+            success: false,
+            message: 'Invalid or expired OTP'
+        };
+
+        if (isRateLimited(`verify-ip:${req.ip || req.connection.remoteAddress}`, OTP_VERIFICATIONS_PER_IP_HOUR, 60 * 60 * 1000)) {
+            return res.status(429).json({
+                success: false,
+                message: 'Too many attempts. Please try again later'
+            });
+        }
+
+        const application = await findApplicationForApplicant(applicationId, mobileNumber);
+        if (!application) {
+            return res.status(400).json(invalidResponse);
+        }
+
+        // Reserve the attempt before checking the code, so parallel guesses cannot all pass the limit
+        const otpRecord = await ApplicantOtp.findOneAndUpdate(
+            {
+                application: application._id,
+                verifiedAt: null,
+                expiresAt: { $gt: new Date() },
+                attempts: { $lt: OTP_MAX_ATTEMPTS }
+            },
+            { $inc: { attempts: 1 } },
+            { new: true }
+        );
+        if (!otpRecord) {
+            return res.status(400).json(invalidResponse);
+        }
+
+        const isMatch = await bcrypt.compare(String(otp), otpRecord.codeHash);
+        if (!isMatch) {
+            return res.status(400).json(invalidResponse);
+        }
+
+        // A code is good for one token
+        const verified = await ApplicantOtp.findOneAndUpdate(
+            { _id: otpRecord._id, verifiedAt: null },
+            { $set: { verifiedAt: new Date() } }
+        );
+        if (!verified) {
+            return res.status(400).json(invalidResponse);
+        }
+
+        const token = jwt.sign(
+            { scope: 'applicant', applicationId: application._id },
+            JWT_SECRET,
+            { expiresIn: '30m' }
+        );
+
+        res.json({
+            success: true,
+            message: 'OTP verified successfully',
+            token
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error verifying OTP',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/track/status
+ * Get status and timeline of the verified applicant's own application
+ * Header: Authorization: Bearer <token from verify-otp>
+ */
+app.get('/api/track/status', authenticateApplicant, async (req, res) => {
+    try {
+        const application = await LoanApplication.findById(req.applicant.applicationId)
+            .select('referenceNumber loanType fullName employmentType gstRegistered applicationStatus applicationDate documents');
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        // Admin identities and internal comments stay private
+        const history = await ApplicationStatusHistory.find({ application: application._id })
+            .select('toStatus changedAt -_id')
+            .sort({ changedAt: 1 });
+
+        res.json({
+            success: true,
+            data: {
+                applicationId: application._id,
+                referenceNumber: application.referenceNumber,
+                loanType: application.loanType,
+                fullName: application.fullName,
+                applicationStatus: application.applicationStatus,
+                applicationDate: application.applicationDate,
+                history: history.map(entry => ({ status: entry.toStatus, date: entry.changedAt })),
+                // Documents the applicant still needs to provide (rejected ones include the reason)
+                pendingDocuments: application.getDocumentChecklist().checklist
+                    .filter(item => item.status === 'missing' || item.status === 'rejected')
+            }
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching application status',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/track/documents
+ * Applicant uploads a requested document (multipart: document, documentType)
+ * Header: Authorization: Bearer <token from verify-otp>
+ */
+app.post('/api/track/documents', authenticateApplicant, documentUpload.single('document'), async (req, res) => {
+    try {
+        const { documentType } = req.body;
+
+        if (!LoanApplication.DOCUMENT_TYPES.includes(documentType)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid document type',
+                documentTypes: LoanApplication.DOCUMENT_TYPES
+            });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please upload a document'
+            });
+        }
+
+        const application = await LoanApplication.findById(req.applicant.applicationId);
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'Application not found'
+            });
+        }
+
+        const document = await attachApplicationDocument(application, req.file, documentType, null);
+        await application.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Document uploaded successfully',
+            data: {
+                documentType: document.documentType,
+                fileName: document.fileName,
+                uploadedAt: document.uploadedAt,
+                verificationStatus: document.verificationStatus
+            }
+        });
+    } catch (error) {
+        console.error('Applicant document upload error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error uploading document',
+            error: error.message
+        });
+    }
+});
+
+// ===========================
+// Data Security Routes
+// ===========================
+
+/**
+ * POST /api/security/rotate-encryption
+ * Re-encrypt application PII written with an older key using the current FIELD_ENCRYPTION_KEY_ID
+ * (Super Admin only; run after adding a new key, before removing the old one)
+ */
+app.post('/api/security/rotate-encryption', authenticateToken, isSuperAdmin, async (req, res) => {
+    try {
+        const applications = await LoanApplication.rotateEncryption();
+        const drafts = await ApplicationDraft.rotateEncryption();
+        const otps = await ApplicantOtp.rotateEncryption();
+
+        res.json({
+            success: true,
+            message: `Re-encrypted ${applications} application(s) and ${drafts} draft(s) with key "${fieldEncryption.currentKeyId}"`,
+            keyId: fieldEncryption.currentKeyId,
+            applications,
+            drafts,
+            otps
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error rotating encryption key',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/security/pii-access-log
+ * Audit trail of PII reveals (Super Admin only)
+ * Query: userId, entityType, entityId, startDate, endDate, page, limit
+ */
+app.get('/api/security/pii-access-log', authenticateToken, isSuperAdmin, async (req, res) => {
+    try {
+        const { userId, entityType, entityId, startDate, endDate } = req.query;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+        let filter = {};
+        if (userId && mongoose.Types.ObjectId.isValid(userId)) filter.user = userId;
+        if (entityType && entityType !== 'all') filter.entityType = entityType;
+        if (entityId && mongoose.Types.ObjectId.isValid(entityId)) filter.entityId = entityId;
+        if (startDate || endDate) {
+            filter.revealedAt = {};
+            if (startDate) filter.revealedAt.$gte = new Date(startDate);
+            if (endDate) filter.revealedAt.$lte = new Date(endDate);
+            if (Object.values(filter.revealedAt).some(date => isNaN(date.getTime()))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'startDate and endDate must be valid dates'
+                });
+            }
+        }
+
+        const entries = await PiiAccessLog.find(filter)
+            .sort({ revealedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit);
+
+        const total = await PiiAccessLog.countDocuments(filter);
+
+        res.json({
+            success: true,
+            count: entries.length,
+            total,
+            page,
+            totalPages: Math.ceil(total / limit),
+            data: entries
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching PII access log',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/security/audit-log
+ * Admin reads and writes, with field-level diffs (Super Admin only)
+ * Query: userId, entityType, entityId (id or reference number), action, startDate, endDate, page, limit
+ */
+app.get('/api/security/audit-log', authenticateToken, isSuperAdmin, async (req, res) => {
+    try {
+        const { userId, entityType, entityId, action, startDate, endDate } = req.query;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+        let filter = {};
+        if (userId && mongoose.Types.ObjectId.isValid(userId)) filter.actor = userId;
+        if (entityType && entityType !== 'all') filter.entityType = entityType;
+        if (action && action !== 'all') filter.action = action;
+        if (entityId) {
+            const id = String(entityId).trim();
+            filter.$or = [{ entityId: id }, { referenceNumber: id.toUpperCase() }];
+        }
+        if (startDate || endDate) {
+            filter.createdAt = {};
+            if (startDate) filter.createdAt.$gte = new Date(startDate);
+            if (endDate) filter.createdAt.$lte = new Date(endDate);
+            if (Object.values(filter.createdAt).some(date => isNaN(date.getTime()))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'startDate and endDate must be valid dates'
+                });
+            }
+        }
+
+        const entries = await AuditLog.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit);
+
+        const total = await AuditLog.countDocuments(filter);
+
+        res.json({
+            success: true,
+            count: entries.length,
+            total,
+            page,
+            totalPages: Math.ceil(total / limit),
+            data: entries
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching audit log',
+            error: error.message
+        });
+    }
+});
+
+// ===========================
+// Data Retention & Erasure Routes
+// ===========================
+// Retention policies (one per collection) are applied by an in-process job. Erasure requests
+// remove one person's data from every collection on demand. Loan applications are anonymized
+// rather than deleted so sanction, disbursement and payout records stay consistent.
+
+// How often the retention job runs (hours)
+const RETENTION_JOB_HOURS = parseInt(process.env.RETENTION_JOB_HOURS) || 24;
+
+// Secret the completion certificates are signed with (separate from JWT_SECRET, so rotating one
+// does not invalidate the other)
+const ERASURE_CERTIFICATE_SECRET = requireSecret('ERASURE_CERTIFICATE_SECRET');
+
+// Written over names that have been erased
+const ERASED_VALUE = '[erased]';
+
+// Fields cleared when a loan application is anonymized (amounts, product, status, dates and city are kept)
+const LOAN_ANONYMIZED_FIELDS = {
+    fullName: ERASED_VALUE,
+    mobileNumber: null,
+    personalEmail: null,
+    panCardNumber: null,
+    spouseName: null,
+    motherName: null,
+    companyName: null,
+    designation: null,
+    officialEmail: null,
+    ...Object.assign({}, ...['currentAddress', 'permanentAddress', 'companyAddress'].map(prefix => ({
+        [`${prefix}.address`]: null,
+        [`${prefix}.street`]: null,
+        [`${prefix}.zipcode`]: null
+    }))),
+    documents: [],
+    ipAddress: null,
+    userAgent: null,
+    visitorId: null
+};
+
+const CAREER_ANONYMIZED_FIELDS = {
+    fullName: ERASED_VALUE,
+    email: null,
+    phone: null,
+    currentSalary: null,
+    coverLetter: '',
+    notes: '',
+    resumeFileName: null,
+    resumeUrl: null,
+    resumePublicId: null
+};
+
+const CONTACT_ANONYMIZED_FIELDS = {
+    name: ERASED_VALUE,
+    email: null,
+    phone: null,
+    message: ''
+};
+
+// Country and timezone are kept for traffic statistics
+const VISITOR_ANONYMIZED_FIELDS = {
+    ipAddress: 'Unknown',
+    'location.city': 'Unknown',
+    'location.region': 'Unknown',
+    'location.latitude': null,
+    'location.longitude': null,
+    identified: false,
+    'identificationData.name': null,
+    'identificationData.email': null,
+    'identificationData.phone': null,
+    'identificationData.company': null,
+    'identificationData.jobTitle': null,
+    socialProfiles: [],
+    adminNotes: ''
+};
+
+// Records still to process for an action (anonymized records are skipped unless they are being deleted)
+const erasureQuery = (filter, action) => action === 'anonymize' ? { ...filter, anonymizedAt: null } : filter;
+
+// Delete a stored file from Cloudinary; failures are reported in summary.errors and never stop an erasure
+async function destroyStoredFile(publicId, resourceType, summary, deliveryType = 'upload') {
+    if (!publicId) return;
+    try {
+        await cloudinary.uploader.destroy(publicId, { resource_type: resourceType, type: deliveryType });
+        summary.filesDeleted++;
+    } catch (cloudinaryError) {
+        console.error('Error deleting from Cloudinary:', cloudinaryError);
+        summary.errors.push(`Could not delete file ${publicId}: ${cloudinaryError.message}`);
+    }
+}
+
+async function eraseLoanApplications(filter, action, summary) {
+    let count = 0;
+    for await (const application of LoanApplication.find(erasureQuery(filter, action)).setOptions(WITH_DELETED).select('documents').cursor()) {
+        for (const document of application.documents) {
+            await destroyStoredFile(document.filePublicId, document.fileResourceType, summary, document.fileDeliveryType);
+        }
+        await ApplicationComment.deleteMany({ application: application._id });
+        await ApplicantOtp.deleteMany({ application: application._id });
+        await FollowUpTask.deleteMany({ target: application._id });
+        await PayoutEntry.updateMany({ application: application._id }, { $set: { applicantName: ERASED_VALUE } });
+
+        if (action === 'delete') {
+            await ApplicationStatusHistory.deleteMany({ application: application._id });
+            await LoanApplication.deleteOne({ _id: application._id });
+        } else {
+            // Status comments often quote what the applicant said on the phone
+            await ApplicationStatusHistory.updateMany({ application: application._id }, { $set: { comment: '' } });
+            await LoanApplication.updateOne(
+                { _id: application._id },
+                { $set: { ...LOAN_ANONYMIZED_FIELDS, anonymizedAt: new Date() } },
+                WITH_DELETED
+            );
+        }
+        count++;
+    }
+    return count;
+}
+
+async function eraseCareerApplications(filter, action, summary) {
+    let count = 0;
+    for await (const application of CareerApplication.find(erasureQuery(filter, action)).setOptions(WITH_DELETED).select('resumePublicId').cursor()) {
+        await destroyStoredFile(application.resumePublicId, 'raw', summary);
+        await FollowUpTask.deleteMany({ target: application._id });
+
+        if (action === 'delete') {
+            await CareerApplication.deleteOne({ _id: application._id });
+        } else {
+            await CareerApplication.updateOne(
+                { _id: application._id },
+                { $set: { ...CAREER_ANONYMIZED_FIELDS, anonymizedAt: new Date() } },
+                WITH_DELETED
+            );
+        }
+        count++;
+    }
+    return count;
+}
+
+async function eraseContactMessages(filter, action) {
+    const ids = await ContactMessage.find(erasureQuery(filter, action)).setOptions(WITH_DELETED).distinct('_id');
+    if (ids.length === 0) return 0;
+
+    await FollowUpTask.deleteMany({ target: { $in: ids } });
+    if (action === 'delete') {
+        await ContactMessage.deleteMany({ _id: { $in: ids } });
+    } else {
+        await ContactMessage.updateMany({ _id: { $in: ids } }, { $set: { ...CONTACT_ANONYMIZED_FIELDS, anonymizedAt: new Date() } }, WITH_DELETED);
+    }
+    return ids.length;
+}
+
+async function eraseVisitors(filter, action) {
+    const query = erasureQuery(filter, action);
+    const result = action === 'delete'
+        ? await Visitor.deleteMany(query)
+        : await Visitor.updateMany(query, { $set: { ...VISITOR_ANONYMIZED_FIELDS, anonymizedAt: new Date() } }, WITH_DELETED);
+    return result.deletedCount !== undefined ? result.deletedCount : result.modifiedCount;
+}
+
+// Drafts are only ever deleted; nothing in them is needed once the person is gone
+async function eraseApplicationDrafts(filter) {
+    const result = await ApplicationDraft.deleteMany(filter);
+    return result.deletedCount;
+}
+
+// Model and erase function per collection. Erase functions take (filter, action, summary),
+// where summary collects { filesDeleted, errors }, and return the number of records processed.
+const ERASABLE_COLLECTIONS = {
+    LoanApplication: { model: LoanApplication, erase: eraseLoanApplications },
+    ApplicationDraft: { model: ApplicationDraft, erase: eraseApplicationDrafts },
+    CareerApplication: { model: CareerApplication, erase: eraseCareerApplications },
+    ContactMessage: { model: ContactMessage, erase: eraseContactMessages },
+    Visitor: { model: Visitor, erase: eraseVisitors }
+};
+
+// What an erasure request does in each collection
+const ERASURE_ACTIONS = {
+    LoanApplication: 'anonymize',
+    ApplicationDraft: 'delete',
+    CareerApplication: 'delete',
+    ContactMessage: 'delete',
+    Visitor: 'anonymize'
+};
+
+// Apply enabled retention policies; with dryRun only counts what would be processed
+// Returns [{ collectionName, action, retentionDays, count }]
+async function applyRetentionPolicies({ dryRun = false } = {}) {
+    const policies = await RetentionPolicy.find({ enabled: true });
+    const results = [];
+
+    for (const policy of policies) {
+        const { model, erase } = ERASABLE_COLLECTIONS[policy.collectionName];
+        const filter = policy.getExpiredFilter();
+        const summary = { filesDeleted: 0, errors: [] };
+
+        const count = dryRun
+            ? await model.countDocuments(erasureQuery(filter, policy.action)).setOptions(WITH_DELETED)
+            : await erase(filter, policy.action, summary);
+
+        if (!dryRun) {
+            policy.lastRunAt = new Date();
+            policy.lastRunCount = count;
+            await policy.save();
+        }
+        results.push({
+            collectionName: policy.collectionName,
+            action: policy.action,
+            retentionDays: policy.retentionDays,
+            count,
+            filesDeleted: summary.filesDeleted,
+            errors: summary.errors
+        });
+    }
+    return results;
+}
+
+// Scheduled retention run
+async function runRetentionPolicies() {
+    try {
+        const results = await applyRetentionPolicies();
+        results.filter(result => result.count > 0).forEach(result => {
+            console.log(`🗑️  Retention: ${result.action === 'delete' ? 'deleted' : 'anonymized'} ${result.count} ${result.collectionName} record(s) older than ${result.retentionDays} days`);
+        });
+    } catch (error) {
+        console.error('❌ Error applying retention policies:', error.message);
+    }
+}
+
+// In-process scheduler for retention policies; a run is skipped while the previous one is still going
+function startRetentionJob() {
+    let running = false;
+    const run = async () => {
+        if (running) return;
+        running = true;
+        await runRetentionPolicies();
+        running = false;
+    };
+    run();
+    setInterval(run, RETENTION_JOB_HOURS * 60 * 60 * 1000).unref();
+}
+
+// Filters matching one person's records in each erasable collection
+// identifiers: { email, mobileNumber, panCardNumber } (normalized; any may be missing)
+function buildErasureFilters({ email, mobileNumber, panCardNumber }) {
+    const conditions = { LoanApplication: [], ApplicationDraft: [], CareerApplication: [], ContactMessage: [], Visitor: [] };
+
+    if (email) {
+        const emailPattern = new RegExp(`^\\s*${escapeRegex(email)}\\s*$`, 'i');
+        conditions.LoanApplication.push(LoanApplication.blindIndexQuery('personalEmail', email));
+        conditions.ApplicationDraft.push(ApplicationDraft.blindIndexQuery('personalEmail', email));
+        conditions.CareerApplication.push({ email: emailPattern });
+        conditions.ContactMessage.push({ email: emailPattern });
+        conditions.Visitor.push({ 'identificationData.email': emailPattern });
+    }
+    if (mobileNumber) {
+        // Phone numbers outside loan applications are stored as typed (+91, spaces, dashes)
+        const phonePattern = new RegExp(`(^|\\D)${mobileNumber.split('').join('[\\s-]*')}\\s*$`);
+        conditions.LoanApplication.push(LoanApplication.blindIndexQuery('mobileNumber', mobileNumber));
+        conditions.ApplicationDraft.push(ApplicationDraft.blindIndexQuery('mobileNumber', mobileNumber));
+        conditions.CareerApplication.push({ phone: phonePattern });
+        conditions.ContactMessage.push({ phone: phonePattern });
+        conditions.Visitor.push({ 'identificationData.phone': phonePattern });
+    }
+    if (panCardNumber) {
+        conditions.LoanApplication.push(LoanApplication.blindIndexQuery('panCardNumber', panCardNumber));
+        conditions.ApplicationDraft.push(ApplicationDraft.blindIndexQuery('panCardNumber', panCardNumber));
+    }
+
+    const filters = {};
+    Object.entries(conditions).forEach(([collectionName, list]) => {
+        if (list.length > 0) filters[collectionName] = { $or: list };
+    });
+    return filters;
+}
+
+// Validate and normalize erasure identifiers; returns { identifiers } or { error }
+function parseErasureIdentifiers(body) {
+    const identifiers = {
+        email: body.email ? String(body.email).trim().toLowerCase() : null,
+        mobileNumber: body.mobileNumber ? normalizeMobile(body.mobileNumber) : null,
+        panCardNumber: body.panCardNumber ? String(body.panCardNumber).trim().toUpperCase() : null
+    };
+
+    if (!identifiers.email && !identifiers.mobileNumber && !identifiers.panCardNumber) {
+        return { error: 'Provide at least one of email, mobileNumber or panCardNumber' };
+    }
+    if (identifiers.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(identifiers.email)) {
+        return { error: 'email is not valid' };
+    }
+    if (identifiers.mobileNumber && !/^[0-9]{10}$/.test(identifiers.mobileNumber)) {
+        return { error: 'mobileNumber must be a 10 digit number' };
+    }
+    if (identifiers.panCardNumber && !/^[A-Z]{5}[0-9]{4}[A-Z]{1}$/.test(identifiers.panCardNumber)) {
+        return { error: 'panCardNumber is not valid' };
+    }
+    return { identifiers };
+}
+
+const signErasureCertificate = (text) => crypto.createHmac('sha256', ERASURE_CERTIFICATE_SECRET).update(text).digest('hex');
+
+/**
+ * GET /api/retention-policies
+ * Retention period and action for each collection
+ */
+app.get('/api/retention-policies', requirePermission('privacy:manage'), async (req, res) => {
+    try {
+        const policies = await RetentionPolicy.find().sort({ collectionName: 1 });
+
+        res.json({
+            success: true,
+            jobIntervalHours: RETENTION_JOB_HOURS,
+            data: policies
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching retention policies',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/retention-policies/:collectionName
+ * Update a retention policy
+ * Body: { retentionDays, action (anonymize | delete), enabled }
+ */
+app.put('/api/retention-policies/:collectionName', requirePermission('privacy:manage'), async (req, res) => {
+    try {
+        const policy = await RetentionPolicy.findOne({ collectionName: req.params.collectionName });
+
+        if (!policy) {
+            return res.status(404).json({
+                success: false,
+                message: `No retention policy for ${req.params.collectionName}. Collections: ${Object.keys(RetentionPolicy.DATE_FIELDS).join(', ')}`
+            });
+        }
+
+        ['retentionDays', 'action', 'enabled'].forEach(field => {
+            if (req.body[field] !== undefined) policy[field] = req.body[field];
+        });
+        policy.updatedBy = req.user.id;
+        policy.updatedAt = new Date();
+        await policy.save();
+
+        res.json({
+            success: true,
+            message: 'Retention policy updated successfully',
+            data: policy
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                error: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error updating retention policy',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/retention-policies/run
+ * Apply enabled retention policies now instead of waiting for the scheduled job
+ * Body: { dryRun } - dryRun only counts the records that would be processed
  */
-app.delete('/api/faqs/:id', async (req, res) => {
+app.post('/api/retention-policies/run', requirePermission('privacy:manage'), async (req, res) => {
     try {
-        const faq = await FAQ.findByIdAndDelete(req.params.id);
-
-        if (!faq) {
-            return res.status(404).json({
-                success: false,
-                message: 'FAQ not found'
-            });
-        }
+        const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+        const results = await applyRetentionPolicies({ dryRun });
 
         res.json({
             success: true,
-            message: 'FAQ deleted successfully'
+            dryRun,
+            data: results
         });
     } catch (error) {
         res.status(500).json({
             success: false,
-            message: 'Error deleting FAQ',
+            message: 'Error applying retention policies',
             error: error.message
         });
     }
 });
 
-// ===========================
-// Career Application Routes
-// ===========================
-
 /**
- * POST /api/career/apply
- * Submit career application with resume (uploads to Cloudinary)
+ * POST /api/erasure-requests
+ * Erase one person's data across collections and issue a completion certificate
+ * Loan applications are anonymized; drafts, career applications and contact messages are deleted
+ * (with resumes and documents removed from Cloudinary); visitor sessions are anonymized.
+ * Body: { email, mobileNumber, panCardNumber, requestReference, notes, dryRun }
  */
-app.post('/api/career/apply', upload.single('resume'), async (req, res) => {
+app.post('/api/erasure-requests', requirePermission('privacy:manage'), async (req, res) => {
     try {
-        const {
-            fullName,
-            email,
-            phone,
-            position,
-            experience,
-            currentSalary,
-            location,
-            qualification,
-            coverLetter
-        } = req.body;
-
-        // Validate required fields
-        if (!fullName || !email || !phone || !position || !experience || !location || !qualification) {
+        const { identifiers, error: identifierError } = parseErasureIdentifiers(req.body);
+        if (identifierError) {
             return res.status(400).json({
                 success: false,
-                message: 'Please fill all required fields'
+                message: identifierError
             });
         }
 
-        // Validate resume file
-        if (!req.file) {
-            return res.status(400).json({
-                success: false,
-                message: 'Please upload your resume'
+        const filters = buildErasureFilters(identifiers);
+
+        // Visitor sessions linked to the person's applications and drafts (collected before anonymizing clears them)
+        const visitorIds = [
+            ...await LoanApplication.find(filters.LoanApplication).setOptions(WITH_DELETED).distinct('visitorId'),
+            ...(filters.ApplicationDraft ? await ApplicationDraft.find(filters.ApplicationDraft).distinct('visitorId') : [])
+        ].filter(Boolean);
+        if (visitorIds.length > 0) {
+            filters.Visitor = { $or: [...(filters.Visitor ? filters.Visitor.$or : []), { visitorId: { $in: visitorIds } }] };
+        }
+
+        if (req.body.dryRun === true || req.body.dryRun === 'true') {
+            const matches = {};
+            for (const [collectionName, filter] of Object.entries(filters)) {
+                matches[collectionName] = await ERASABLE_COLLECTIONS[collectionName].model.countDocuments(filter).setOptions(WITH_DELETED);
+            }
+            return res.json({
+                success: true,
+                dryRun: true,
+                data: matches
             });
         }
 
-        // Upload resume to Cloudinary (signed upload with API credentials)
-        const fileExt = req.file.originalname.split('.').pop().toLowerCase();
-        const publicId = `resume_${Date.now()}_${fullName.replace(/\s+/g, '_')}.${fileExt}`;
-        const cloudinaryResult = await uploadToCloudinary(req.file.buffer, {
-            folder: 'resumes',
-            resource_type: 'raw',
-            public_id: publicId
-        });
+        const summary = { filesDeleted: 0, errors: [] };
+        const results = [];
+        for (const [collectionName, filter] of Object.entries(filters)) {
+            const action = ERASURE_ACTIONS[collectionName];
+            const count = await ERASABLE_COLLECTIONS[collectionName].erase(filter, action, summary);
+            results.push({ collectionName, action, count });
+        }
 
-        // Create career application with Cloudinary URL
-        const careerApplication = new CareerApplication({
-            fullName,
-            email,
-            phone,
-            position,
-            experience,
-            currentSalary: currentSalary ? parseFloat(currentSalary) : null,
-            location,
-            qualification,
-            resumeFileName: req.file.originalname,
-            resumeUrl: cloudinaryResult.secure_url,
-            resumePublicId: cloudinaryResult.public_id,
-            coverLetter: coverLetter || ''
+        const erasureRequest = new ErasureRequest({
+            requestReference: req.body.requestReference || '',
+            maskedIdentifiers: {
+                email: identifiers.email ? PII_MASKS.email(identifiers.email) : null,
+                mobileNumber: identifiers.mobileNumber ? PII_MASKS.mobile(identifiers.mobileNumber) : null,
+                panCardNumber: identifiers.panCardNumber ? PII_MASKS.pan(identifiers.panCardNumber) : null
+            },
+            status: summary.errors.length > 0 ? 'completed-with-errors' : 'completed',
+            results,
+            filesDeleted: summary.filesDeleted,
+            errorMessages: summary.errors,
+            notes: req.body.notes || '',
+            requestedBy: req.user.id,
+            requestedByName: req.user.fullName,
+            completedAt: new Date()
         });
+        await erasureRequest.save();
+        erasureRequest.certificateSignature = signErasureCertificate(erasureRequest.getCertificateText());
+        await erasureRequest.save();
 
-        await careerApplication.save();
+        console.log(`🗑️  Erasure request ${erasureRequest.referenceNumber} completed by ${req.user.fullName}`);
 
         res.status(201).json({
             success: true,
-            message: 'Application submitted successfully',
-            applicationId: careerApplication._id
+            message: summary.errors.length > 0
+                ? 'Erasure completed with errors; see errorMessages'
+                : 'Erasure completed successfully',
+            data: erasureRequest
         });
-
     } catch (error) {
-        console.error('Career application error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error submitting application',
+            message: 'Error processing erasure request',
             error: error.message
         });
     }
 });
 
 /**
- * GET /api/career/applications
- * Get all career applications (Admin)
+ * GET /api/erasure-requests
+ * List completed erasure requests
+ * Query: status, startDate, endDate, page, limit
  */
-app.get('/api/career/applications', async (req, res) => {
+app.get('/api/erasure-requests', requirePermission('privacy:manage'), async (req, res) => {
     try {
-        const { status, position, search } = req.query;
-        let filter = {};
+        const { status, startDate, endDate } = req.query;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
 
-        if (status) filter.status = status;
-        if (position) filter.position = position;
-        if (search) {
-            filter.$or = [
-                { fullName: { $regex: search, $options: 'i' } },
-                { email: { $regex: search, $options: 'i' } },
-                { phone: { $regex: search, $options: 'i' } }
-            ];
+        let filter = {};
+        if (status && status !== 'all') filter.status = status;
+        if (startDate || endDate) {
+            filter.completedAt = {};
+            if (startDate) filter.completedAt.$gte = new Date(startDate);
+            if (endDate) filter.completedAt.$lte = new Date(endDate);
         }
 
-        const applications = await CareerApplication.find(filter)
-            .select('-resumeData') // Exclude large base64 data for listing
-            .sort({ appliedAt: -1 });
+        const requests = await ErasureRequest.find(filter)
+            .sort({ completedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit);
+
+        const total = await ErasureRequest.countDocuments(filter);
 
         res.json({
             success: true,
-            count: applications.length,
-            applications
+            count: requests.length,
+            total,
+            page,
+            totalPages: Math.ceil(total / limit),
+            data: requests
         });
-
     } catch (error) {
         res.status(500).json({
             success: false,
-            message: 'Error fetching applications',
+            message: 'Error fetching erasure requests',
             error: error.message
         });
     }
 });
 
 /**
- * GET /api/career/applications/:id
- * Get single career application with resume (Admin)
+ * GET /api/erasure-requests/:id/certificate
+ * Download the completion certificate (plain text, HMAC-SHA256 signed)
+ * :id accepts the certificate number (DKF-ER-2026-000012)
  */
-app.get('/api/career/applications/:id', async (req, res) => {
+app.get('/api/erasure-requests/:id/certificate', requirePermission('privacy:manage'), auditRead('ErasureRequest', 'download'), async (req, res) => {
     try {
-        const application = await CareerApplication.findById(req.params.id);
+        const erasureRequest = await ErasureRequest.findOne(idOrReferenceQuery(req.params.id));
 
-        if (!application) {
+        if (!erasureRequest) {
             return res.status(404).json({
                 success: false,
-                message: 'Application not found'
+                message: 'Erasure request not found'
             });
         }
 
-        res.json({
-            success: true,
-            application
-        });
+        const text = erasureRequest.getCertificateText();
+        const valid = erasureRequest.certificateSignature === signErasureCertificate(text);
 
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="erasure-certificate-${erasureRequest.referenceNumber}.txt"`);
+        res.send(`${text}\n\nSignature (HMAC-SHA256): ${erasureRequest.certificateSignature}${valid ? '' : ' [DOES NOT MATCH RECORD]'}\n`);
     } catch (error) {
         res.status(500).json({
             success: false,
-            message: 'Error fetching application',
+            message: 'Error generating erasure certificate',
             error: error.message
         });
     }
 });
 
-/**
- * GET /api/career/applications/:id/resume
- * Redirect to resume file on Cloudinary
- */
-app.get('/api/career/applications/:id/resume', async (req, res) => {
-    try {
-        const application = await CareerApplication.findById(req.params.id);
+// ===========================
+// Trash Routes (soft delete, restore and purge)
+// ===========================
+// Deleting a loan application, career application, contact message, FAQ or visitor moves it to
+// the trash (models/softDelete.js). Trashed records are left out of lists and statistics, can be
+// restored, and are deleted permanently by the purge job once TRASH_GRACE_DAYS have passed.
+
+// Days a record stays restorable in the trash
+const TRASH_GRACE_DAYS = parseInt(process.env.TRASH_GRACE_DAYS) || 30;
+
+// How often the purge job runs (hours)
+const TRASH_PURGE_CHECK_HOURS = parseInt(process.env.TRASH_PURGE_CHECK_HOURS) || 24;
+
+// Trash types as used in URLs; permission is the one needed to delete (and restore) records of the type
+const TRASH_TYPES = {
+    'loan-applications': { collectionName: 'LoanApplication', model: LoanApplication, permission: 'applications:delete', byReference: true },
+    'career-applications': { collectionName: 'CareerApplication', model: CareerApplication, permission: 'careers:delete', byReference: true },
+    'contact-messages': { collectionName: 'ContactMessage', model: ContactMessage, permission: 'contacts:delete' },
+    'faqs': { collectionName: 'FAQ', model: FAQ, permission: 'faqs:write' },
+    'visitors': { collectionName: 'Visitor', model: Visitor, permission: 'visitors:delete' }
+};
 
-        if (!application) {
-            return res.status(404).json({
-                success: false,
-                message: 'Application not found'
-            });
-        }
+// Middleware to resolve :type and check the logged-in admin may manage that part of the trash
+const authorizeTrashType = (req, res, next) => {
+    const trashType = TRASH_TYPES[req.params.type];
+    if (!trashType) {
+        return res.status(404).json({
+            success: false,
+            message: `Unknown trash type. Types: ${Object.keys(TRASH_TYPES).join(', ')}`
+        });
+    }
+    if (!AdminUser.getRolePermissions(req.user.role).includes(trashType.permission)) {
+        return res.status(403).json({
+            success: false,
+            message: `Access denied. Missing permission: ${trashType.permission}`
+        });
+    }
+    req.trashType = trashType;
+    next();
+};
 
-        // Check if resume URL exists
-        if (!application.resumeUrl) {
-            return res.status(404).json({
-                success: false,
-                message: 'Resume not found for this application'
-            });
+// Permanently delete trashed records past the grace period. Collections with an erase function
+// (see Data Retention) also lose their Cloudinary files, comments and tasks.
+async function purgeTrash() {
+    try {
+        const filter = { deletedAt: { $lt: new Date(Date.now() - TRASH_GRACE_DAYS * 24 * 60 * 60 * 1000) } };
+        for (const { collectionName, model } of Object.values(TRASH_TYPES)) {
+            const summary = { filesDeleted: 0, errors: [] };
+            const count = ERASABLE_COLLECTIONS[collectionName]
+                ? await ERASABLE_COLLECTIONS[collectionName].erase(filter, 'delete', summary)
+                : (await model.deleteMany(filter)).deletedCount;
+            if (count > 0) {
+                console.log(`🗑️  Purged ${count} ${collectionName} record(s) from the trash`);
+            }
         }
-
-        // Redirect to the Cloudinary URL
-        res.redirect(application.resumeUrl);
-
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            message: 'Error accessing resume',
-            error: error.message
-        });
+        console.error('❌ Error purging trash:', error.message);
     }
-});
+}
+
+// In-process scheduler for the trash purge; a run is skipped while the previous one is still going
+function startTrashPurgeJob() {
+    let running = false;
+    const run = async () => {
+        if (running) return;
+        running = true;
+        await purgeTrash();
+        running = false;
+    };
+    run();
+    setInterval(run, TRASH_PURGE_CHECK_HOURS * 60 * 60 * 1000).unref();
+}
 
 /**
- * PUT /api/career/applications/:id
- * Update career application status (Admin)
+ * GET /api/trash
+ * Number of trashed records per type the logged-in admin can manage
  */
-app.put('/api/career/applications/:id', async (req, res) => {
+app.get('/api/trash', authenticateToken, async (req, res) => {
     try {
-        const { status, notes } = req.body;
-
-        const application = await CareerApplication.findByIdAndUpdate(
-            req.params.id,
-            { status, notes, updatedAt: new Date() },
-            { new: true }
-        );
-
-        if (!application) {
-            return res.status(404).json({
-                success: false,
-                message: 'Application not found'
-            });
+        const permissions = AdminUser.getRolePermissions(req.user.role);
+        const counts = {};
+        for (const [type, { model, permission }] of Object.entries(TRASH_TYPES)) {
+            if (permissions.includes(permission)) {
+                counts[type] = await model.countDocuments({ deletedAt: { $ne: null } });
+            }
         }
 
         res.json({
             success: true,
-            message: 'Application updated successfully',
-            application
+            gracePeriodDays: TRASH_GRACE_DAYS,
+            data: counts
         });
-
     } catch (error) {
         res.status(500).json({
             success: false,
-            message: 'Error updating application',
+            message: 'Error fetching trash',
             error: error.message
         });
     }
 });
 
 /**
- * DELETE /api/career/applications/:id
- * Delete career application and resume from Cloudinary (Admin)
+ * GET /api/trash/:type
+ * List trashed records of one type, most recently deleted first
+ * :type is loan-applications | career-applications | contact-messages | faqs | visitors
+ * Query: page, limit
  */
-app.delete('/api/career/applications/:id', async (req, res) => {
+app.get('/api/trash/:type', authenticateToken, authorizeTrashType, async (req, res) => {
     try {
-        const application = await CareerApplication.findById(req.params.id);
-
-        if (!application) {
-            return res.status(404).json({
-                success: false,
-                message: 'Application not found'
-            });
-        }
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const filter = { deletedAt: { $ne: null } };
 
-        // Delete resume from Cloudinary
-        if (application.resumePublicId) {
-            try {
-                await cloudinary.uploader.destroy(application.resumePublicId, { resource_type: 'raw' });
-            } catch (cloudinaryError) {
-                console.error('Error deleting from Cloudinary:', cloudinaryError);
-                // Continue with deletion even if Cloudinary delete fails
-            }
-        }
+        const records = await req.trashType.model.find(filter)
+            .sort({ deletedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit);
 
-        // Delete from database
-        await CareerApplication.findByIdAndDelete(req.params.id);
+        const total = await req.trashType.model.countDocuments(filter);
 
         res.json({
             success: true,
-            message: 'Application deleted successfully'
+            gracePeriodDays: TRASH_GRACE_DAYS,
+            count: records.length,
+            total,
+            page,
+            totalPages: Math.ceil(total / limit),
+            data: records
         });
-
     } catch (error) {
         res.status(500).json({
             success: false,
-            message: 'Error deleting application',
+            message: 'Error fetching trash',
             error: error.message
         });
     }
 });
 
 /**
- * GET /api/career/stats
- * Get career applications statistics (Admin)
+ * POST /api/trash/:type/:id/restore
+ * Restore a trashed record; loan and career applications also accept reference numbers
  */
-app.get('/api/career/stats', async (req, res) => {
+app.post('/api/trash/:type/:id/restore', authenticateToken, authorizeTrashType, async (req, res) => {
     try {
-        const total = await CareerApplication.countDocuments();
-        const newCount = await CareerApplication.countDocuments({ status: 'new' });
-        const reviewedCount = await CareerApplication.countDocuments({ status: 'reviewed' });
-        const shortlistedCount = await CareerApplication.countDocuments({ status: 'shortlisted' });
-        const interviewCount = await CareerApplication.countDocuments({ status: 'interview-scheduled' });
-        const selectedCount = await CareerApplication.countDocuments({ status: 'selected' });
-        const rejectedCount = await CareerApplication.countDocuments({ status: 'rejected' });
+        const { model, byReference } = req.trashType;
+        let query = null;
+        if (byReference) {
+            query = idOrReferenceQuery(req.params.id);
+        } else if (mongoose.Types.ObjectId.isValid(req.params.id)) {
+            query = { _id: req.params.id };
+        }
 
-        // Get applications by position
-        const byPosition = await CareerApplication.aggregate([
-            { $group: { _id: '$position', count: { $sum: 1 } } }
-        ]);
+        const record = query ? await model.findOne({ ...query, deletedAt: { $ne: null } }) : null;
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Record not found in trash'
+            });
+        }
+
+        await record.restoreFromTrash();
 
         res.json({
             success: true,
-            stats: {
-                total,
-                new: newCount,
-                reviewed: reviewedCount,
-                shortlisted: shortlistedCount,
-                interviewScheduled: interviewCount,
-                selected: selectedCount,
-                rejected: rejectedCount,
-                byPosition
-            }
+            message: 'Record restored successfully',
+            data: record
         });
-
     } catch (error) {
         res.status(500).json({
             success: false,
-            message: 'Error fetching stats',
+            message: 'Error restoring record',
             error: error.message
         });
     }
@@ -1094,34 +7214,8 @@ app.get('/api/career/stats', async (req, res) => {
 // Admin Authentication Routes
 // ===========================
 
-// Middleware to verify JWT token
-const authenticateToken = (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (!token) {
-        return res.status(401).json({ success: false, message: 'Access token required' });
-    }
-
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) {
-            return res.status(403).json({ success: false, message: 'Invalid or expired token' });
-        }
-        req.user = user;
-        next();
-    });
-};
-
-// Middleware to check if user is Super Admin
-const isSuperAdmin = (req, res, next) => {
-    if (req.user.role !== 'super-admin') {
-        return res.status(403).json({ success: false, message: 'Access denied. Super Admin only.' });
-    }
-    next();
-};
-
 // Initialize Super Admin (run once)
-app.post('/api/admin/init-super-admin', async (req, res) => {
+app.post('/api/admin/init-super-admin', publicAccess, async (req, res) => {
     try {
         // Check if super admin already exists
         const existingSuperAdmin = await AdminUser.findOne({ role: 'super-admin' });
@@ -1163,7 +7257,7 @@ app.post('/api/admin/init-super-admin', async (req, res) => {
 });
 
 // Admin Registration (Signup)
-app.post('/api/admin/register', async (req, res) => {
+app.post('/api/admin/register', publicAccess, async (req, res) => {
     try {
         const { fullName, email, password, phone } = req.body;
 
@@ -1255,7 +7349,7 @@ app.post('/api/admin/create-user', authenticateToken, isSuperAdmin, async (req,
         }
 
         // Validate role
-        if (!['admin', 'super-admin'].includes(role)) {
+        if (!AdminUser.ROLES.includes(role)) {
             return res.status(400).json({
                 success: false,
                 message: 'Invalid role'
@@ -1306,7 +7400,7 @@ app.post('/api/admin/create-user', authenticateToken, isSuperAdmin, async (req,
 });
 
 // Admin Login
-app.post('/api/admin/login', async (req, res) => {
+app.post('/api/admin/login', publicAccess, async (req, res) => {
     try {
         const { email, password } = req.body;
 
@@ -1377,7 +7471,8 @@ app.post('/api/admin/login', async (req, res) => {
                 fullName: user.fullName,
                 email: user.email,
                 role: user.role,
-                status: user.status
+                status: user.status,
+                permissions: AdminUser.getRolePermissions(user.role)
             }
         });
 
@@ -1409,7 +7504,8 @@ app.get('/api/admin/me', authenticateToken, async (req, res) => {
                 email: user.email,
                 role: user.role,
                 status: user.status,
-                lastLogin: user.lastLogin
+                lastLogin: user.lastLogin,
+                permissions: AdminUser.getRolePermissions(user.role)
             }
         });
 
@@ -1422,6 +7518,27 @@ app.get('/api/admin/me', authenticateToken, async (req, res) => {
     }
 });
 
+// Active admin users directory for @mentions and assignment pickers (any logged-in admin)
+app.get('/api/admin/users/directory', authenticateToken, async (req, res) => {
+    try {
+        const users = await AdminUser.find({ status: 'active', isMasterAdmin: { $ne: true } })
+            .select('fullName email role')
+            .sort({ fullName: 1 });
+
+        res.json({
+            success: true,
+            data: users
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching users',
+            error: error.message
+        });
+    }
+});
+
 // Get All Admin Users (Super Admin only)
 app.get('/api/admin/users', authenticateToken, isSuperAdmin, async (req, res) => {
     try {
@@ -1627,7 +7744,7 @@ app.put('/api/admin/users/:id/role', authenticateToken, isSuperAdmin, async (req
     try {
         const { role } = req.body;
         
-        if (!['admin', 'super-admin'].includes(role)) {
+        if (!AdminUser.ROLES.includes(role)) {
             return res.status(400).json({
                 success: false,
                 message: 'Invalid role'
@@ -1717,7 +7834,7 @@ app.get('/api/admin/users/stats', authenticateToken, isSuperAdmin, async (req, r
  * POST /api/visitors/track
  * Track visitor data (called from frontend tracking script)
  */
-app.post('/api/visitors/track', async (req, res) => {
+app.post('/api/visitors/track', publicAccess, async (req, res) => {
     try {
         const {
             sessionId,
@@ -1887,7 +8004,7 @@ app.post('/api/visitors/track', async (req, res) => {
  * POST /api/visitors/heartbeat
  * Update visitor session status (keep-alive)
  */
-app.post('/api/visitors/heartbeat', async (req, res) => {
+app.post('/api/visitors/heartbeat', publicAccess, async (req, res) => {
     try {
         const { sessionId, timeSpent, scrollDepth, currentPage } = req.body;
         
@@ -1938,7 +8055,7 @@ app.post('/api/visitors/heartbeat', async (req, res) => {
  * POST /api/visitors/end-session
  * Mark session as ended
  */
-app.post('/api/visitors/end-session', async (req, res) => {
+app.post('/api/visitors/end-session', publicAccess, async (req, res) => {
     try {
         const { sessionId, timeSpent, scrollDepth } = req.body;
         
@@ -1978,7 +8095,7 @@ app.post('/api/visitors/end-session', async (req, res) => {
  * GET /api/visitors
  * Get all visitors (Admin only)
  */
-app.get('/api/visitors', async (req, res) => {
+app.get('/api/visitors', requirePermission('visitors:read'), async (req, res) => {
     try {
         const { 
             page = 1, 
@@ -2064,7 +8181,7 @@ app.get('/api/visitors', async (req, res) => {
  * GET /api/visitors/stats
  * Get visitor statistics (Admin only)
  */
-app.get('/api/visitors/stats', async (req, res) => {
+app.get('/api/visitors/stats', requirePermission('visitors:read'), async (req, res) => {
     try {
         const { startDate, endDate } = req.query;
         
@@ -2222,7 +8339,7 @@ app.get('/api/visitors/stats', async (req, res) => {
  * GET /api/visitors/:id
  * Get single visitor details (Admin only)
  */
-app.get('/api/visitors/:id', async (req, res) => {
+app.get('/api/visitors/:id', requirePermission('visitors:read'), auditRead('Visitor'), async (req, res) => {
     try {
         const visitor = await Visitor.findById(req.params.id);
         
@@ -2251,7 +8368,7 @@ app.get('/api/visitors/:id', async (req, res) => {
  * PUT /api/visitors/:id/notes
  * Update visitor notes (Admin only)
  */
-app.put('/api/visitors/:id/notes', async (req, res) => {
+app.put('/api/visitors/:id/notes', requirePermission('visitors:update'), async (req, res) => {
     try {
         const { notes } = req.body;
         
@@ -2285,11 +8402,11 @@ app.put('/api/visitors/:id/notes', async (req, res) => {
 
 /**
  * DELETE /api/visitors/:id
- * Delete visitor record (Admin only)
+ * Move a visitor record to the trash (Admin only)
  */
-app.delete('/api/visitors/:id', async (req, res) => {
+app.delete('/api/visitors/:id', requirePermission('visitors:delete'), async (req, res) => {
     try {
-        const visitor = await Visitor.findByIdAndDelete(req.params.id);
+        const visitor = mongoose.Types.ObjectId.isValid(req.params.id) ? await Visitor.findById(req.params.id) : null;
         
         if (!visitor) {
             return res.status(404).json({
@@ -2298,9 +8415,11 @@ app.delete('/api/visitors/:id', async (req, res) => {
             });
         }
 
+        await visitor.moveToTrash(req.user);
+
         res.json({
             success: true,
-            message: 'Visitor record deleted successfully'
+            message: 'Visitor record moved to trash'
         });
 
     } catch (error) {
@@ -2316,7 +8435,7 @@ app.delete('/api/visitors/:id', async (req, res) => {
  * GET /api/visitors/active/realtime
  * Get currently active visitors (Real-time)
  */
-app.get('/api/visitors/active/realtime', async (req, res) => {
+app.get('/api/visitors/active/realtime', requirePermission('visitors:read'), async (req, res) => {
     try {
         const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
         
@@ -2361,14 +8480,19 @@ app.use((err, req, res, next) => {
 // ===========================
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
-    console.log(`
+// Only when run directly; tests require the app without a database or a fixed port
+if (require.main === module) {
+    connectDatabase();
+
+    app.listen(PORT, () => {
+        console.log(`
 ╔════════════════════════════════════════╗
 ║  🏦 Dev Kripa Fincrop Server Running  ║
 ║  📍 http://localhost:${PORT}             ║
 ║  🗄️  MongoDB: ${mongoUri}     ║
 ╚════════════════════════════════════════╝
-    `);
-});
+        `);
+    });
+}
 
 module.exports = app;
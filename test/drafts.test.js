@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { startServer, stub, completeForm, applyUpdate, matchesFilter, atomicFindOneAndUpdate } = require('./helpers');
+const loanFormSchemas = require('../models/loanFormSchemas');
+const ApplicationDraft = require('../models/ApplicationDraft');
+const LoanApplication = require('../models/LoanApplication');
+const ApplicationStatusHistory = require('../models/ApplicationStatusHistory');
+const EligibilityRule = require('../models/EligibilityRule');
+const AssignmentRule = require('../models/AssignmentRule');
+const LeadScoringConfig = require('../models/LeadScoringConfig');
+const Visitor = require('../models/Visitor');
+
+test('a double submit of a draft creates one application', async () => {
+    const formData = completeForm();
+    assert.deepStrictEqual(loanFormSchemas.validateForm('personal-loan', formData).errors, []);
+
+    const draftRecord = { _id: new mongoose.Types.ObjectId(), loanType: 'personal-loan', status: 'draft', formData, visitorId: null };
+    const drafts = [draftRecord];
+    const token = jwt.sign({ scope: 'draft', draftId: draftRecord._id }, process.env.JWT_SECRET);
+
+    // Both submits load the draft before either has converted it
+    const parallelSubmits = 2;
+    let arrived = 0;
+    let release;
+    const allArrived = new Promise(resolve => { release = resolve; });
+
+    let applicationsSaved = 0;
+    const restore = [
+        stub(ApplicationDraft, {
+            findById: async () => {
+                arrived++;
+                if (arrived === parallelSubmits) release();
+                await allArrived;
+                return { ...draftRecord };
+            },
+            findOneAndUpdate: atomicFindOneAndUpdate(drafts),
+            updateOne: async (filter, update) => {
+                const record = drafts.find(candidate => matchesFilter(candidate, filter));
+                if (record) applyUpdate(record, update);
+                return { modifiedCount: record ? 1 : 0 };
+            }
+        }),
+        stub(LoanApplication.prototype, {
+            save: async function() {
+                applicationsSaved++;
+                this.referenceNumber = `PL-TEST-${applicationsSaved}`;
+                return this;
+            }
+        }),
+        stub(LoanApplication, { findOne: () => ({ sort: async () => null }) }),
+        stub(ApplicationStatusHistory, { create: async (data) => data }),
+        stub(EligibilityRule, { evaluateFor: async () => null }),
+        stub(AssignmentRule, { pickAssignee: async () => null }),
+        stub(LeadScoringConfig, { getActive: async () => ({ score: () => ({ score: 0, breakdown: [], scoredAt: new Date() }) }) }),
+        stub(Visitor, { aggregate: async () => [] })
+    ];
+    const server = await startServer();
+
+    try {
+        const responses = await Promise.all(Array.from({ length: parallelSubmits }, () =>
+            fetch(`${server.baseUrl}/api/drafts/current/submit?token=${token}`, { method: 'POST' })
+        ));
+        const statuses = responses.map(response => response.status).sort();
+
+        assert.strictEqual(applicationsSaved, 1);
+        assert.deepStrictEqual(statuses, [201, 409]);
+        assert.strictEqual(draftRecord.status, 'converted');
+    } finally {
+        restore.forEach(restoreStub => restoreStub());
+        await server.close();
+    }
+});
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { startServer, adminToken, stub } = require('./helpers');
+const LoanApplication = require('../models/LoanApplication');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Cursor that yields one small row, then waits until the client has gone away and keeps
+// yielding large rows, so the export writes to a response that is already closed
+const fakeCursor = (clientGone) => {
+    const state = { rows: 0, closed: false };
+    state.cursor = {
+        async close() {
+            state.closed = true;
+        },
+        [Symbol.asyncIterator]() {
+            return {
+                next: async () => {
+                    if (state.closed) return { done: true };
+                    if (state.rows > 0) {
+                        await clientGone;
+                        await sleep(100);
+                    }
+                    state.rows++;
+                    return { done: false, value: { referenceNumber: `PL-${state.rows}`, fullName: 'x'.repeat(state.rows > 1 ? 1024 * 1024 : 10) } };
+                },
+                return: async () => ({ done: true })
+            };
+        }
+    };
+    return state;
+};
+
+test('CSV export stops and closes the cursor when the client disconnects', async () => {
+    let markClientGone;
+    const clientGone = new Promise(resolve => { markClientGone = resolve; });
+    const state = fakeCursor(clientGone);
+
+    const restore = stub(LoanApplication, {
+        find: () => ({ sort: () => ({ lean: () => ({ cursor: () => state.cursor }) }) })
+    });
+    const server = await startServer();
+
+    try {
+        await new Promise((resolve, reject) => {
+            const req = http.get(`${server.baseUrl}/api/applications/export?format=csv`, {
+                headers: { Authorization: `Bearer ${adminToken()}` }
+            }, res => {
+                assert.strictEqual(res.statusCode, 200);
+                res.once('data', () => {
+                    req.destroy();
+                    markClientGone();
+                    resolve();
+                });
+            });
+            req.on('error', error => {
+                if (error.code !== 'ECONNRESET') reject(error);
+            });
+        });
+
+        const deadline = Date.now() + 3000;
+        while (!state.closed && Date.now() < deadline) {
+            await sleep(20);
+        }
+        assert.ok(state.closed, 'cursor was not closed after the client disconnected');
+        assert.ok(state.rows < 10, `export kept reading after the disconnect (${state.rows} rows)`);
+    } finally {
+        restore();
+        await server.close();
+    }
+});
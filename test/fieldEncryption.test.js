@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+require('./helpers');
+const LoanApplication = require('../models/LoanApplication');
+
+const loadWithEnv = (env) => spawnSync(process.execPath, ['-e', `require(${JSON.stringify(path.join(__dirname, '../models/fieldEncryption'))})`], {
+    env: { PATH: process.env.PATH, ...env },
+    encoding: 'utf8'
+});
+
+test('refuses to load without configured keys outside development and test', () => {
+    const production = loadWithEnv({ NODE_ENV: 'production' });
+    assert.notStrictEqual(production.status, 0);
+    assert.match(production.stderr, /FIELD_ENCRYPTION_KEYS is not set/);
+
+    const unset = loadWithEnv({});
+    assert.notStrictEqual(unset.status, 0);
+
+    const key = Buffer.alloc(32, 7).toString('base64');
+    const configured = loadWithEnv({ NODE_ENV: 'production', FIELD_ENCRYPTION_KEYS: `k1:${key}`, BLIND_INDEX_KEY: key });
+    assert.strictEqual(configured.status, 0, configured.stderr);
+});
+
+test('client values that look encrypted are encrypted like any other value', async () => {
+    const application = new LoanApplication({
+        loanType: 'personal-loan',
+        referenceNumber: 'PL-TEST-1',
+        fullName: 'Test Applicant',
+        mobileNumber: '9876543210',
+        personalEmail: 'test@example.com',
+        panCardNumber: 'ABCDE1234F',
+        currentAddress: { address: 'enc:v1:zz:AAAA:AAAA:AAAA' }
+    });
+    await LoanApplication.schema.s.hooks.execPre('save', application, []);
+
+    const stored = application.get('currentAddress.address', null, { getters: false });
+    assert.notStrictEqual(stored, 'enc:v1:zz:AAAA:AAAA:AAAA');
+    assert.strictEqual(application.currentAddress.address, 'enc:v1:zz:AAAA:AAAA:AAAA');
+    assert.doesNotThrow(() => JSON.stringify(application.toJSON()));
+});
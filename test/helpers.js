@@ -0,0 +1,117 @@
+// Shared setup for the API tests: loads the app without a database or a fixed port.
+// Models are stubbed per test; with command buffering off, any query a test did not stub
+// fails at once instead of waiting for a connection.
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const app = require('../server');
+const loanFormSchemas = require('../models/loanFormSchemas');
+
+// Start the app on a free port; returns { baseUrl, close }
+const startServer = () => new Promise(resolve => {
+    const server = http.createServer(app).listen(0, '127.0.0.1', () => {
+        resolve({
+            baseUrl: `http://127.0.0.1:${server.address().port}`,
+            close: () => new Promise(done => {
+                server.closeAllConnections();
+                server.close(done);
+            })
+        });
+    });
+});
+
+// Bearer token for an admin session
+const adminToken = (role = 'super-admin') => jwt.sign(
+    { id: new mongoose.Types.ObjectId().toString(), email: 'admin@example.com', role, fullName: 'Test Admin' },
+    process.env.JWT_SECRET
+);
+
+// Replace model statics for one test; returns a function that puts the originals back
+const stub = (target, methods) => {
+    const originals = {};
+    Object.entries(methods).forEach(([name, implementation]) => {
+        originals[name] = Object.prototype.hasOwnProperty.call(target, name) ? target[name] : undefined;
+        target[name] = implementation;
+    });
+    return () => Object.entries(originals).forEach(([name, original]) => {
+        if (original === undefined) delete target[name];
+        else target[name] = original;
+    });
+};
+
+const SAMPLE_VALUES = {
+    mobile: '9876543210',
+    email: 'applicant@example.com',
+    pan: 'ABCDE1234F',
+    zipcode: '411001'
+};
+
+// A complete, valid form for a loan type, keyed by form field name
+const completeForm = (loanType = 'personal-loan') => {
+    const formData = {};
+    loanFormSchemas.getFormSchema(loanType).fields.forEach(field => {
+        if (SAMPLE_VALUES[field.type]) formData[field.name] = SAMPLE_VALUES[field.type];
+        else if (field.type === 'enum') formData[field.name] = field.values[0];
+        else if (field.type === 'number' || field.type === 'integer') formData[field.name] = Math.min(Math.max(field.min || 0, 50000), field.max || Infinity);
+        else formData[field.name] = 'Test Value';
+    });
+    return formData;
+};
+
+const randomId = () => crypto.randomBytes(12).toString('hex');
+
+// Minimal MongoDB query semantics for in-memory records, enough for the stubs in these tests
+const sameValue = (stored, value) => {
+    if (value === null) return stored === null || stored === undefined;
+    if (stored instanceof mongoose.Types.ObjectId || value instanceof mongoose.Types.ObjectId) {
+        return String(stored) === String(value);
+    }
+    if (stored instanceof Date && value instanceof Date) return stored.getTime() === value.getTime();
+    return stored === value;
+};
+
+const OPERATORS = {
+    $lt: (stored, value) => stored < value,
+    $lte: (stored, value) => stored <= value,
+    $gt: (stored, value) => stored > value,
+    $gte: (stored, value) => stored >= value,
+    $ne: (stored, value) => !sameValue(stored, value),
+    $in: (stored, values) => values.some(value => sameValue(stored, value))
+};
+
+const matchesFilter = (record, filter) => Object.entries(filter).every(([key, condition]) => {
+    const stored = record[key];
+    if (condition && typeof condition === 'object' && !(condition instanceof Date) && !(condition instanceof mongoose.Types.ObjectId)
+        && Object.keys(condition).every(operator => OPERATORS[operator])) {
+        return Object.entries(condition).every(([operator, value]) => OPERATORS[operator](stored, value));
+    }
+    return sameValue(stored, condition);
+});
+
+// Apply $set / $inc / plain fields to a record in place
+const applyUpdate = (record, update) => {
+    Object.entries(update).forEach(([key, value]) => {
+        if (key === '$set') Object.assign(record, value);
+        else if (key === '$inc') Object.entries(value).forEach(([field, amount]) => { record[field] = (record[field] || 0) + amount; });
+        else if (!key.startsWith('$')) record[key] = value;
+    });
+    return record;
+};
+
+// findOneAndUpdate over in-memory records: match and update happen in one step, as in MongoDB
+const atomicFindOneAndUpdate = (records) => async (filter, update, options = {}) => {
+    const record = records.find(candidate => matchesFilter(candidate, filter));
+    if (!record) return null;
+    const before = { ...record };
+    applyUpdate(record, update);
+    return options.new ? { ...record } : before;
+};
+
+module.exports = { app, startServer, adminToken, stub, completeForm, randomId, matchesFilter, applyUpdate, atomicFindOneAndUpdate };
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startServer, adminToken, completeForm } = require('./helpers');
+
+const toCsv = (rows) => rows
+    .map(row => row.map(value => `"${String(value).replace(/"/g, '""')}"`).join(','))
+    .join('\n');
+
+const dryRunImport = async (role) => {
+    const formData = { loanType: 'personal-loan', ...completeForm() };
+    const body = new FormData();
+    body.append('file', new Blob([toCsv([Object.keys(formData), Object.values(formData)])], { type: 'text/csv' }), 'leads.csv');
+    body.append('dryRun', 'true');
+
+    const { baseUrl, close } = await startServer();
+    try {
+        const response = await fetch(`${baseUrl}/api/applications/import`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${adminToken(role)}` },
+            body
+        });
+        return { status: response.status, body: await response.json() };
+    } finally {
+        await close();
+    }
+};
+
+test('the import dry-run preview masks PII for roles without pii:view', async () => {
+    const { status, body } = await dryRunImport('admin');
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.validCount, 1);
+    const { applicationData } = body.preview[0];
+    assert.notStrictEqual(applicationData.mobileNumber, '9876543210');
+    assert.match(applicationData.mobileNumber, /\*/);
+    assert.match(applicationData.panCardNumber, /\*/);
+    assert.match(applicationData.personalEmail, /\*/);
+    assert.notStrictEqual(applicationData.currentAddress.zipcode, '411001');
+});
+
+test('the import dry-run preview shows PII to roles with pii:view', async () => {
+    const { status, body } = await dryRunImport('super-admin');
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.preview[0].applicationData.mobileNumber, '9876543210');
+});
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { startServer, adminToken, stub, completeForm } = require('./helpers');
+const loanFormSchemas = require('../models/loanFormSchemas');
+const LoanApplication = require('../models/LoanApplication');
+const ApplicationStatusHistory = require('../models/ApplicationStatusHistory');
+const ApplicationComment = require('../models/ApplicationComment');
+const FollowUpTask = require('../models/FollowUpTask');
+const ApplicantOtp = require('../models/ApplicantOtp');
+const AuditLog = require('../models/AuditLog');
+const LeadScoringConfig = require('../models/LeadScoringConfig');
+const Visitor = require('../models/Visitor');
+
+const merge = async (role, primaryId) => {
+    const { baseUrl, close } = await startServer();
+    try {
+        const response = await fetch(`${baseUrl}/api/applications/${primaryId}/merge`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${adminToken(role)}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify({})
+        });
+        return { status: response.status, body: await response.json() };
+    } finally {
+        await close();
+    }
+};
+
+test('merging needs both applications:update and applications:delete', async () => {
+    const { status, body } = await merge('telecaller', new mongoose.Types.ObjectId());
+
+    assert.strictEqual(status, 403);
+    assert.match(body.message, /applications:delete/);
+});
+
+test('a merge is recorded in the audit trail, not as a status change', async () => {
+    const { data } = loanFormSchemas.validateForm('personal-loan', completeForm());
+    const primary = new LoanApplication({ ...data, referenceNumber: 'PL-2026-000001' });
+    const duplicate = new LoanApplication({ ...data, referenceNumber: 'PL-2026-000002', duplicateOf: primary._id });
+
+    const statusEntries = [];
+    const auditEntries = [];
+    const restore = [
+        stub(LoanApplication, {
+            findOne: async () => primary,
+            find: () => ({ sort: async () => [duplicate] }),
+            updateMany: async () => ({}),
+            updateOne: async () => ({})
+        }),
+        stub(LoanApplication.prototype, { save: async function() { return this; } }),
+        stub(ApplicationComment, { updateMany: async () => ({}) }),
+        stub(FollowUpTask, { updateMany: async () => ({}) }),
+        stub(ApplicantOtp, { deleteMany: async () => ({}) }),
+        stub(ApplicationStatusHistory, { create: async (entry) => statusEntries.push(entry) }),
+        stub(AuditLog, { create: async (entry) => auditEntries.push(entry) }),
+        stub(LeadScoringConfig, { getActive: async () => ({ score: () => ({ score: 0, breakdown: [], scoredAt: new Date() }) }) }),
+        stub(Visitor, { aggregate: async () => [] })
+    ];
+
+    try {
+        const { status, body } = await merge('super-admin', primary._id);
+
+        assert.strictEqual(status, 200, body.message);
+        assert.deepStrictEqual(body.mergedReferences, ['PL-2026-000002']);
+        assert.strictEqual(statusEntries.length, 0);
+        const mergeEntry = auditEntries.find(entry => entry.details && entry.details.mergedDuplicates);
+        assert.ok(mergeEntry);
+        assert.strictEqual(mergeEntry.entityId, String(primary._id));
+        assert.deepStrictEqual(mergeEntry.details.mergedDuplicates, ['PL-2026-000002']);
+    } finally {
+        restore.forEach(undo => undo());
+    }
+});
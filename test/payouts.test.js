@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { startServer, adminToken, stub } = require('./helpers');
+const PayoutEntry = require('../models/PayoutEntry');
+
+const lenderA = new mongoose.Types.ObjectId();
+const lenderB = new mongoose.Types.ObjectId();
+
+// Stored ledger entries, with lender as an ObjectId as MongoDB returns it
+const entries = [
+    { lender: lenderA, statementMonth: '2026-09', disbursedAmount: 500000, expectedAmount: 5000, receivedAmount: 2000, agentShareAmount: 1000 },
+    { lender: lenderA, statementMonth: '2026-09', disbursedAmount: 300000, expectedAmount: 3000, receivedAmount: 3000, agentShareAmount: 600 },
+    { lender: lenderB, statementMonth: '2026-09', disbursedAmount: 100000, expectedAmount: 1000, receivedAmount: 0, agentShareAmount: 200 }
+];
+
+// Equality as the aggregation pipeline applies it: no casting, so an ObjectId never equals a string
+const matches = (entry, filter) => Object.entries(filter).every(([key, value]) => {
+    const stored = entry[key];
+    if (stored instanceof mongoose.Types.ObjectId) {
+        return value instanceof mongoose.Types.ObjectId && stored.equals(value);
+    }
+    return stored === value;
+});
+
+// $match + $group totals over the in-memory entries
+const aggregate = async (pipeline) => {
+    const selected = entries.filter(entry => matches(entry, pipeline[0].$match));
+    if (selected.length === 0) return [];
+    const sum = (field) => selected.reduce((total, entry) => total + entry[field], 0);
+    return [{
+        entries: selected.length,
+        disbursedAmount: sum('disbursedAmount'),
+        expectedAmount: sum('expectedAmount'),
+        receivedAmount: sum('receivedAmount'),
+        agentShareAmount: sum('agentShareAmount')
+    }];
+};
+
+test('payout totals respect the lender filter', async () => {
+    const restore = stub(PayoutEntry, {
+        aggregate,
+        find: () => ({ sort: () => ({ skip: () => ({ limit: async () => [] }) }) }),
+        countDocuments: async () => 0
+    });
+    const server = await startServer();
+
+    try {
+        const response = await fetch(`${server.baseUrl}/api/payouts?month=2026-09&lenderId=${lenderA}`, {
+            headers: { Authorization: `Bearer ${adminToken()}` }
+        });
+        const body = await response.json();
+
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(body.totals.entries, 2);
+        assert.strictEqual(body.totals.disbursedAmount, 800000);
+        assert.strictEqual(body.totals.outstandingAmount, 3000);
+    } finally {
+        restore();
+        await server.close();
+    }
+});
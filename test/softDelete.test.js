@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../models/softDelete');
+
+// Not connected: queries run their middleware and then fail, which is all these tests need
+mongoose.set('bufferCommands', false);
+
+const schema = new mongoose.Schema({ name: String });
+schema.plugin(softDeletePlugin);
+const Record = mongoose.model('SoftDeleteTestRecord', schema);
+
+// Run a query's middleware and return the filter it was sent with
+const filterSent = async (query) => {
+    await query.exec().catch(() => {});
+    return query.getFilter();
+};
+
+test('query updates skip trashed records', async () => {
+    const id = new mongoose.Types.ObjectId();
+
+    assert.deepStrictEqual(await filterSent(Record.updateOne({ _id: id }, { name: 'a' })), { _id: id, deletedAt: null });
+    assert.deepStrictEqual(await filterSent(Record.updateMany({ name: 'a' }, { name: 'b' })), { name: 'a', deletedAt: null });
+    assert.deepStrictEqual(await filterSent(Record.findByIdAndUpdate(id, { name: 'a' })), { _id: id, deletedAt: null });
+});
+
+test('query updates reach trashed records with withDeleted or a deletedAt filter', async () => {
+    const id = new mongoose.Types.ObjectId();
+
+    assert.deepStrictEqual(await filterSent(Record.updateOne({ _id: id }, { name: 'a' }, { withDeleted: true })), { _id: id });
+    const trashedFilter = { _id: id, deletedAt: { $ne: null } };
+    assert.deepStrictEqual(await filterSent(Record.updateMany(trashedFilter, { name: 'a' })), trashedFilter);
+});
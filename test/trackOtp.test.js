@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const { startServer, stub, matchesFilter, atomicFindOneAndUpdate } = require('./helpers');
+const LoanApplication = require('../models/LoanApplication');
+const ApplicantOtp = require('../models/ApplicantOtp');
+
+const application = { _id: new mongoose.Types.ObjectId(), referenceNumber: 'PL-2610-0001', mobileNumber: '9876543210' };
+
+const post = (server, path, body) => fetch(`${server.baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+});
+
+test('parallel wrong guesses cannot exceed the OTP attempt limit', async () => {
+    const otpRecord = {
+        _id: new mongoose.Types.ObjectId(),
+        application: application._id,
+        codeHash: await bcrypt.hash('123456', 4),
+        attempts: 0,
+        verifiedAt: null,
+        expiresAt: new Date(Date.now() + 10 * 60 * 1000)
+    };
+    const records = [otpRecord];
+    const parallelGuesses = 12;
+
+    // Hold every guess at the application lookup until all of them have arrived, so they
+    // reach the OTP check at the same time
+    let arrived = 0;
+    let releaseGuesses;
+    const allArrived = new Promise(resolve => { releaseGuesses = resolve; });
+    const findApplication = async () => {
+        arrived++;
+        if (arrived === parallelGuesses) releaseGuesses();
+        if (arrived <= parallelGuesses) await allArrived;
+        return application;
+    };
+
+    const restore = [
+        stub(LoanApplication, { findOne: findApplication }),
+        stub(ApplicantOtp, {
+            findOneAndUpdate: atomicFindOneAndUpdate(records),
+            // Read-then-save, as a document loaded with findOne would behave
+            findOne: async (filter) => {
+                const match = records.find(record => matchesFilter(record, filter));
+                return match && { ...match, save: async function() { Object.assign(otpRecord, { attempts: this.attempts, verifiedAt: this.verifiedAt }); } };
+            }
+        })
+    ];
+    const server = await startServer();
+
+    try {
+        const guesses = Array.from({ length: parallelGuesses }, (item, index) => post(server, '/api/track/verify-otp', {
+            applicationId: application.referenceNumber,
+            mobileNumber: application.mobileNumber,
+            otp: String(100000 + index)
+        }));
+        const responses = await Promise.all(guesses);
+        responses.forEach(response => assert.strictEqual(response.status, 400));
+        assert.ok(otpRecord.attempts <= 5, `attempts recorded: ${otpRecord.attempts}`);
+
+        // The limit is used up, so even the right code is refused now
+        const correct = await post(server, '/api/track/verify-otp', {
+            applicationId: application.referenceNumber,
+            mobileNumber: application.mobileNumber,
+            otp: '123456'
+        });
+        assert.strictEqual(correct.status, 400);
+        assert.strictEqual(otpRecord.verifiedAt, null);
+    } finally {
+        restore.forEach(restoreStub => restoreStub());
+        await server.close();
+    }
+});
+
+test('an SMS failure still gets the generic OTP response', async () => {
+    const previousProvider = process.env.SMS_PROVIDER;
+    process.env.SMS_PROVIDER = 'not-configured';
+    const restore = [
+        stub(LoanApplication, { findOne: async () => application }),
+        stub(ApplicantOtp, {
+            findOne: async () => null,
+            deleteMany: async () => ({ deletedCount: 0 }),
+            create: async (data) => data
+        })
+    ];
+    const server = await startServer();
+
+    try {
+        const matching = await post(server, '/api/track/request-otp', { applicationId: 'PL-2610-0002', mobileNumber: application.mobileNumber });
+        restore[0]();
+        restore[0] = stub(LoanApplication, { findOne: async () => null });
+        const notMatching = await post(server, '/api/track/request-otp', { applicationId: 'PL-2610-0003', mobileNumber: '9000000000' });
+
+        assert.strictEqual(matching.status, 200);
+        assert.strictEqual(notMatching.status, 200);
+        assert.deepStrictEqual(await matching.json(), await notMatching.json());
+    } finally {
+        if (previousProvider === undefined) delete process.env.SMS_PROVIDER;
+        else process.env.SMS_PROVIDER = previousProvider;
+        restore.forEach(restoreStub => restoreStub());
+        await server.close();
+    }
+});
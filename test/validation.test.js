@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { startServer, adminToken } = require('./helpers');
+
+// Malformed input is rejected with a 400 before any query runs
+const request = async (method, path, body) => {
+    const { baseUrl, close } = await startServer();
+    try {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: { Authorization: `Bearer ${adminToken()}`, 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    } finally {
+        await close();
+    }
+};
+
+test('a sanction with a non-string comment is a 400', async () => {
+    const { status, body } = await request('PUT', `/api/applications/${new mongoose.Types.ObjectId()}/sanction`, {
+        lenderName: 'Test Bank',
+        sanctionedAmount: 100000,
+        comment: { text: 'approved' }
+    });
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.success, false);
+});
+
+test('rejecting a document with a non-string reason is a 400', async () => {
+    const id = new mongoose.Types.ObjectId();
+    const { status, body } = await request('PUT', `/api/applications/${id}/documents/${id}/verify`, {
+        status: 'rejected',
+        reason: ['blurry']
+    });
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.success, false);
+});
+
+test('application list and export filters reject malformed dates and amounts', async () => {
+    const queries = ['startDate=not-a-date', 'endDate=2026-13-45', 'minAmount=abc', 'maxAmount=NaN', 'assignedTo=nobody'];
+
+    for (const query of queries) {
+        for (const path of ['/api/applications', '/api/applications/export']) {
+            const { status, body } = await request('GET', `${path}?${query}`);
+            assert.strictEqual(status, 400, `${path}?${query}`);
+            assert.strictEqual(body.success, false);
+        }
+    }
+});
+
+test('the task list rejects malformed due dates', async () => {
+    for (const query of ['dueFrom=not-a-date', 'dueTo=tomorrow']) {
+        const { status, body } = await request('GET', `/api/tasks?${query}`);
+        assert.strictEqual(status, 400, query);
+        assert.strictEqual(body.success, false);
+    }
+});
+
+test('mentions reject a malformed since date', async () => {
+    const { status, body } = await request('GET', '/api/comments/mentions?since=yesterday');
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.success, false);
+});
+
+test('the audit log rejects malformed date filters', async () => {
+    const { status, body } = await request('GET', '/api/security/audit-log?startDate=last-week');
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.success, false);
+});
+
+test('the PII access log rejects malformed date filters', async () => {
+    const { status, body } = await request('GET', '/api/security/pii-access-log?endDate=soon');
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.success, false);
+});